@@ -12,17 +12,24 @@ const logger = require('./config/logger');
 // Import middleware
 const { generalLimiter, swaggerLimiter } = require('./middlewares/rateLimiter');
 const { sanitizeInput, validateContentType, handleValidationError } = require('./middlewares/validation');
+const localeMiddleware = require('./middlewares/localeMiddleware');
 
 // Import routes
 const otpRoutes = require('./routes/otpRoutes');
 const customerRoutes = require('./routes/customerRoutes');
 const healthRoutes = require('./routes/healthRoutes');
 const loginLinkRoutes = require('./routes/loginLinkRoutes');
+const emailOtpRoutes = require('./routes/emailOtpRoutes');
+const authRoutes = require('./routes/authRoutes');
+const webhookRoutes = require('./routes/webhookRoutes');
+const adminRoutes = require('./routes/adminRoutes');
 
 // Import configuration
 const redisClient = require('./config/database');
 const { swaggerUi, specs } = require('./config/swagger');
 const shopifyService = require('./services/shopifyService');
+const smsQueueService = require('./services/smsQueueService');
+const redisEncryption = require('./utils/redisEncryption');
 
 // Create Express application
 const app = express();
@@ -65,11 +72,20 @@ app.use(cors(corsOptions));
 app.options('/{*any}', cors(corsOptions));
 
 // ===== PARSING MIDDLEWARE =====
-app.use(express.json({ limit: config.api.maxRequestSize }));
+app.use(express.json({
+  limit: config.api.maxRequestSize,
+  // Shopify signs the exact bytes it sends, so keep them for webhook routes
+  verify: (req, res, buf) => {
+    if (req.originalUrl.startsWith('/api/webhooks/shopify/')) {
+      req.rawBody = buf;
+    }
+  }
+}));
 app.use(express.urlencoded({ extended: true, limit: config.api.maxRequestSize }));
 app.use(cookieParser());
 
 // ===== CUSTOM MIDDLEWARE =====
+app.use(localeMiddleware.resolveLocale); // Pick bn/en and localize response messages
 app.use(sanitizeInput);           // Sanitize input to prevent XSS
 app.use(validateContentType);     // Validate Content-Type for POST/PUT requests
 
@@ -223,6 +239,10 @@ app.use('/api', generalLimiter);
 app.use('/api/otp', otpRoutes);
 app.use('/api/customer', customerRoutes);
 app.use('/api/auth/login-link', loginLinkRoutes);
+app.use('/api/auth/email-otp', emailOtpRoutes);
+app.use('/api/auth', authRoutes);
+app.use('/api/webhooks', webhookRoutes);
+app.use('/api/admin', adminRoutes);
 
 // ===== ROOT ENDPOINT =====
 app.get('/', (req, res) => {
@@ -242,12 +262,23 @@ app.get('/', (req, res) => {
       },
       customer: {
         signup: 'POST /api/customer/signup',
-        checkExists: 'GET /api/customer/check-exists'
+        checkExists: 'GET /api/customer/check-exists',
+        updateProfile: 'PATCH /api/customer/me',
+        changePhone: 'POST /api/customer/me/phone',
+        verifyPhoneChange: 'POST /api/customer/me/phone/verify'
       },
       loginLink: {
         request: 'POST /api/auth/login-link/request',
         verify: 'GET /api/auth/login-link/verify',
         status: 'GET /api/auth/login-link/status'
+      },
+      emailOtp: {
+        send: 'POST /api/auth/email-otp/send',
+        verify: 'POST /api/auth/email-otp/verify'
+      },
+      auth: {
+        refresh: 'POST /api/auth/token/refresh',
+        logout: 'POST /api/auth/logout'
       }
     }
   });
@@ -330,9 +361,21 @@ app.use((error, req, res, next) => {
 // ===== SERVER STARTUP =====
 async function startServer() {
   try {
+    // Customer passwords must never be written to Redis in plain text in production
+    if (config.server.isProduction && !redisEncryption.isEnabled()) {
+      throw new Error('REDIS_ENCRYPTION_KEYS and REDIS_ENCRYPTION_KEY_ID are required in production');
+    }
+
     // Connect to Redis
     logger.info('Connecting to Redis...');
     await redisClient.connect();
+
+    // Start the outbound SMS worker
+    if (config.smsQueue.workerEnabled) {
+      await smsQueueService.startWorker();
+    } else {
+      logger.warn('WARNING: SMS queue worker disabled, queued SMS will not be sent by this instance');
+    }
     
     // Test Shopify connection (optional)
     logger.info('Testing Shopify connection...');
@@ -359,6 +402,7 @@ async function startServer() {
     process.on('SIGTERM', async () => {
       logger.info('SIGTERM received. Shutting down gracefully...');
       server.close(async () => {
+        await smsQueueService.stopWorker();
         await redisClient.disconnect();
         logger.info('Server closed. Goodbye!');
         process.exit(0);
@@ -368,6 +412,7 @@ async function startServer() {
     process.on('SIGINT', async () => {
       logger.info('SIGINT received. Shutting down gracefully...');
       server.close(async () => {
+        await smsQueueService.stopWorker();
         await redisClient.disconnect();
         logger.info('Server closed. Goodbye!');
         process.exit(0);
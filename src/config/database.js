@@ -1,6 +1,10 @@
 const redis = require('redis');
 const config = require('./environment');
 const logger = require('./logger');
+const redisEncryption = require('../utils/redisEncryption');
+
+// How often update() re-runs a change that lost a race with another write
+const MAX_UPDATE_ATTEMPTS = 5;
 
 class RedisClient {
   constructor() {
@@ -65,13 +69,15 @@ class RedisClient {
     return this.client;
   }
 
+  // Sensitive fields are encrypted on the way in and decrypted on the way out (see redisEncryption)
   async set(key, value, expireTimeInSeconds) {
     try {
       const client = this.getClient();
+      const storedValue = JSON.stringify(redisEncryption.encrypt(value));
       if (expireTimeInSeconds) {
-        await client.setEx(key, expireTimeInSeconds, JSON.stringify(value));
+        await client.setEx(key, expireTimeInSeconds, storedValue);
       } else {
-        await client.set(key, JSON.stringify(value));
+        await client.set(key, storedValue);
       }
       return true;
     } catch (error) {
@@ -84,7 +90,7 @@ class RedisClient {
     try {
       const client = this.getClient();
       const value = await client.get(key);
-      return value ? JSON.parse(value) : null;
+      return value ? redisEncryption.decrypt(JSON.parse(value)) : null;
     } catch (error) {
       logger.error('ERROR: Redis GET error:', error);
       throw error;
@@ -112,6 +118,143 @@ class RedisClient {
       throw error;
     }
   }
+
+  async increment(key, expireTimeInSeconds) {
+    try {
+      const client = this.getClient();
+      const multi = client.multi().incr(key);
+      if (expireTimeInSeconds) {
+        multi.expire(key, expireTimeInSeconds);
+      }
+      const [count] = await multi.exec();
+      return Number(count);
+    } catch (error) {
+      logger.error('ERROR: Redis INCR error:', error);
+      throw error;
+    }
+  }
+
+  async addToSet(key, member, expireTimeInSeconds) {
+    try {
+      const client = this.getClient();
+      await client.sAdd(key, member);
+      if (expireTimeInSeconds) {
+        await client.expire(key, expireTimeInSeconds);
+      }
+      return true;
+    } catch (error) {
+      logger.error('ERROR: Redis SADD error:', error);
+      throw error;
+    }
+  }
+
+  async getSetMembers(key) {
+    try {
+      const client = this.getClient();
+      return await client.sMembers(key);
+    } catch (error) {
+      logger.error('ERROR: Redis SMEMBERS error:', error);
+      throw error;
+    }
+  }
+
+  async removeFromSet(key, member) {
+    try {
+      const client = this.getClient();
+      const result = await client.sRem(key, member);
+      return result > 0;
+    } catch (error) {
+      logger.error('ERROR: Redis SREM error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Reads, changes and writes back a value atomically, keeping its TTL
+   * The key is watched while the change is made; if another client writes it
+   * first, the change is made again on the new value
+   * @param {string} key - Redis key
+   * @param {Function} updateFn - Receives the current value (null if missing) and returns the new one
+   * @returns {Promise<*>} The value written
+   */
+  async update(key, updateFn) {
+    try {
+      for (let attempt = 1; ; attempt++) {
+        const result = await this.getClient().executeIsolated(async (isolatedClient) => {
+          await isolatedClient.watch(key);
+
+          const raw = await isolatedClient.get(key);
+          const value = updateFn(raw ? redisEncryption.decrypt(JSON.parse(raw)) : null);
+          try {
+            await isolatedClient.multi()
+              .set(key, JSON.stringify(redisEncryption.encrypt(value)), { KEEPTTL: true })
+              .exec();
+            return { written: true, value };
+          } catch (error) {
+            if (error.name === 'WatchError' && attempt < MAX_UPDATE_ATTEMPTS) {
+              return { written: false };
+            }
+            throw error;
+          }
+        });
+
+        if (result.written) {
+          return result.value;
+        }
+      }
+    } catch (error) {
+      logger.error('ERROR: Redis UPDATE error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Iterates over the keys matching a pattern without blocking Redis
+   * @param {string} pattern - Glob-style pattern, e.g. `customer:*`
+   */
+  async *scanKeys(pattern) {
+    const client = this.getClient();
+    for await (const key of client.scanIterator({ MATCH: pattern, COUNT: 100 })) {
+      yield key;
+    }
+  }
+
+  /**
+   * Rewrites a value with the active encryption key, keeping its TTL
+   * The write is skipped if the value changes while it is being re-encrypted
+   * @param {string} key - Redis key
+   * @returns {Promise<string>} 'reencrypted', 'current' or 'changed'
+   */
+  async reencrypt(key) {
+    try {
+      return await this.getClient().executeIsolated(async (isolatedClient) => {
+        await isolatedClient.watch(key);
+
+        const raw = await isolatedClient.get(key);
+        const storedValue = raw ? JSON.parse(raw) : null;
+        if (!redisEncryption.needsReencryption(storedValue)) {
+          await isolatedClient.unwatch();
+          return 'current';
+        }
+
+        const value = redisEncryption.encrypt(redisEncryption.decrypt(storedValue));
+        try {
+          await isolatedClient.multi()
+            .set(key, JSON.stringify(value), { KEEPTTL: true })
+            .exec();
+          return 'reencrypted';
+        } catch (error) {
+          if (error.name === 'WatchError') {
+            return 'changed';
+          }
+          throw error;
+        }
+      });
+    } catch (error) {
+      logger.error('ERROR: Redis re-encryption error:', error);
+      throw error;
+    }
+  }
 }
 
 const redisClient = new RedisClient();
@@ -11,6 +11,44 @@ class EnvironmentConfig {
     this.validateRequiredVariables();
   }
 
+  /**
+   * Parses a JSON environment variable
+   * @param {string} name - Environment variable name
+   * @param {*} fallback - Value used when the variable is unset or invalid
+   * @returns {*} Parsed value
+   */
+  parseJSONVariable(name, fallback) {
+    const value = process.env[name];
+    if (!value) {
+      return fallback;
+    }
+
+    try {
+      return JSON.parse(value);
+    } catch (error) {
+      logger.warn(`WARNING: ${name} is not valid JSON and will be ignored`);
+      return fallback;
+    }
+  }
+
+  /**
+   * Builds the keyring for OTP and login link signatures. HMAC_SECRET is the
+   * current key, under HMAC_KEY_ID; HMAC_PREVIOUS_KEYS ({"keyId": "secret"})
+   * are still accepted when verifying. Removing a previous key retires it
+   * @returns {object} Current key ID and secrets by key ID
+   */
+  buildHmacKeyring() {
+    const currentKeyId = process.env.HMAC_KEY_ID || 'v1';
+
+    return {
+      currentKeyId,
+      keys: {
+        ...this.parseJSONVariable('HMAC_PREVIOUS_KEYS', {}),
+        [currentKeyId]: process.env.HMAC_SECRET
+      }
+    };
+  }
+
   /**
    * Server Configuration
    */
@@ -37,6 +75,13 @@ class EnvironmentConfig {
         maxAttempts: 10,
         minDelay: 100,
         maxDelay: 3000
+      },
+      encryption: {
+        // Key ID -> base64-encoded 32-byte key, e.g. {"2026-10": "..."}
+        // Keep retired keys listed until the re-encryption migration has run
+        keys: this.parseJSONVariable('REDIS_ENCRYPTION_KEYS', {}),
+        // Key that new values are encrypted with
+        activeKeyId: process.env.REDIS_ENCRYPTION_KEY_ID || ''
       }
     };
   }
@@ -50,6 +95,42 @@ class EnvironmentConfig {
       storefrontAccessToken: process.env.SHOPIFY_STOREFRONT_ACCESS_TOKEN,
       adminAccessToken: process.env.SHOPIFY_ADMIN_ACCESS_TOKEN,
       apiVersion: '2024-10',
+      // How verified customers are signed in to the storefront:
+      // 'password' (legacy), 'multipass' (Shopify Plus) or 'storefront_token'
+      loginMode: (process.env.SHOPIFY_LOGIN_MODE || 'password').toLowerCase(),
+      multipass: {
+        secret: process.env.SHOPIFY_MULTIPASS_SECRET,
+        // Storefront domain customers are redirected to, defaults to the store domain
+        domain: process.env.SHOPIFY_MULTIPASS_DOMAIN || process.env.SHOPIFY_STORE_DOMAIN,
+        returnTo: process.env.SHOPIFY_MULTIPASS_RETURN_TO || '/account'
+      },
+      customerAccessToken: {
+        // Cached tokens are dropped this long before Shopify's expiry so clients never receive a nearly expired token
+        expiryBufferSeconds: parseInt(process.env.SHOPIFY_CUSTOMER_TOKEN_EXPIRY_BUFFER_SECONDS) || 300
+      },
+      http: {
+        timeout: parseInt(process.env.SHOPIFY_HTTP_TIMEOUT_MS) || 10000,
+        maxRetries: parseInt(process.env.SHOPIFY_HTTP_MAX_RETRIES) || 2,
+        retryBaseDelayMs: parseInt(process.env.SHOPIFY_HTTP_RETRY_BASE_DELAY_MS) || 500,
+        // Also caps Retry-After and GraphQL cost waits; longer waits fail the request instead
+        retryMaxDelayMs: parseInt(process.env.SHOPIFY_HTTP_RETRY_MAX_DELAY_MS) || 5000,
+        // Consecutive failed requests that open the circuit, and how long it stays open
+        circuitFailureThreshold: parseInt(process.env.SHOPIFY_CIRCUIT_FAILURE_THRESHOLD) || 5,
+        circuitResetMs: parseInt(process.env.SHOPIFY_CIRCUIT_RESET_MS) || 30000
+      },
+      lookupCache: {
+        enabled: process.env.SHOPIFY_LOOKUP_CACHE_ENABLED !== 'false',
+        // Kept short: customers edited in Shopify admin are also invalidated by webhook
+        positiveTTLSeconds: parseInt(process.env.SHOPIFY_LOOKUP_CACHE_TTL_SECONDS) || 300,
+        // Shorter still, so a customer created outside this service is found soon after
+        negativeTTLSeconds: parseInt(process.env.SHOPIFY_LOOKUP_CACHE_NEGATIVE_TTL_SECONDS) || 60
+      },
+      webhooks: {
+        // The app's client secret; Shopify signs webhook bodies with it
+        secret: process.env.SHOPIFY_WEBHOOK_SECRET || '',
+        // Shopify retries failed deliveries for up to 48 hours
+        dedupeTTLSeconds: parseInt(process.env.SHOPIFY_WEBHOOK_DEDUPE_TTL_SECONDS) || 48 * 60 * 60
+      },
       urls: {
         storefront: `https://${process.env.SHOPIFY_STORE_DOMAIN}/api/2024-10/graphql.json`,
         adminGraphQL: `https://${process.env.SHOPIFY_STORE_DOMAIN}/admin/api/2024-10/graphql.json`,
@@ -70,7 +151,66 @@ class EnvironmentConfig {
       timeout: parseInt(process.env.SMS_TIMEOUT_MS) || 30000,
       mockSending: process.env.MOCK_SMS_SENDING === 'true' || false,
       maxLength: 1000,
-      csmsIdPrefix: 'OTP_'
+      csmsIdPrefix: 'OTP_',
+      // Failover chain, tried in order until one provider accepts the message
+      providers: (process.env.SMS_PROVIDERS || 'ssl_wireless')
+        .split(',')
+        .map(provider => provider.trim())
+        .filter(Boolean),
+      // Per-operator routing, e.g. {"teletalk": {"providers": ["http"], "senderId": "BRAND"}}
+      operatorRoutes: this.parseJSONVariable('SMS_OPERATOR_ROUTES', {}),
+      deliveryReports: {
+        // Shared secret gateways send with delivery report callbacks
+        webhookSecret: process.env.SMS_DLR_WEBHOOK_SECRET || '',
+        // Kept long enough for support to look up a message after a complaint
+        statusTTLSeconds: parseInt(process.env.SMS_DELIVERY_STATUS_TTL_SECONDS) || 7 * 24 * 60 * 60
+      },
+      providerSettings: {
+        ssl_wireless: {
+          baseURL: process.env.SMS_API_BASE_URL || '',
+          apiToken: process.env.SMS_API_TOKEN || '',
+          sid: process.env.SMS_SID || '',
+          statusURL: process.env.SMS_STATUS_URL || '',
+          balanceURL: process.env.SMS_BALANCE_URL || ''
+        },
+        http: {
+          url: process.env.SMS_HTTP_URL || '',
+          apiKey: process.env.SMS_HTTP_API_KEY || '',
+          authHeader: process.env.SMS_HTTP_AUTH_HEADER || 'Authorization',
+          authScheme: process.env.SMS_HTTP_AUTH_SCHEME ?? 'Bearer',
+          senderId: process.env.SMS_HTTP_SENDER_ID || '',
+          statusURL: process.env.SMS_HTTP_STATUS_URL || '',
+          balanceURL: process.env.SMS_HTTP_BALANCE_URL || ''
+        }
+      }
+    };
+  }
+
+  /**
+   * Outbound SMS Queue Configuration
+   */
+  get smsQueue() {
+    return {
+      workerEnabled: process.env.SMS_QUEUE_WORKER_ENABLED !== 'false',
+      pollIntervalMs: parseInt(process.env.SMS_QUEUE_POLL_INTERVAL_MS) || 1000,
+      maxAttempts: parseInt(process.env.SMS_QUEUE_MAX_ATTEMPTS) || 5,
+      // Retry delay doubles per attempt: base, 2x base, 4x base ... capped at maxDelay
+      retryBaseDelayMs: parseInt(process.env.SMS_QUEUE_RETRY_BASE_DELAY_MS) || 2000,
+      retryMaxDelayMs: parseInt(process.env.SMS_QUEUE_RETRY_MAX_DELAY_MS) || 60000,
+      jobTTLSeconds: parseInt(process.env.SMS_QUEUE_JOB_TTL_SECONDS) || 24 * 60 * 60,
+      // Jobs left in the processing list longer than this were abandoned by a crashed or failed
+      // worker and are re-queued (checked this often); the default leaves room for a send that
+      // times out on several failover providers
+      stalledJobMs: parseInt(process.env.SMS_QUEUE_STALLED_JOB_MS) || 4 * (parseInt(process.env.SMS_TIMEOUT_MS) || 30000)
+    };
+  }
+
+  /**
+   * Admin API Configuration
+   */
+  get admin() {
+    return {
+      apiKey: process.env.ADMIN_API_KEY || ''
     };
   }
 
@@ -80,11 +220,103 @@ class EnvironmentConfig {
   get otp() {
     return {
       secretKey: process.env.HMAC_SECRET,
+      hmacKeyring: this.buildHmacKeyring(),
       expiryMinutes: parseInt(process.env.OTP_EXPIRY_MINUTES) || 10,
       length: 6,
       resendWaitMinutes: 2,
       maxAttempts: 3,
-      timeWindowMinutes: 5
+      timeWindowMinutes: 5,
+      phoneChange: {
+        // Also require a code sent to the current number. Off by default: customers
+        // who switched SIMs often no longer have the old number
+        verifyOldNumber: process.env.PHONE_CHANGE_VERIFY_OLD_NUMBER === 'true'
+      }
+    };
+  }
+
+  /**
+   * OTP Delivery Channel Configuration
+   */
+  get otpChannels() {
+    return {
+      enabled: (process.env.OTP_CHANNELS || 'sms')
+        .split(',')
+        .map(channel => channel.trim())
+        .filter(Boolean),
+      // Channel used when an OTP first sent by SMS is resent without an explicit channel;
+      // set to an empty string to keep resends on SMS
+      resendFallback: process.env.OTP_RESEND_FALLBACK_CHANNEL ?? 'voice',
+      sms: {
+        // Code auto-fill formats per client, chosen by the X-Client-Id header, e.g.
+        // {"android": {"format": "sms_retriever", "appHash": "FA+9qCX9VSu"},
+        //  "web": {"format": "webotp", "origin": "shop.example.com"}}
+        clients: this.parseJSONVariable('SMS_OTP_CLIENTS', {})
+      },
+      whatsapp: {
+        apiBaseURL: process.env.WHATSAPP_API_BASE_URL || 'https://graph.facebook.com/v20.0',
+        phoneNumberId: process.env.WHATSAPP_PHONE_NUMBER_ID || '',
+        accessToken: process.env.WHATSAPP_ACCESS_TOKEN || '',
+        // Approved authentication template names per purpose, e.g. {"signup": "signup_code"}
+        templates: this.parseJSONVariable('WHATSAPP_OTP_TEMPLATES', {}),
+        defaultTemplate: process.env.WHATSAPP_OTP_TEMPLATE || 'otp_verification',
+        language: process.env.WHATSAPP_TEMPLATE_LANGUAGE || 'en',
+        timeout: parseInt(process.env.WHATSAPP_TIMEOUT_MS) || 15000
+      },
+      voice: {
+        url: process.env.VOICE_OTP_URL || '',
+        apiKey: process.env.VOICE_OTP_API_KEY || '',
+        authHeader: process.env.VOICE_OTP_AUTH_HEADER || 'Authorization',
+        authScheme: process.env.VOICE_OTP_AUTH_SCHEME ?? 'Bearer',
+        callerId: process.env.VOICE_OTP_CALLER_ID || '',
+        language: process.env.VOICE_OTP_LANGUAGE || 'en',
+        repeat: parseInt(process.env.VOICE_OTP_REPEAT) || 2,
+        timeout: parseInt(process.env.VOICE_OTP_TIMEOUT_MS) || 15000
+      }
+    };
+  }
+
+  /**
+   * Localization Configuration
+   */
+  get i18n() {
+    return {
+      // Used when neither a `locale` field nor Accept-Language picks a supported language
+      defaultLocale: (process.env.DEFAULT_LOCALE || 'en').trim().toLowerCase()
+    };
+  }
+
+  /**
+   * Session Token Configuration
+   */
+  get session() {
+    return {
+      jwtSecret: process.env.JWT_SECRET || process.env.HMAC_SECRET,
+      issuer: process.env.JWT_ISSUER || 'otp-backend',
+      algorithm: 'HS256',
+      accessTokenTTLSeconds: parseInt(process.env.ACCESS_TOKEN_TTL_SECONDS) || 15 * 60, // 15 minutes
+      refreshTokenTTLSeconds: parseInt(process.env.REFRESH_TOKEN_TTL_SECONDS) || 30 * 24 * 60 * 60, // 30 days
+      // Devices kept per customer in the device registry; the least recently seen are dropped
+      maxRegisteredDevices: parseInt(process.env.DEVICE_REGISTRY_MAX_DEVICES) || 20,
+      // How long "remember this device" lets a device sign in without an OTP
+      trustedDeviceTTLDays: parseInt(process.env.TRUSTED_DEVICE_TTL_DAYS) || 30
+    };
+  }
+
+  /**
+   * Passkey (WebAuthn) Configuration
+   */
+  get webauthn() {
+    return {
+      rpName: process.env.WEBAUTHN_RP_NAME || 'OTP Backend',
+      // Domain passkeys are bound to, e.g. shop.example.com
+      rpID: process.env.WEBAUTHN_RP_ID || 'localhost',
+      // Storefront origins allowed to use them, e.g. https://shop.example.com
+      origins: (process.env.WEBAUTHN_ORIGINS || 'http://localhost:3000')
+        .split(',')
+        .map(origin => origin.trim())
+        .filter(Boolean),
+      challengeTTLSeconds: parseInt(process.env.WEBAUTHN_CHALLENGE_TTL_SECONDS) || 5 * 60,
+      maxCredentialsPerCustomer: parseInt(process.env.WEBAUTHN_MAX_CREDENTIALS) || 10
     };
   }
 
@@ -119,8 +351,8 @@ class EnvironmentConfig {
         origin: process.env.CORS_ORIGIN ? 
           process.env.CORS_ORIGIN.split(',').map(origin => origin.trim()) : 
           ['*'],
-        methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-        allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With'],
+        methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
+        allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'X-Client-Id'],
         credentials: true,
         optionsSuccessStatus: 200,
         preflightContinue: false
@@ -295,6 +527,8 @@ class EnvironmentConfig {
       keyPrefixes: {
         otp: 'otp:',
         customer: 'customer:',
+        session: 'session:',
+        customerToken: 'customer_token:',
         rateLimit: 'rate_limit:',
         attempts: 'attempts:'
       },
@@ -325,6 +559,12 @@ class EnvironmentConfig {
       'HMAC_SECRET'
     ];
 
+    // Sessions, trust tokens and device hashes are keyed with JWT_SECRET; falling back to
+    // HMAC_SECRET would end them all whenever the HMAC key is rotated
+    if (process.env.NODE_ENV === 'production') {
+      requiredVars.push('JWT_SECRET');
+    }
+
     const missingVars = requiredVars.filter(varName => !process.env[varName]);
     
     if (missingVars.length > 0) {
@@ -356,14 +596,84 @@ class EnvironmentConfig {
       warnings.push('Either Shopify Admin or Storefront access token is recommended');
     }
 
-    if (!this.sms.baseURL || !this.sms.apiToken || !this.sms.sid) {
+    if (this.shopify.loginMode === 'multipass' && !this.shopify.multipass.secret) {
+      errors.push('SHOPIFY_MULTIPASS_SECRET is required when SHOPIFY_LOGIN_MODE is multipass');
+    }
+
+    if (this.shopify.loginMode === 'storefront_token' && !this.shopify.storefrontAccessToken) {
+      errors.push('SHOPIFY_STOREFRONT_ACCESS_TOKEN is required when SHOPIFY_LOGIN_MODE is storefront_token');
+    }
+
+    if (this.sms.providers.includes('ssl_wireless') && (!this.sms.baseURL || !this.sms.apiToken || !this.sms.sid)) {
       warnings.push('SMS service configuration is incomplete - SMS functionality will be limited');
     }
 
+    if (this.sms.providers.includes('http') && (!this.sms.providerSettings.http.url || !this.sms.providerSettings.http.apiKey)) {
+      warnings.push('SMS_HTTP_URL and SMS_HTTP_API_KEY are required for the http SMS provider');
+    }
+
+    if (this.otpChannels.enabled.includes('whatsapp') && (!this.otpChannels.whatsapp.phoneNumberId || !this.otpChannels.whatsapp.accessToken)) {
+      errors.push('WHATSAPP_PHONE_NUMBER_ID and WHATSAPP_ACCESS_TOKEN are required for the whatsapp OTP channel');
+    }
+
+    if (this.otpChannels.enabled.includes('voice') && (!this.otpChannels.voice.url || !this.otpChannels.voice.apiKey)) {
+      errors.push('VOICE_OTP_URL and VOICE_OTP_API_KEY are required for the voice OTP channel');
+    }
+
+    Object.entries(this.otpChannels.sms.clients).forEach(([clientId, client]) => {
+      if (client?.format === 'sms_retriever' && !/^[A-Za-z0-9+/]{11}$/.test(client.appHash || '')) {
+        errors.push(`SMS_OTP_CLIENTS.${clientId} needs an 11-character appHash for the sms_retriever format`);
+      } else if (client?.format === 'webotp' && !client.origin) {
+        errors.push(`SMS_OTP_CLIENTS.${clientId} needs an origin for the webotp format`);
+      } else if (!['plain', 'sms_retriever', 'webotp'].includes(client?.format)) {
+        errors.push(`SMS_OTP_CLIENTS.${clientId} has an unknown format; use plain, sms_retriever or webotp`);
+      }
+    });
+
+    if (!['en', 'bn'].includes(this.i18n.defaultLocale)) {
+      errors.push('DEFAULT_LOCALE must be en or bn');
+    }
+
+    if (!this.sms.deliveryReports.webhookSecret) {
+      warnings.push('SMS_DLR_WEBHOOK_SECRET not set - SMS delivery report webhooks will be rejected');
+    }
+
+    if (!this.shopify.webhooks.secret) {
+      warnings.push('SHOPIFY_WEBHOOK_SECRET not set - Shopify customer webhooks will be rejected');
+    }
+
+    if (!this.redis.encryption.keys[this.redis.encryption.activeKeyId]) {
+      if (this.server.isProduction) {
+        errors.push('REDIS_ENCRYPTION_KEYS and REDIS_ENCRYPTION_KEY_ID are required in production');
+      } else {
+        warnings.push('Redis encryption key not set - customer secrets are stored in plain text');
+      }
+    }
+
+    if (!this.admin.apiKey) {
+      warnings.push('ADMIN_API_KEY not set - admin endpoints are disabled');
+    }
+
+    Object.entries(this.otp.hmacKeyring.keys).forEach(([keyId, secret]) => {
+      if (!/^[A-Za-z0-9_.-]+$/.test(keyId)) {
+        errors.push(`HMAC key ID "${keyId}" may only contain letters, digits, '.', '_' and '-'`);
+      } else if (!secret || typeof secret !== 'string') {
+        errors.push(`HMAC_PREVIOUS_KEYS.${keyId} must be a non-empty string`);
+      }
+    });
+
     if (this.otp.secretKey === 'default_secret_key_please_change_in_production') {
       warnings.push('Using default OTP secret key - change this in production');
     }
 
+    if (!process.env.JWT_SECRET) {
+      warnings.push('JWT_SECRET not set - session tokens are signed with HMAC_SECRET');
+    }
+
+    if (this.server.isProduction && this.webauthn.rpID === 'localhost') {
+      warnings.push('WEBAUTHN_RP_ID not set - passkeys only work on localhost');
+    }
+
     if (this.security.cors.origin.includes('*') && this.server.isProduction) {
       warnings.push('CORS is set to allow all origins in production - consider restricting this');
     }
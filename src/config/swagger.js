@@ -8,6 +8,14 @@ const options = {
     info: config.api.swagger,
     servers: config.api.swagger.servers,
     components: {
+      securitySchemes: {
+        bearerAuth: {
+          type: 'http',
+          scheme: 'bearer',
+          bearerFormat: 'JWT',
+          description: 'Access token from a verification response (data.session.accessToken)'
+        }
+      },
       schemas: {
         SendOTPRequest: {
           type: 'object',
@@ -18,6 +26,25 @@ const options = {
               pattern: '^\\+880[1-9][0-9]{8}$',
               description: 'Bangladeshi phone number in international format (+880XXXXXXXXX)',
               example: '+8801712345678'
+            },
+            purpose: {
+              type: 'string',
+              enum: ['login', 'signup'],
+              default: 'login',
+              description: 'What the OTP is for. An OTP can only be verified with the purpose it was sent for',
+              example: 'login'
+            },
+            channel: {
+              type: 'string',
+              enum: ['sms', 'whatsapp', 'voice'],
+              description: 'Delivery channel. Defaults to sms on send; on resend, defaults to the previous channel, with SMS resends switching to voice',
+              example: 'sms'
+            },
+            locale: {
+              type: 'string',
+              enum: ['en', 'bn'],
+              description: 'Language of the SMS and response messages. Takes precedence over Accept-Language',
+              example: 'bn'
             }
           }
         },
@@ -39,12 +66,54 @@ const options = {
                   type: 'string',
                   example: '+8801712345678'
                 },
+                purpose: {
+                  type: 'string',
+                  example: 'login'
+                },
+                channel: {
+                  type: 'string',
+                  enum: ['sms', 'whatsapp', 'voice'],
+                  description: 'Channel that delivered the OTP',
+                  example: 'sms'
+                },
+                smsJobId: {
+                  type: 'string',
+                  format: 'uuid',
+                  description: 'SMS channel only: delivery job, pollable via GET /api/otp/status',
+                  example: '3f2b8c1e-7d4a-4e2b-9c1f-5a6b7c8d9e0f'
+                },
+                messageId: {
+                  type: 'string',
+                  description: 'WhatsApp channel only: WhatsApp message ID'
+                },
+                callId: {
+                  type: 'string',
+                  description: 'Voice channel only: voice gateway call ID'
+                },
+                delivery: {
+                  type: 'object',
+                  description: 'SMS channel only',
+                  properties: {
+                    csmsId: {
+                      type: 'string',
+                      example: 'OTP_1640995200000abc1'
+                    },
+                    status: {
+                      type: 'string',
+                      enum: ['queued', 'sent', 'delivered', 'failed'],
+                      example: 'queued'
+                    }
+                  }
+                },
                 customerExists: {
                   type: 'boolean',
+                  nullable: true,
+                  description: 'null when Shopify could not be reached to check',
                   example: true
                 },
                 needsSignup: {
                   type: 'boolean',
+                  nullable: true,
                   example: false
                 },
                 expiresIn: {
@@ -70,6 +139,19 @@ const options = {
               pattern: '^[0-9]{6}$',
               description: '6-digit OTP code',
               example: '123456'
+            },
+            purpose: {
+              type: 'string',
+              enum: ['login', 'signup'],
+              default: 'login',
+              description: 'What the OTP is for. An OTP can only be verified with the purpose it was sent for',
+              example: 'login'
+            },
+            rememberDevice: {
+              type: 'boolean',
+              default: false,
+              description: 'Remember this device so later logins can skip the OTP (purpose login only)',
+              example: true
             }
           }
         },
@@ -91,14 +173,174 @@ const options = {
                   type: 'string',
                   example: '+8801712345678'
                 },
+                purpose: {
+                  type: 'string',
+                  example: 'login'
+                },
                 verified: {
                   type: 'boolean',
                   example: true
+                },
+                session: {
+                  $ref: '#/components/schemas/SessionTokens'
+                },
+                trustedDevice: {
+                  $ref: '#/components/schemas/TrustedDeviceToken'
                 }
               }
             }
           }
         },
+        TrustedDeviceToken: {
+          type: 'object',
+          description: 'Present when rememberDevice was set. Send trustToken to /api/auth/trusted-device/login from the same device',
+          properties: {
+            trustToken: {
+              type: 'string',
+              description: 'Signed token bound to the device_id cookie',
+              example: 'eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9...'
+            },
+            expiresIn: {
+              type: 'number',
+              description: 'Trust token lifetime in seconds',
+              example: 2592000
+            }
+          }
+        },
+        EmailOTPSendRequest: {
+          type: 'object',
+          required: ['email'],
+          properties: {
+            email: {
+              type: 'string',
+              format: 'email',
+              description: 'Email address of an existing customer',
+              example: 'customer@example.com'
+            },
+            locale: {
+              type: 'string',
+              enum: ['en', 'bn'],
+              description: 'Language of the email and response messages. Takes precedence over Accept-Language',
+              example: 'bn'
+            }
+          }
+        },
+        EmailOTPVerifyRequest: {
+          type: 'object',
+          required: ['email', 'otp'],
+          properties: {
+            email: {
+              type: 'string',
+              format: 'email',
+              example: 'customer@example.com'
+            },
+            otp: {
+              type: 'string',
+              pattern: '^[0-9]{6}$',
+              description: '6-digit OTP code from the email',
+              example: '123456'
+            }
+          }
+        },
+        EmailOTPVerifyResponse: {
+          type: 'object',
+          properties: {
+            success: {
+              type: 'boolean',
+              example: true
+            },
+            message: {
+              type: 'string',
+              example: 'OTP verified successfully'
+            },
+            data: {
+              type: 'object',
+              properties: {
+                email: {
+                  type: 'string',
+                  example: 'customer@example.com'
+                },
+                purpose: {
+                  type: 'string',
+                  example: 'login'
+                },
+                verified: {
+                  type: 'boolean',
+                  example: true
+                },
+                customer: {
+                  type: 'object',
+                  description: 'Shopify customer with the storefront login hand-off (password, multipassUrl or customerAccessToken)'
+                },
+                session: {
+                  $ref: '#/components/schemas/SessionTokens'
+                }
+              }
+            }
+          }
+        },
+        SessionTokens: {
+          type: 'object',
+          properties: {
+            accessToken: {
+              type: 'string',
+              description: 'Short-lived signed access token, sent as a Bearer token',
+              example: 'eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9...'
+            },
+            refreshToken: {
+              type: 'string',
+              description: 'Rotating refresh token bound to the device_id cookie',
+              example: 'eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9...'
+            },
+            tokenType: {
+              type: 'string',
+              example: 'Bearer'
+            },
+            expiresIn: {
+              type: 'number',
+              description: 'Access token lifetime in seconds',
+              example: 900
+            },
+            refreshExpiresIn: {
+              type: 'number',
+              description: 'Refresh token lifetime in seconds',
+              example: 2592000
+            }
+          }
+        },
+        PasskeyCredentialResponse: {
+          type: 'object',
+          required: ['id'],
+          description: 'Credential returned by navigator.credentials.create() or .get(), JSON encoded as by @simplewebauthn/browser',
+          additionalProperties: true,
+          properties: {
+            id: {
+              type: 'string',
+              example: 'Wm9vYmFyYmF6'
+            },
+            rawId: {
+              type: 'string',
+              example: 'Wm9vYmFyYmF6'
+            },
+            type: {
+              type: 'string',
+              example: 'public-key'
+            },
+            response: {
+              type: 'object'
+            }
+          }
+        },
+        RefreshTokenRequest: {
+          type: 'object',
+          required: ['refreshToken'],
+          properties: {
+            refreshToken: {
+              type: 'string',
+              example: 'eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9...'
+            }
+          }
+        },
         CustomerSignupRequest: {
           type: 'object',
           required: ['phoneNumber', 'name', 'email'],
@@ -135,6 +377,130 @@ const options = {
             }
           }
         },
+        CustomerUpdateRequest: {
+          type: 'object',
+          minProperties: 1,
+          description: 'Only the fields sent are changed',
+          properties: {
+            name: {
+              type: 'string',
+              minLength: 2,
+              maxLength: 100,
+              example: 'John Doe'
+            },
+            email: {
+              type: 'string',
+              format: 'email',
+              example: 'john.doe@example.com'
+            },
+            gender: {
+              type: 'string',
+              enum: ['male', 'female', 'other'],
+              example: 'male'
+            },
+            birthdate: {
+              type: 'string',
+              format: 'date',
+              example: '1990-01-15'
+            },
+            acceptsMarketing: {
+              type: 'boolean',
+              description: 'Email marketing consent',
+              example: false
+            }
+          }
+        },
+        PhoneChangeRequest: {
+          type: 'object',
+          required: ['newPhoneNumber'],
+          properties: {
+            newPhoneNumber: {
+              type: 'string',
+              example: '+8801812345678'
+            },
+            channel: {
+              type: 'string',
+              enum: ['sms', 'whatsapp', 'voice'],
+              default: 'sms'
+            }
+          }
+        },
+        PhoneChangeVerifyRequest: {
+          type: 'object',
+          required: ['newPhoneNumber', 'otp'],
+          properties: {
+            newPhoneNumber: {
+              type: 'string',
+              example: '+8801812345678'
+            },
+            otp: {
+              type: 'string',
+              description: 'Code sent to the new number',
+              example: '123456'
+            },
+            oldPhoneOtp: {
+              type: 'string',
+              description: 'Code sent to the current number, required when verifyOldNumber was true',
+              example: '654321'
+            }
+          }
+        },
+        PhoneChangeResponse: {
+          type: 'object',
+          properties: {
+            success: {
+              type: 'boolean',
+              example: true
+            },
+            message: {
+              type: 'string',
+              example: 'Phone number changed successfully'
+            },
+            data: {
+              type: 'object',
+              properties: {
+                phoneNumber: { type: 'string', example: '+8801812345678' },
+                previousPhoneNumber: { type: 'string', example: '+8801712345678' },
+                revokedSessions: { type: 'number', example: 2 },
+                session: {
+                  $ref: '#/components/schemas/SessionTokens'
+                }
+              }
+            }
+          }
+        },
+        CustomerProfileResponse: {
+          type: 'object',
+          properties: {
+            success: {
+              type: 'boolean',
+              example: true
+            },
+            message: {
+              type: 'string',
+              example: 'Customer profile updated successfully'
+            },
+            data: {
+              type: 'object',
+              properties: {
+                customerId: { type: 'string', example: 'gid://shopify/Customer/123456789' },
+                phoneNumber: { type: 'string', example: '+8801712345678' },
+                email: { type: 'string', example: 'john.doe@example.com' },
+                name: { type: 'string', example: 'John Doe' },
+                gender: { type: 'string', example: 'male' },
+                birthdate: { type: 'string', format: 'date-time' },
+                acceptsMarketing: { type: 'boolean', example: false },
+                updatedAt: { type: 'string', format: 'date-time' },
+                failedUpdates: {
+                  type: 'array',
+                  items: { type: 'string' },
+                  description: 'Fields Shopify did not save although the rest of the update was (currently only acceptsMarketing)',
+                  example: ['acceptsMarketing']
+                }
+              }
+            }
+          }
+        },
         CustomerSignupResponse: {
           type: 'object',
           properties: {
@@ -165,6 +531,121 @@ const options = {
             }
           }
         },
+        SMSDelivery: {
+          type: 'object',
+          properties: {
+            csmsId: {
+              type: 'string',
+              example: 'OTP_1640995200000abc1'
+            },
+            status: {
+              type: 'string',
+              enum: ['queued', 'sent', 'delivered', 'failed'],
+              example: 'delivered'
+            },
+            phoneNumber: {
+              type: 'string',
+              example: '+8801712345678'
+            },
+            jobId: {
+              type: 'string',
+              example: '3f2b8c1e-7d4a-4e2b-9c1f-5a6b7c8d9e0f'
+            },
+            provider: {
+              type: 'string',
+              nullable: true,
+              example: 'ssl_wireless'
+            },
+            operator: {
+              type: 'string',
+              nullable: true,
+              example: 'grameenphone'
+            },
+            referenceId: {
+              type: 'string',
+              nullable: true
+            },
+            gatewayStatus: {
+              type: 'string',
+              nullable: true,
+              example: 'DELIVRD'
+            },
+            error: {
+              type: 'string',
+              nullable: true
+            },
+            history: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  status: { type: 'string', example: 'sent' },
+                  source: { type: 'string', example: 'queue' },
+                  at: { type: 'string', format: 'date-time' }
+                }
+              }
+            },
+            createdAt: {
+              type: 'string',
+              format: 'date-time'
+            },
+            updatedAt: {
+              type: 'string',
+              format: 'date-time'
+            }
+          }
+        },
+        DeliveryReportResponse: {
+          type: 'object',
+          properties: {
+            success: {
+              type: 'boolean',
+              example: true
+            },
+            message: {
+              type: 'string',
+              example: 'Delivery report recorded'
+            },
+            reason: {
+              type: 'string',
+              enum: ['UNKNOWN_STATUS', 'UNKNOWN_MESSAGE'],
+              description: 'Why an acknowledged report was not recorded'
+            }
+          }
+        },
+        ShopifyWebhookResponse: {
+          type: 'object',
+          properties: {
+            success: {
+              type: 'boolean',
+              example: true
+            },
+            message: {
+              type: 'string',
+              example: 'Webhook processed'
+            },
+            data: {
+              type: 'object',
+              properties: {
+                duplicate: {
+                  type: 'boolean',
+                  description: 'The webhook ID was already processed',
+                  example: false
+                },
+                applied: {
+                  type: 'boolean',
+                  description: 'Stored customer data was changed',
+                  example: true
+                },
+                reason: {
+                  type: 'string',
+                  enum: ['NOT_STORED', 'STALE'],
+                  description: 'Why a create or update was not applied'
+                }
+              }
+            }
+          }
+        },
         ErrorResponse: {
           type: 'object',
           properties: {
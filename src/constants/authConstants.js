@@ -0,0 +1,75 @@
+/**
+ * Session and authentication related constants
+ */
+
+// Token Types
+const TOKEN_TYPES = {
+  ACCESS: 'access',
+  REFRESH: 'refresh',
+  TRUST: 'trust',
+  BEARER: 'Bearer'
+};
+
+// Error Messages
+const ERROR_MESSAGES = {
+  REFRESH_TOKEN_REQUIRED: 'Refresh token is required',
+  REFRESH_TOKEN_INVALID: 'Invalid or expired refresh token',
+  REFRESH_TOKEN_REUSED: 'Refresh token has already been used. Please log in again',
+  SESSION_NOT_FOUND: 'Session has expired or has been revoked',
+  SESSION_DEVICE_MISMATCH: 'Session must be used from the device it was issued to',
+  SESSION_CREATION_FAILED: 'Failed to create session',
+  ACCESS_TOKEN_REQUIRED: 'Access token is required',
+  ACCESS_TOKEN_INVALID: 'Invalid or expired access token',
+  PASSKEY_CUSTOMER_REQUIRED: 'Complete signup before adding a passkey',
+  PASSKEY_LIMIT_REACHED: 'Maximum number of passkeys reached. Remove one before adding another',
+  PASSKEY_CHALLENGE_EXPIRED: 'Passkey request has expired. Please try again',
+  PASSKEY_VERIFICATION_FAILED: 'Passkey could not be verified',
+  PASSKEY_NOT_FOUND: 'This passkey is not registered for this account',
+  TRUST_TOKEN_INVALID: 'This device is no longer trusted. Please sign in with an OTP',
+  INTERNAL_SERVER_ERROR: 'Internal server error occurred while processing session request'
+};
+
+// Success Messages
+const SUCCESS_MESSAGES = {
+  TOKEN_REFRESHED: 'Session refreshed successfully',
+  LOGGED_OUT: 'Logged out successfully',
+  LOGGED_OUT_ALL: 'Logged out from all devices successfully',
+  PASSKEY_OPTIONS_CREATED: 'Passkey options created',
+  PASSKEY_REGISTERED: 'Passkey added successfully',
+  PASSKEY_LOGIN_SUCCESS: 'Signed in with passkey',
+  PASSKEY_NOT_REGISTERED: 'No passkey registered. Please sign in with an OTP',
+  TRUSTED_DEVICE_LOGIN_SUCCESS: 'Signed in on a trusted device'
+};
+
+// HTTP Status Codes
+const HTTP_STATUS = {
+  OK: 200,
+  BAD_REQUEST: 400,
+  UNAUTHORIZED: 401,
+  FORBIDDEN: 403,
+  INTERNAL_SERVER_ERROR: 500,
+  SERVICE_UNAVAILABLE: 503
+};
+
+// Redis Key Prefixes
+const REDIS_KEYS = {
+  SESSION_PREFIX: 'session:',
+  SESSION_INDEX_PREFIX: 'sessions:',
+  PASSKEY_PREFIX: 'passkeys:',
+  PASSKEY_CHALLENGE_PREFIX: 'passkey_challenge:'
+};
+
+// WebAuthn ceremonies a challenge is issued for
+const PASSKEY_CEREMONIES = {
+  REGISTRATION: 'registration',
+  AUTHENTICATION: 'authentication'
+};
+
+module.exports = {
+  TOKEN_TYPES,
+  ERROR_MESSAGES,
+  SUCCESS_MESSAGES,
+  HTTP_STATUS,
+  REDIS_KEYS,
+  PASSKEY_CEREMONIES
+};
@@ -7,7 +7,16 @@ const ERROR_MESSAGES = {
   CUSTOMER_ALREADY_EXISTS_PHONE: 'Customer already exists with this phone number',
   CUSTOMER_ALREADY_EXISTS_EMAIL: 'Customer already exists with this email address',
   CUSTOMER_CREATION_FAILED: 'Failed to create customer account',
+  CUSTOMER_UPDATE_FAILED: 'Failed to update customer profile',
+  PHONE_NUMBER_UNCHANGED: 'The new phone number is the same as the current one',
+  PHONE_CHANGE_NOT_FOUND: 'No pending phone number change. Please request a new code',
+  OLD_PHONE_OTP_REQUIRED: 'The code sent to your current phone number is required',
+  PHONE_CHANGE_FAILED: 'Failed to change phone number',
+  WEBHOOK_EVENT_UNSUPPORTED: 'Unsupported customer webhook event',
+  WEBHOOK_ID_REQUIRED: 'X-Shopify-Webhook-Id header is required',
+  WEBHOOK_PAYLOAD_INVALID: 'Webhook payload must be a customer with an ID',
   CUSTOMER_NOT_FOUND: 'Customer not found',
+  DEVICE_NOT_FOUND: 'Device not found',
   CUSTOMER_FOUND: 'Customer found',
   CUSTOMER_CREATED_SUCCESS: 'Customer account created successfully',
   PHONE_NUMBER_REQUIRED: 'Phone number is required',
@@ -21,8 +30,18 @@ const ERROR_MESSAGES = {
 // Success Messages
 const SUCCESS_MESSAGES = {
   CUSTOMER_CREATED: 'Customer account created successfully',
+  CUSTOMER_UPDATED: 'Customer profile updated successfully',
+  CUSTOMER_PARTIALLY_UPDATED: 'Customer profile updated, but some changes could not be saved',
+  PHONE_CHANGE_OTP_SENT: 'Verification code sent to the new phone number',
+  PHONE_CHANGE_OTPS_SENT: 'Verification codes sent to the new and current phone numbers',
+  PHONE_CHANGED: 'Phone number changed successfully',
+  WEBHOOK_PROCESSED: 'Webhook processed',
+  WEBHOOK_DUPLICATE: 'Webhook already processed',
   CUSTOMER_FOUND: 'Customer found',
-  CUSTOMER_NOT_FOUND: 'Customer not found'
+  CUSTOMER_NOT_FOUND: 'Customer not found',
+  LOOKUP_CACHE_STATS_RETRIEVED: 'Customer lookup cache statistics retrieved',
+  DEVICES_RETRIEVED: 'Devices retrieved',
+  DEVICE_REVOKED: 'Device signed out and removed'
 };
 
 // HTTP Status Codes
@@ -30,7 +49,10 @@ const HTTP_STATUS = {
   OK: 200,
   CREATED: 201,
   BAD_REQUEST: 400,
+  UNAUTHORIZED: 401,
+  NOT_FOUND: 404,
   CONFLICT: 409,
+  TOO_MANY_REQUESTS: 429,
   INTERNAL_SERVER_ERROR: 500,
   SERVICE_UNAVAILABLE: 503
 };
@@ -38,9 +60,23 @@ const HTTP_STATUS = {
 // Redis Key Prefixes
 const REDIS_KEYS = {
   CUSTOMER_PREFIX: 'customer:',
+  CUSTOMER_TOKEN_PREFIX: 'customer_token:',
+  PHONE_CHANGE_PREFIX: 'phone_change:',
+  CUSTOMER_ID_PREFIX: 'customer_id:',
+  SHOPIFY_WEBHOOK_PREFIX: 'shopify_webhook:',
+  CUSTOMER_LOOKUP_PREFIX: 'customer_lookup:',
+  DEVICE_PREFIX: 'devices:',
+  TRUSTED_DEVICE_PREFIX: 'trusted_device:',
   OTP_PREFIX: 'otp:'
 };
 
+// Shopify customer webhook events, the second half of the customers/{event} topic
+const SHOPIFY_CUSTOMER_EVENTS = {
+  CREATE: 'create',
+  UPDATE: 'update',
+  DELETE: 'delete'
+};
+
 // Phone Number Validation
 const PHONE_VALIDATION = {
   BD_PHONE_REGEX: /^(\+8801[3-9]\d{8}|01[3-9]\d{8})$/,
@@ -54,6 +90,20 @@ const PASSWORD_CONFIG = {
   SALT_ROUNDS: 12
 };
 
+// Storefront Login Modes
+const LOGIN_MODES = {
+  PASSWORD: 'password',
+  MULTIPASS: 'multipass',
+  STOREFRONT_TOKEN: 'storefront_token'
+};
+
+// Storefront customerAccessTokenCreate error codes mapped to service errors
+const CUSTOMER_TOKEN_ERRORS = {
+  UNIDENTIFIED_CUSTOMER: 'INVALID_STOREFRONT_CREDENTIALS',
+  CUSTOMER_DISABLED: 'CUSTOMER_DISABLED',
+  TOO_MANY_REQUESTS: 'STOREFRONT_RATE_LIMITED'
+};
+
 // Logging
 const LOG_MESSAGES = {
   CUSTOMER_SIGNUP_REQUEST: 'Customer signup request',
@@ -72,7 +122,10 @@ module.exports = {
   SUCCESS_MESSAGES,
   HTTP_STATUS,
   REDIS_KEYS,
+  SHOPIFY_CUSTOMER_EVENTS,
   PHONE_VALIDATION,
   PASSWORD_CONFIG,
+  LOGIN_MODES,
+  CUSTOMER_TOKEN_ERRORS,
   LOG_MESSAGES
 };
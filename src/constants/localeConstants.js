@@ -0,0 +1,16 @@
+/**
+ * Localization related constants
+ */
+
+// Supported locales; English strings in the other constants files are the source text
+const LOCALES = {
+  EN: 'en',
+  BN: 'bn'
+};
+
+const DEFAULT_LOCALE = LOCALES.EN;
+
+module.exports = {
+  LOCALES,
+  DEFAULT_LOCALE
+};
@@ -12,6 +12,36 @@ const OTP_CONFIG = {
   TIME_WINDOW_MINUTES: 5
 };
 
+// OTP Purposes - an OTP can only be verified for the purpose it was sent for
+const OTP_PURPOSES = {
+  LOGIN: 'login',
+  SIGNUP: 'signup',
+  PASSWORD_RESET: 'password_reset',
+  PHONE_CHANGE: 'phone_change'
+};
+
+const DEFAULT_OTP_PURPOSE = OTP_PURPOSES.LOGIN;
+
+// Purposes accepted by the public /api/otp endpoints, whose verification signs the
+// customer in; the others are sent and checked by their own flows (e.g. phone change)
+const SIGN_IN_OTP_PURPOSES = [OTP_PURPOSES.LOGIN, OTP_PURPOSES.SIGNUP];
+
+// Channels an OTP can be delivered through; all share the same stored OTP
+const OTP_CHANNELS = {
+  SMS: 'sms',
+  WHATSAPP: 'whatsapp',
+  VOICE: 'voice'
+};
+
+const DEFAULT_OTP_CHANNEL = OTP_CHANNELS.SMS;
+
+// OTP SMS formats a client can register for code auto-fill (see SMS_OTP_CLIENTS)
+const SMS_OTP_FORMATS = {
+  PLAIN: 'plain',
+  SMS_RETRIEVER: 'sms_retriever', // Android SMS Retriever API: message ends with the 11-character app hash
+  WEBOTP: 'webotp'                // Browser WebOTP API: last line is "@origin #otp"
+};
+
 // Error Messages
 const ERROR_MESSAGES = {
   OTP_GENERATION_FAILED: 'Failed to generate OTP',
@@ -21,12 +51,19 @@ const ERROR_MESSAGES = {
   OTP_EXPIRED: 'OTP has expired',
   OTP_INVALID: 'Invalid OTP code',
   OTP_PHONE_MISMATCH: 'Phone number mismatch',
+  OTP_PURPOSE_MISMATCH: 'OTP was not issued for this purpose',
+  INVALID_OTP_PURPOSE: 'Invalid OTP purpose',
+  OTP_CHANNEL_UNAVAILABLE: 'Invalid OTP channel: this delivery channel is not available',
+  OTP_DELIVERY_FAILED: 'OTP delivery service temporarily unavailable',
   OTP_INTEGRITY_FAILED: 'OTP data integrity check failed',
   OTP_TOO_EARLY_RESEND: 'Please wait before requesting another OTP',
   OTP_RATE_LIMITED: 'Too many OTP requests. Please wait before trying again',
   OTP_DEVICE_MISMATCH: 'OTP must be verified from the same device that requested it',
+  OTP_ATTEMPTS_EXCEEDED: 'Too many incorrect attempts. Please request a new OTP',
   PHONE_NUMBER_REQUIRED: 'Phone number is required',
   INVALID_PHONE_FORMAT: 'Invalid phone number format',
+  EMAIL_NOT_FOUND: 'Invalid Email. Please sign up.',
+  EMAIL_LOOKUP_FAILED: 'Unable to verify email. Please try again later.',
   REDIS_CONNECTION_ERROR: 'Database connection error',
   SMS_SERVICE_ERROR: 'SMS service temporarily unavailable',
   EXTERNAL_SERVICE_ERROR: 'External service error. Please try again later',
@@ -37,7 +74,8 @@ const ERROR_MESSAGES = {
 const SUCCESS_MESSAGES = {
   OTP_SENT: 'OTP sent successfully',
   OTP_VERIFIED: 'OTP verified successfully',
-  OTP_RESENT: 'OTP resent successfully'
+  OTP_RESENT: 'OTP resent successfully',
+  EMAIL_OTP_SENT: 'OTP sent to your email address'
 };
 
 // HTTP Status Codes
@@ -45,6 +83,7 @@ const HTTP_STATUS = {
   OK: 200,
   BAD_REQUEST: 400,
   UNAUTHORIZED: 401,
+  NOT_FOUND: 404,
   TOO_MANY_REQUESTS: 429,
   INTERNAL_SERVER_ERROR: 500,
   SERVICE_UNAVAILABLE: 503
@@ -77,11 +116,31 @@ const RATE_LIMITS = {
 // SMS Configuration
 const SMS_CONFIG = {
   MAX_LENGTH: 1000,
+  // English templates; other languages live in src/locales
   OTP_TEMPLATE: 'Your OTP code is: {otp}. This code will expire in {expiryMinutes} minutes. Do not share this code with anyone.',
+  OTP_TEMPLATES: {
+    [OTP_PURPOSES.LOGIN]: 'Your login code is: {otp}. This code will expire in {expiryMinutes} minutes. Do not share this code with anyone.',
+    [OTP_PURPOSES.SIGNUP]: 'Your verification code to create an account is: {otp}. This code will expire in {expiryMinutes} minutes. Do not share this code with anyone.',
+    [OTP_PURPOSES.PASSWORD_RESET]: 'Your password reset code is: {otp}. This code will expire in {expiryMinutes} minutes. If you did not request a reset, ignore this message.',
+    [OTP_PURPOSES.PHONE_CHANGE]: 'Your code to change your phone number is: {otp}. This code will expire in {expiryMinutes} minutes. Do not share this code with anyone.'
+  },
+  // Shorter wording used when the full template (plus any auto-fill line) exceeds one segment
+  COMPACT_OTP_TEMPLATE: 'Your code is {otp}. It expires in {expiryMinutes} minutes.',
   CSMS_ID_PREFIX: 'OTP_',
   TIMEOUT_MS: 30000
 };
 
+// Voice Call Configuration ({otp} is spoken digit by digit)
+const VOICE_CONFIG = {
+  OTP_TEMPLATE: 'Your verification code is {otp}. Again, your code is {otp}.',
+  OTP_TEMPLATES: {
+    [OTP_PURPOSES.LOGIN]: 'Your login code is {otp}. Again, your login code is {otp}.',
+    [OTP_PURPOSES.SIGNUP]: 'Your code to create an account is {otp}. Again, your code is {otp}.',
+    [OTP_PURPOSES.PASSWORD_RESET]: 'Your password reset code is {otp}. Again, your code is {otp}.',
+    [OTP_PURPOSES.PHONE_CHANGE]: 'Your code to change your phone number is {otp}. Again, your code is {otp}.'
+  }
+};
+
 // Log Messages
 const LOG_MESSAGES = {
   OTP_REQUEST: 'OTP request for phone',
@@ -89,10 +148,13 @@ const LOG_MESSAGES = {
   GENERATING_OTP: 'Generating OTP',
   STORING_REDIS: 'Storing OTP in Redis',
   SENDING_SMS: 'Sending OTP via SMS',
+  DELIVERING_OTP: 'Delivering OTP via',
   OTP_VERIFICATION: 'OTP verification request for phone',
   RETRIEVING_OTP: 'Retrieving OTP from Redis',
   OTP_VERIFIED: 'OTP verified successfully',
   OTP_RESEND_REQUEST: 'OTP resend request for phone',
+  EMAIL_OTP_REQUEST: 'OTP request for email',
+  EMAIL_OTP_VERIFICATION: 'OTP verification request for email',
   CHECKING_EXISTING_OTP: 'Checking existing OTP',
   ERROR_OCCURRED: 'Error occurred'
 };
@@ -101,6 +163,7 @@ const LOG_MESSAGES = {
 const VALIDATION = {
   PHONE_PATTERN: /^(\+8801[3-9]\d{8}|01[3-9]\d{8})$/,
   OTP_PATTERN: /^[0-9]{6}$/,
+  APP_HASH_PATTERN: /^[A-Za-z0-9+/]{11}$/,
   PHONE_MIN_LENGTH: 11,
   PHONE_MAX_LENGTH: 15
 };
@@ -115,12 +178,19 @@ const SECURITY = {
 
 module.exports = {
   OTP_CONFIG,
+  OTP_PURPOSES,
+  DEFAULT_OTP_PURPOSE,
+  SIGN_IN_OTP_PURPOSES,
+  OTP_CHANNELS,
+  DEFAULT_OTP_CHANNEL,
+  SMS_OTP_FORMATS,
   ERROR_MESSAGES,
   SUCCESS_MESSAGES,
   HTTP_STATUS,
   REDIS_KEYS,
   RATE_LIMITS,
   SMS_CONFIG,
+  VOICE_CONFIG,
   LOG_MESSAGES,
   VALIDATION,
   SECURITY
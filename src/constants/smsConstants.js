@@ -0,0 +1,113 @@
+/**
+ * Outbound SMS queue and delivery report related constants
+ */
+
+// Job Statuses
+const JOB_STATUS = {
+  QUEUED: 'queued',
+  PROCESSING: 'processing',
+  RETRYING: 'retrying',
+  SENT: 'sent',
+  FAILED: 'failed',
+  EXPIRED: 'expired'
+};
+
+// Per-message delivery states, in the order a message moves through them
+const DELIVERY_STATUS = {
+  QUEUED: 'queued',
+  SENT: 'sent',
+  DELIVERED: 'delivered',
+  FAILED: 'failed'
+};
+
+// Delivered and failed are final; late or duplicate callbacks must not move a message back
+const DELIVERY_STATUS_RANK = {
+  queued: 0,
+  sent: 1,
+  delivered: 2,
+  failed: 2
+};
+
+// Gateway delivery report statuses (SMPP stat values and common variants)
+const DLR_STATUS_MAP = {
+  DELIVRD: DELIVERY_STATUS.DELIVERED,
+  DELIVERED: DELIVERY_STATUS.DELIVERED,
+  UNDELIV: DELIVERY_STATUS.FAILED,
+  UNDELIVERED: DELIVERY_STATUS.FAILED,
+  REJECTD: DELIVERY_STATUS.FAILED,
+  REJECTED: DELIVERY_STATUS.FAILED,
+  EXPIRED: DELIVERY_STATUS.FAILED,
+  FAILED: DELIVERY_STATUS.FAILED,
+  DELETED: DELIVERY_STATUS.FAILED,
+  ACCEPTD: DELIVERY_STATUS.SENT,
+  ACCEPTED: DELIVERY_STATUS.SENT,
+  ENROUTE: DELIVERY_STATUS.SENT,
+  SENT: DELIVERY_STATUS.SENT,
+  SUBMITTED: DELIVERY_STATUS.SENT
+};
+
+// Error Messages
+const ERROR_MESSAGES = {
+  JOB_ID_REQUIRED: 'SMS job ID is required',
+  JOB_ID_INVALID: 'Invalid SMS job ID',
+  JOB_NOT_FOUND: 'SMS job not found or has expired',
+  QUEUE_UNAVAILABLE: 'SMS queue temporarily unavailable',
+  CSMS_ID_REQUIRED: 'csms_id is required',
+  CSMS_ID_INVALID: 'Invalid csms_id',
+  DLR_STATUS_REQUIRED: 'Delivery status is required',
+  DELIVERY_NOT_FOUND: 'SMS delivery record not found or has expired'
+};
+
+// Success Messages
+const SUCCESS_MESSAGES = {
+  JOB_STATUS_RETRIEVED: 'SMS status retrieved successfully',
+  DLR_RECORDED: 'Delivery report recorded',
+  DLR_IGNORED: 'Delivery report ignored',
+  DELIVERY_RETRIEVED: 'SMS delivery status retrieved successfully'
+};
+
+// HTTP Status Codes
+const HTTP_STATUS = {
+  OK: 200,
+  BAD_REQUEST: 400,
+  UNAUTHORIZED: 401,
+  NOT_FOUND: 404,
+  INTERNAL_SERVER_ERROR: 500,
+  SERVICE_UNAVAILABLE: 503
+};
+
+// Redis Keys
+const REDIS_KEYS = {
+  JOB_PREFIX: 'sms_job:',
+  PENDING_QUEUE: 'sms_queue:pending',
+  PROCESSING_QUEUE: 'sms_queue:processing',
+  DELAYED_QUEUE: 'sms_queue:delayed',
+  DEAD_LETTER_QUEUE: 'sms_queue:dead',
+  DELIVERY_PREFIX: 'sms_delivery:',
+  PHONE_DELIVERIES_PREFIX: 'sms_delivery:phone:'
+};
+
+// Delivery Lookup
+const DELIVERY_CONFIG = {
+  // Recent messages kept per phone number for support lookups
+  RECENT_PER_PHONE: 10
+};
+
+// Validation
+const VALIDATION = {
+  JOB_ID_PATTERN: /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i,
+  CSMS_ID_PATTERN: /^[A-Za-z0-9_-]{1,64}$/
+};
+
+module.exports = {
+  JOB_STATUS,
+  DELIVERY_STATUS,
+  DELIVERY_STATUS_RANK,
+  DLR_STATUS_MAP,
+  ERROR_MESSAGES,
+  SUCCESS_MESSAGES,
+  HTTP_STATUS,
+  REDIS_KEYS,
+  DELIVERY_CONFIG,
+  VALIDATION
+};
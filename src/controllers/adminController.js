@@ -0,0 +1,126 @@
+/**
+ * Admin Controller
+ * Support lookups, protected by the admin API key
+ */
+
+const smsDeliveryService = require('../services/smsDeliveryService');
+const customerLookupCache = require('../services/customerLookupCache');
+const logger = require('../config/logger');
+const InputSanitizer = require('../utils/inputSanitizer');
+const config = require('../config/environment');
+const {
+  HTTP_STATUS,
+  ERROR_MESSAGES,
+  SUCCESS_MESSAGES,
+  VALIDATION
+} = require('../constants/smsConstants');
+const { SUCCESS_MESSAGES: CUSTOMER_SUCCESS_MESSAGES } = require('../constants/customerConstants');
+
+class AdminController {
+  /**
+   * Get the delivery status of a single SMS by csms_id
+   * @param {object} req - Express request object
+   * @param {object} res - Express response object
+   */
+  async getSMSDelivery(req, res) {
+    try {
+      const { csmsId } = req.params;
+
+      if (!VALIDATION.CSMS_ID_PATTERN.test(csmsId)) {
+        return res.status(HTTP_STATUS.BAD_REQUEST).json({
+          success: false,
+          message: ERROR_MESSAGES.CSMS_ID_INVALID,
+          error: 'INVALID_CSMS_ID'
+        });
+      }
+
+      const delivery = await smsDeliveryService.getDelivery(csmsId);
+
+      if (!delivery) {
+        return res.status(HTTP_STATUS.NOT_FOUND).json({
+          success: false,
+          message: ERROR_MESSAGES.DELIVERY_NOT_FOUND,
+          error: 'DELIVERY_NOT_FOUND'
+        });
+      }
+
+      res.status(HTTP_STATUS.OK).json({
+        success: true,
+        message: SUCCESS_MESSAGES.DELIVERY_RETRIEVED,
+        data: smsDeliveryService.formatDelivery(delivery)
+      });
+
+    } catch (error) {
+      handleAdminError(res, error, 'getSMSDelivery');
+    }
+  }
+
+  /**
+   * Get the recent SMS deliveries for a phone number
+   * @param {object} req - Express request object
+   * @param {object} res - Express response object
+   */
+  async getSMSDeliveriesByPhone(req, res) {
+    try {
+      // Set by validatePhoneNumberQuery
+      const phoneNumber = req.phoneValidation.normalizedNumber;
+
+      const deliveries = await smsDeliveryService.getRecentDeliveries(phoneNumber);
+
+      res.status(HTTP_STATUS.OK).json({
+        success: true,
+        message: SUCCESS_MESSAGES.DELIVERY_RETRIEVED,
+        data: {
+          phoneNumber,
+          deliveries
+        }
+      });
+
+    } catch (error) {
+      handleAdminError(res, error, 'getSMSDeliveriesByPhone');
+    }
+  }
+
+  /**
+   * Get hit and miss counts of the Shopify customer lookup cache
+   * Counts are kept per server process
+   * @param {object} req - Express request object
+   * @param {object} res - Express response object
+   */
+  async getLookupCacheStats(req, res) {
+    try {
+      res.status(HTTP_STATUS.OK).json({
+        success: true,
+        message: CUSTOMER_SUCCESS_MESSAGES.LOOKUP_CACHE_STATS_RETRIEVED,
+        data: customerLookupCache.getStats()
+      });
+
+    } catch (error) {
+      handleAdminError(res, error, 'getLookupCacheStats');
+    }
+  }
+}
+
+/**
+ * Maps unexpected errors to a response
+ * Module-level because Express calls controller methods without `this`
+ */
+function handleAdminError(res, error, operation) {
+  logger.error(`ERROR: Error in ${operation}:`, error);
+
+  if (error.message.includes('Redis')) {
+    return res.status(HTTP_STATUS.SERVICE_UNAVAILABLE).json({
+      success: false,
+      message: 'Service temporarily unavailable',
+      error: 'Database connection error'
+    });
+  }
+
+  res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+    success: false,
+    message: 'Internal server error',
+    error: InputSanitizer.createSafeErrorMessage(error, config.server.isDevelopment)
+  });
+}
+
+module.exports = new AdminController();
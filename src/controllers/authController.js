@@ -0,0 +1,162 @@
+/**
+ * Auth Controller
+ * Handles session refresh and logout endpoints
+ */
+
+const sessionService = require('../services/sessionService');
+const otpService = require('../services/otpService');
+const logger = require('../config/logger');
+const { HTTP_STATUS, ERROR_MESSAGES, SUCCESS_MESSAGES } = require('../constants/authConstants');
+const InputSanitizer = require('../utils/inputSanitizer');
+const config = require('../config/environment');
+
+class AuthController {
+  /**
+   * Rotate a refresh token and issue a new token pair
+   * @param {object} req - Express request object
+   * @param {object} res - Express response object
+   */
+  async refreshToken(req, res) {
+    try {
+      const { refreshToken } = req.body;
+
+      const result = await sessionService.refreshSession(refreshToken, req.deviceId);
+
+      if (!result.success) {
+        const statusCode = result.error === 'DEVICE_MISMATCH'
+          ? HTTP_STATUS.FORBIDDEN
+          : HTTP_STATUS.UNAUTHORIZED;
+
+        return res.status(statusCode).json({
+          success: false,
+          message: result.message,
+          error: result.error
+        });
+      }
+
+      return res.status(HTTP_STATUS.OK).json({
+        success: true,
+        message: SUCCESS_MESSAGES.TOKEN_REFRESHED,
+        data: {
+          session: result.data
+        }
+      });
+
+    } catch (error) {
+      logger.error('ERROR: Error in refreshToken:', error);
+
+      const safeMessage = InputSanitizer.createSafeErrorMessage(error, config.server.isDevelopment);
+
+      if (error.message.includes('Redis')) {
+        return res.status(HTTP_STATUS.SERVICE_UNAVAILABLE).json({
+          success: false,
+          message: 'Service temporarily unavailable',
+          error: 'Database connection error'
+        });
+      }
+
+      return res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+        success: false,
+        message: ERROR_MESSAGES.INTERNAL_SERVER_ERROR,
+        error: safeMessage
+      });
+    }
+  }
+
+  /**
+   * Revoke the current session, or every session of the customer
+   * @param {object} req - Express request object
+   * @param {object} res - Express response object
+   */
+  async logout(req, res) {
+    try {
+      const { refreshToken, allDevices } = req.body;
+
+      const result = await sessionService.revokeByRefreshToken(refreshToken, req.deviceId, allDevices);
+
+      if (!result.success) {
+        const statusCode = result.error === 'DEVICE_MISMATCH'
+          ? HTTP_STATUS.FORBIDDEN
+          : HTTP_STATUS.UNAUTHORIZED;
+
+        return res.status(statusCode).json({
+          success: false,
+          message: result.message,
+          error: result.error
+        });
+      }
+
+      logger.info('Logout completed', {
+        sessionId: result.sessionId,
+        allDevices: !!allDevices
+      });
+
+      return res.status(HTTP_STATUS.OK).json({
+        success: true,
+        message: allDevices ? SUCCESS_MESSAGES.LOGGED_OUT_ALL : SUCCESS_MESSAGES.LOGGED_OUT,
+        data: {
+          revokedSessions: result.revokedSessions
+        }
+      });
+
+    } catch (error) {
+      logger.error('ERROR: Error in logout:', error);
+
+      const safeMessage = InputSanitizer.createSafeErrorMessage(error, config.server.isDevelopment);
+
+      if (error.message.includes('Redis')) {
+        return res.status(HTTP_STATUS.SERVICE_UNAVAILABLE).json({
+          success: false,
+          message: 'Service temporarily unavailable',
+          error: 'Database connection error'
+        });
+      }
+
+      return res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+        success: false,
+        message: ERROR_MESSAGES.INTERNAL_SERVER_ERROR,
+        error: safeMessage
+      });
+    }
+  }
+
+  /**
+   * Sign in with a trust token instead of an OTP
+   * @param {object} req - Express request object
+   * @param {object} res - Express response object
+   */
+  async trustedDeviceLogin(req, res) {
+    try {
+      const { phoneNumber, trustToken } = req.body;
+
+      const result = await otpService.loginWithTrustedDevice(phoneNumber, trustToken, req.deviceId, req.deviceInfo);
+
+      if (!result.success) {
+        return res.status(HTTP_STATUS.UNAUTHORIZED).json(result);
+      }
+
+      return res.status(HTTP_STATUS.OK).json(result);
+
+    } catch (error) {
+      logger.error('ERROR: Error in trustedDeviceLogin:', error);
+
+      const safeMessage = InputSanitizer.createSafeErrorMessage(error, config.server.isDevelopment);
+
+      if (error.message.includes('Redis') || error.message.includes('Database')) {
+        return res.status(HTTP_STATUS.SERVICE_UNAVAILABLE).json({
+          success: false,
+          message: 'Service temporarily unavailable',
+          error: 'Database connection error'
+        });
+      }
+
+      return res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+        success: false,
+        message: ERROR_MESSAGES.INTERNAL_SERVER_ERROR,
+        error: safeMessage
+      });
+    }
+  }
+}
+
+module.exports = new AuthController();
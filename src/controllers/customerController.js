@@ -1,9 +1,80 @@
 const customerService = require('../services/customerService');
+const phoneChangeService = require('../services/phoneChangeService');
+const deviceService = require('../services/deviceService');
 const ErrorHandler = require('../utils/errorHandler');
 const ResponseHelper = require('../utils/responseHelper');
 const { validate, customerSignupSchema } = require('../middlewares/validation');
 const logger = require('../config/logger');
 const loginLinkService = require('../services/loginLinkService');
+const { HTTP_STATUS, SUCCESS_MESSAGES } = require('../constants/customerConstants');
+const { ERROR_MESSAGES: OTP_ERROR_MESSAGES } = require('../constants/otpConstants');
+
+/**
+ * Maps an unsuccessful phone change result to a response
+ * Results without an error code are OTP check failures
+ * @param {object} res - Express response object
+ * @param {object} result - Phone change service result
+ */
+const sendPhoneChangeFailure = (res, result) => {
+  if (result.error === 'CUSTOMER_NOT_FOUND') {
+    return ErrorHandler.sendErrorResponse(res,
+      ErrorHandler.createErrorResponse(result.message, HTTP_STATUS.NOT_FOUND, result.error)
+    );
+  }
+
+  if (result.error === 'CUSTOMER_EXISTS_PHONE') {
+    return ResponseHelper.conflict(res, result.message, result.data);
+  }
+
+  if (result.error === 'SHOPIFY_UPDATE_FAILED') {
+    return ErrorHandler.sendErrorResponse(res,
+      ErrorHandler.handleShopifyError(new Error(result.details))
+    );
+  }
+
+  if (result.error === 'OTP_ATTEMPTS_EXCEEDED') {
+    return ErrorHandler.sendErrorResponse(res,
+      ErrorHandler.createErrorResponse(result.message, HTTP_STATUS.TOO_MANY_REQUESTS, result.error, result.data)
+    );
+  }
+
+  return ErrorHandler.sendErrorResponse(res,
+    ErrorHandler.createErrorResponse(
+      result.message,
+      HTTP_STATUS.BAD_REQUEST,
+      result.error || 'OTP_VERIFICATION_FAILED',
+      result.details || result.data
+    )
+  );
+};
+
+/**
+ * Maps errors thrown by the phone change service to responses
+ * @param {object} res - Express response object
+ * @param {Error} error - The error thrown
+ * @param {string} context - Controller method name
+ */
+const handlePhoneChangeError = (res, error, context) => {
+  if (error.message === OTP_ERROR_MESSAGES.OTP_DELIVERY_FAILED || error.message === OTP_ERROR_MESSAGES.SMS_SERVICE_ERROR) {
+    return ErrorHandler.sendErrorResponse(res,
+      ErrorHandler.createErrorResponse(error.message, HTTP_STATUS.SERVICE_UNAVAILABLE, 'OTP_DELIVERY_FAILED')
+    );
+  }
+
+  if (error.message.includes('Invalid') || error.message.includes('required')) {
+    return ErrorHandler.sendErrorResponse(res, ErrorHandler.handleValidationError(error.message));
+  }
+
+  if (error.message.includes('Shopify') || error.message === OTP_ERROR_MESSAGES.EXTERNAL_SERVICE_ERROR) {
+    return ErrorHandler.sendErrorResponse(res, ErrorHandler.handleShopifyError(error));
+  }
+
+  if (error.message.includes('Redis') || error.message.includes('Database')) {
+    return ErrorHandler.sendErrorResponse(res, ErrorHandler.handleDatabaseError(error));
+  }
+
+  return ErrorHandler.sendErrorResponse(res, ErrorHandler.handleServerError(error, context));
+};
 
 class CustomerController {
   /**
@@ -198,6 +269,201 @@ class CustomerController {
     }
   }
 
+  /**
+   * Update the profile of the signed-in customer
+   * @param {object} req - Express request object
+   * @param {object} res - Express response object
+   */
+  async updateProfile(req, res) {
+    try {
+      logger.info('Customer profile update request received', {
+        customerId: req.auth.customerId,
+        fields: Object.keys(req.body)
+      });
+
+      const result = await customerService.updateCustomerProfile(req.auth, req.body);
+
+      if (!result.success) {
+        logger.warn('WARNING: Customer profile update failed', {
+          error: result.error,
+          details: result.details,
+          customerId: req.auth.customerId
+        });
+
+        if (result.error === 'CUSTOMER_NOT_FOUND') {
+          return ErrorHandler.sendErrorResponse(res,
+            ErrorHandler.createErrorResponse(result.message, HTTP_STATUS.NOT_FOUND, result.error)
+          );
+        }
+
+        if (result.error === 'CUSTOMER_EXISTS_EMAIL') {
+          return ResponseHelper.conflict(res, result.message, result.data);
+        }
+
+        if (result.error === 'SHOPIFY_VALIDATION_FAILED') {
+          return ErrorHandler.sendErrorResponse(res,
+            ErrorHandler.createErrorResponse(result.message, HTTP_STATUS.BAD_REQUEST, result.error, result.details)
+          );
+        }
+
+        return ErrorHandler.sendErrorResponse(res,
+          ErrorHandler.handleShopifyError(new Error(result.details))
+        );
+      }
+
+      const message = result.partial ? SUCCESS_MESSAGES.CUSTOMER_PARTIALLY_UPDATED : SUCCESS_MESSAGES.CUSTOMER_UPDATED;
+      return ResponseHelper.success(res, message, result.data);
+
+    } catch (error) {
+      logger.error('ERROR: Error in updateProfile controller', {
+        error: error.message,
+        stack: error.stack,
+        customerId: req.auth?.customerId
+      });
+
+      if (error.message.includes('Shopify')) {
+        return ErrorHandler.sendErrorResponse(res, ErrorHandler.handleShopifyError(error));
+      }
+
+      if (error.message.includes('Redis')) {
+        return ErrorHandler.sendErrorResponse(res, ErrorHandler.handleDatabaseError(error));
+      }
+
+      return ErrorHandler.sendErrorResponse(res,
+        ErrorHandler.handleServerError(error, 'updateProfile')
+      );
+    }
+  }
+
+  /**
+   * Send phone change codes to the new (and optionally current) number
+   * @param {object} req - Express request object
+   * @param {object} res - Express response object
+   */
+  async requestPhoneChange(req, res) {
+    try {
+      const { newPhoneNumber, channel } = req.body;
+      logger.info('Phone number change request received', { customerId: req.auth.customerId });
+
+      const result = await phoneChangeService.requestPhoneChange(req.auth, newPhoneNumber, req.deviceId, channel, {
+        clientId: req.get('X-Client-Id') || null,
+        locale: req.locale
+      });
+
+      if (!result.success) {
+        logger.warn('WARNING: Phone number change request failed', {
+          error: result.error,
+          customerId: req.auth.customerId
+        });
+        return sendPhoneChangeFailure(res, result);
+      }
+
+      return ResponseHelper.success(res, result.message, result.data);
+
+    } catch (error) {
+      logger.error('ERROR: Error in requestPhoneChange controller', {
+        error: error.message,
+        stack: error.stack,
+        customerId: req.auth?.customerId
+      });
+      return handlePhoneChangeError(res, error, 'requestPhoneChange');
+    }
+  }
+
+  /**
+   * Confirm a phone change with the codes sent by requestPhoneChange
+   * @param {object} req - Express request object
+   * @param {object} res - Express response object
+   */
+  async confirmPhoneChange(req, res) {
+    try {
+      const { newPhoneNumber, otp, oldPhoneOtp } = req.body;
+      logger.info('Phone number change confirmation received', { customerId: req.auth.customerId });
+
+      const result = await phoneChangeService.confirmPhoneChange(req.auth, newPhoneNumber, otp, oldPhoneOtp, req.deviceId);
+
+      if (!result.success) {
+        logger.warn('WARNING: Phone number change confirmation failed', {
+          error: result.error,
+          details: result.details,
+          customerId: req.auth.customerId
+        });
+        return sendPhoneChangeFailure(res, result);
+      }
+
+      return ResponseHelper.success(res, result.message, result.data);
+
+    } catch (error) {
+      logger.error('ERROR: Error in confirmPhoneChange controller', {
+        error: error.message,
+        stack: error.stack,
+        customerId: req.auth?.customerId
+      });
+      return handlePhoneChangeError(res, error, 'confirmPhoneChange');
+    }
+  }
+
+  /**
+   * List the devices the signed-in customer has signed in from
+   * @param {object} req - Express request object
+   * @param {object} res - Express response object
+   */
+  async listDevices(req, res) {
+    try {
+      const result = await deviceService.listDevices(req.auth, req.deviceId);
+      return ResponseHelper.success(res, result.message, result.data);
+
+    } catch (error) {
+      logger.error('ERROR: Error in listDevices controller', {
+        error: error.message,
+        stack: error.stack,
+        subject: req.auth?.subject
+      });
+
+      if (error.message.includes('Redis')) {
+        return ErrorHandler.sendErrorResponse(res, ErrorHandler.handleDatabaseError(error));
+      }
+
+      return ErrorHandler.sendErrorResponse(res,
+        ErrorHandler.handleServerError(error, 'listDevices')
+      );
+    }
+  }
+
+  /**
+   * Sign a device out and remove it from the device list
+   * @param {object} req - Express request object
+   * @param {object} res - Express response object
+   */
+  async revokeDevice(req, res) {
+    try {
+      const result = await deviceService.revokeDevice(req.auth, req.params.id);
+
+      if (!result.success) {
+        return ErrorHandler.sendErrorResponse(res,
+          ErrorHandler.createErrorResponse(result.message, HTTP_STATUS.NOT_FOUND, result.error)
+        );
+      }
+
+      return ResponseHelper.success(res, result.message, result.data);
+
+    } catch (error) {
+      logger.error('ERROR: Error in revokeDevice controller', {
+        error: error.message,
+        stack: error.stack,
+        subject: req.auth?.subject
+      });
+
+      if (error.message.includes('Redis')) {
+        return ErrorHandler.sendErrorResponse(res, ErrorHandler.handleDatabaseError(error));
+      }
+
+      return ErrorHandler.sendErrorResponse(res,
+        ErrorHandler.handleServerError(error, 'revokeDevice')
+      );
+    }
+  }
+
 }
 
 module.exports = new CustomerController();
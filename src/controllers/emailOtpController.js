@@ -0,0 +1,107 @@
+/**
+ * Email OTP Controller
+ * Handles email OTP login endpoints
+ */
+
+const emailOtpService = require('../services/emailOtpService');
+const InputSanitizer = require('../utils/inputSanitizer');
+const { HTTP_STATUS, ERROR_MESSAGES } = require('../constants/otpConstants');
+const logger = require('../config/logger');
+const config = require('../config/environment');
+
+/**
+ * Maps errors thrown by the email OTP service to responses
+ * @param {Error} error - The error thrown
+ * @param {object} res - Express response object
+ */
+const handleEmailOTPError = (error, res) => {
+  const safeMessage = InputSanitizer.createSafeErrorMessage(error, config.server.isDevelopment);
+
+  if (error.message.includes('Redis') || error.message.includes('Database')) {
+    return res.status(HTTP_STATUS.SERVICE_UNAVAILABLE).json({
+      success: false,
+      message: ERROR_MESSAGES.REDIS_CONNECTION_ERROR,
+      error: 'Database connection error'
+    });
+  }
+
+  if (error.message === ERROR_MESSAGES.OTP_DELIVERY_FAILED) {
+    return res.status(HTTP_STATUS.SERVICE_UNAVAILABLE).json({
+      success: false,
+      message: ERROR_MESSAGES.OTP_DELIVERY_FAILED,
+      error: 'OTP delivery error'
+    });
+  }
+
+  if (error.message.includes('validation') || error.message.includes('Invalid')) {
+    return res.status(HTTP_STATUS.BAD_REQUEST).json({
+      success: false,
+      message: safeMessage,
+      error: 'Validation error'
+    });
+  }
+
+  res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+    success: false,
+    message: ERROR_MESSAGES.INTERNAL_SERVER_ERROR,
+    error: safeMessage
+  });
+};
+
+class EmailOTPController {
+  /**
+   * Send a login OTP to an email address
+   * @param {object} req - Express request object
+   * @param {object} res - Express response object
+   */
+  async sendEmailOTP(req, res) {
+    try {
+      const { email } = req.body;
+
+      // Pass deviceId for device binding security
+      const result = await emailOtpService.sendEmailOTP(email, req.deviceId, req.locale);
+
+      if (result.success) {
+        res.status(HTTP_STATUS.OK).json(result);
+      } else if (result.error === 'EMAIL_NOT_FOUND') {
+        res.status(HTTP_STATUS.UNAUTHORIZED).json(result);
+      } else if (result.error === 'OTP_TOO_EARLY_RESEND') {
+        res.status(HTTP_STATUS.TOO_MANY_REQUESTS).json(result);
+      } else {
+        res.status(HTTP_STATUS.SERVICE_UNAVAILABLE).json(result);
+      }
+
+    } catch (error) {
+      logger.error('ERROR: Error in sendEmailOTP:', error);
+      handleEmailOTPError(error, res);
+    }
+  }
+
+  /**
+   * Verify an email OTP and sign the customer in
+   * @param {object} req - Express request object
+   * @param {object} res - Express response object
+   */
+  async verifyEmailOTP(req, res) {
+    try {
+      const { email, otp } = req.body;
+
+      // Pass deviceId for device binding security
+      const result = await emailOtpService.verifyEmailOTP(email, otp, req.deviceId, req.deviceInfo);
+
+      if (result.success) {
+        res.status(HTTP_STATUS.OK).json(result);
+      } else if (result.error === 'OTP_ATTEMPTS_EXCEEDED') {
+        res.status(HTTP_STATUS.TOO_MANY_REQUESTS).json(result);
+      } else {
+        res.status(HTTP_STATUS.BAD_REQUEST).json(result);
+      }
+
+    } catch (error) {
+      logger.error('ERROR: Error in verifyEmailOTP:', error);
+      handleEmailOTPError(error, res);
+    }
+  }
+}
+
+module.exports = new EmailOTPController();
@@ -73,7 +73,8 @@ class LoginLinkController {
       const emailResult = await emailService.sendLoginLinkEmail(
         normalizedEmail,
         linkResult.data.loginUrl,
-        linkResult.data.customer
+        linkResult.data.customer,
+        req.locale
       );
 
       if (!emailResult.success) {
@@ -139,7 +140,7 @@ class LoginLinkController {
       });
 
       // Verify the login token
-      const verificationResult = await loginLinkService.verifyLoginToken(token);
+      const verificationResult = await loginLinkService.verifyLoginToken(token, req.deviceId, req.deviceInfo);
 
       if (!verificationResult.isValid) {
         const statusCode = HTTP_STATUS.UNAUTHORIZED;
@@ -163,6 +164,7 @@ class LoginLinkController {
         data: {
           email: verificationResult.data.email,
           customer: verificationResult.data.customer,
+          session: verificationResult.data.session,
           authenticatedAt: new Date().toISOString()
         }
       });
@@ -1,9 +1,25 @@
 const otpService = require('../services/otpService');
+const smsQueueService = require('../services/smsQueueService');
 const InputSanitizer = require('../utils/inputSanitizer');
 const { HTTP_STATUS, ERROR_MESSAGES } = require('../constants/otpConstants');
+const {
+  ERROR_MESSAGES: SMS_ERROR_MESSAGES,
+  SUCCESS_MESSAGES: SMS_SUCCESS_MESSAGES,
+  VALIDATION: SMS_VALIDATION
+} = require('../constants/smsConstants');
 const logger = require('../config/logger');
 const config = require('../config/environment');
 
+/**
+ * Collects the request details that shape the OTP message
+ * @param {object} req - Express request object
+ * @returns {object} Client ID (auto-fill format) and locale (message language)
+ */
+const getRequestContext = (req) => ({
+  clientId: req.get('X-Client-Id') || null,
+  locale: req.locale
+});
+
 class OTPController {
   /**
    * Send OTP to a phone number
@@ -24,10 +40,10 @@ class OTPController {
 
       // Sanitize request body
       const sanitizedBody = InputSanitizer.sanitizeRequestBody(req.body);
-      const { phoneNumber } = sanitizedBody;
+      const { phoneNumber, purpose, channel } = sanitizedBody;
       
-      // Pass deviceId for device binding security
-      const result = await otpService.sendOTP(phoneNumber, req.deviceId);
+      // Pass deviceId for device binding security; the client ID picks the SMS auto-fill format
+      const result = await otpService.sendOTP(phoneNumber, req.deviceId, purpose, channel, [], getRequestContext(req));
       
       // Log OTP for development (remove in production)
       if (config.server.isDevelopment && result.data) {
@@ -57,6 +73,14 @@ class OTPController {
           error: 'SMS service error'
         });
       }
+
+      if (error.message === ERROR_MESSAGES.OTP_DELIVERY_FAILED) {
+        return res.status(HTTP_STATUS.SERVICE_UNAVAILABLE).json({
+          success: false,
+          message: ERROR_MESSAGES.OTP_DELIVERY_FAILED,
+          error: 'OTP delivery error'
+        });
+      }
       
       if (error.message.includes('validation') || error.message.includes('Invalid')) {
         return res.status(HTTP_STATUS.BAD_REQUEST).json({
@@ -93,13 +117,15 @@ class OTPController {
 
       // Sanitize request body
       const sanitizedBody = InputSanitizer.sanitizeRequestBody(req.body);
-      const { phoneNumber, otp } = sanitizedBody;
+      const { phoneNumber, otp, purpose, rememberDevice } = sanitizedBody;
       
       // Pass deviceId for device binding security
-      const result = await otpService.verifyOTP(phoneNumber, otp, req.deviceId);
+      const result = await otpService.verifyOTP(phoneNumber, otp, req.deviceId, purpose, req.deviceInfo, rememberDevice === true);
       
       if (result.success) {
         res.status(HTTP_STATUS.OK).json(result);
+      } else if (result.error === 'OTP_ATTEMPTS_EXCEEDED') {
+        res.status(HTTP_STATUS.TOO_MANY_REQUESTS).json(result);
       } else {
         res.status(HTTP_STATUS.BAD_REQUEST).json(result);
       }
@@ -153,10 +179,10 @@ class OTPController {
 
       // Sanitize request body
       const sanitizedBody = InputSanitizer.sanitizeRequestBody(req.body);
-      const { phoneNumber } = sanitizedBody;
+      const { phoneNumber, purpose, channel } = sanitizedBody;
       
       // Pass deviceId for device binding security
-      const result = await otpService.resendOTP(phoneNumber, req.deviceId);
+      const result = await otpService.resendOTP(phoneNumber, req.deviceId, purpose, channel, getRequestContext(req));
       
       if (result.success) {
         res.status(HTTP_STATUS.OK).json(result);
@@ -185,6 +211,14 @@ class OTPController {
           error: 'SMS service error'
         });
       }
+
+      if (error.message === ERROR_MESSAGES.OTP_DELIVERY_FAILED) {
+        return res.status(HTTP_STATUS.SERVICE_UNAVAILABLE).json({
+          success: false,
+          message: ERROR_MESSAGES.OTP_DELIVERY_FAILED,
+          error: 'OTP delivery error'
+        });
+      }
       
       if (error.message.includes('validation') || error.message.includes('Invalid')) {
         return res.status(HTTP_STATUS.BAD_REQUEST).json({
@@ -201,6 +235,67 @@ class OTPController {
       });
     }
   }
+
+  /**
+   * Get the delivery status of a queued OTP SMS
+   * @param {object} req - Express request object
+   * @param {object} res - Express response object
+   */
+  async getSMSStatus(req, res) {
+    try {
+      const { jobId } = req.query;
+
+      if (!jobId) {
+        return res.status(HTTP_STATUS.BAD_REQUEST).json({
+          success: false,
+          message: SMS_ERROR_MESSAGES.JOB_ID_REQUIRED,
+          error: 'MISSING_JOB_ID'
+        });
+      }
+
+      if (typeof jobId !== 'string' || !SMS_VALIDATION.JOB_ID_PATTERN.test(jobId)) {
+        return res.status(HTTP_STATUS.BAD_REQUEST).json({
+          success: false,
+          message: SMS_ERROR_MESSAGES.JOB_ID_INVALID,
+          error: 'INVALID_JOB_ID'
+        });
+      }
+
+      // Only the device that requested the OTP can see its SMS status
+      const status = await smsQueueService.getJobStatus(jobId, req.deviceId);
+
+      if (!status) {
+        return res.status(HTTP_STATUS.NOT_FOUND).json({
+          success: false,
+          message: SMS_ERROR_MESSAGES.JOB_NOT_FOUND,
+          error: 'JOB_NOT_FOUND'
+        });
+      }
+
+      res.status(HTTP_STATUS.OK).json({
+        success: true,
+        message: SMS_SUCCESS_MESSAGES.JOB_STATUS_RETRIEVED,
+        data: status
+      });
+
+    } catch (error) {
+      logger.error('ERROR: Error in getSMSStatus:', error);
+
+      if (error.message.includes('Redis')) {
+        return res.status(HTTP_STATUS.SERVICE_UNAVAILABLE).json({
+          success: false,
+          message: SMS_ERROR_MESSAGES.QUEUE_UNAVAILABLE,
+          error: 'Database connection error'
+        });
+      }
+
+      res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+        success: false,
+        message: ERROR_MESSAGES.INTERNAL_SERVER_ERROR,
+        error: InputSanitizer.createSafeErrorMessage(error, config.server.isDevelopment)
+      });
+    }
+  }
 }
 
 module.exports = new OTPController();
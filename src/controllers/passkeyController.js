@@ -0,0 +1,131 @@
+/**
+ * Passkey Controller
+ * Handles passkey (WebAuthn) registration and login endpoints
+ */
+
+const passkeyService = require('../services/passkeyService');
+const InputSanitizer = require('../utils/inputSanitizer');
+const logger = require('../config/logger');
+const config = require('../config/environment');
+const { HTTP_STATUS, ERROR_MESSAGES } = require('../constants/authConstants');
+
+// Failed passkey checks are treated like a wrong password; the rest are bad requests
+const UNAUTHORIZED_ERRORS = ['PASSKEY_VERIFICATION_FAILED', 'PASSKEY_NOT_FOUND'];
+
+/**
+ * Sends a passkey service result with the matching status code
+ * @param {object} result - Service result
+ * @param {object} res - Express response object
+ */
+const sendResult = (result, res) => {
+  if (result.success) {
+    return res.status(HTTP_STATUS.OK).json(result);
+  }
+
+  const statusCode = UNAUTHORIZED_ERRORS.includes(result.error)
+    ? HTTP_STATUS.UNAUTHORIZED
+    : HTTP_STATUS.BAD_REQUEST;
+
+  return res.status(statusCode).json(result);
+};
+
+/**
+ * Maps errors thrown by the passkey service to responses
+ * @param {Error} error - The error thrown
+ * @param {object} res - Express response object
+ */
+const handlePasskeyError = (error, res) => {
+  const safeMessage = InputSanitizer.createSafeErrorMessage(error, config.server.isDevelopment);
+
+  if (error.message.includes('Redis')) {
+    return res.status(HTTP_STATUS.SERVICE_UNAVAILABLE).json({
+      success: false,
+      message: 'Service temporarily unavailable',
+      error: 'Database connection error'
+    });
+  }
+
+  if (error.message.includes('Invalid')) {
+    return res.status(HTTP_STATUS.BAD_REQUEST).json({
+      success: false,
+      message: safeMessage,
+      error: 'Validation error'
+    });
+  }
+
+  return res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+    success: false,
+    message: ERROR_MESSAGES.INTERNAL_SERVER_ERROR,
+    error: safeMessage
+  });
+};
+
+class PasskeyController {
+  /**
+   * Create options to enroll a passkey for the signed-in customer
+   * @param {object} req - Express request object
+   * @param {object} res - Express response object
+   */
+  async registrationOptions(req, res) {
+    try {
+      const result = await passkeyService.createRegistrationOptions(req.auth, req.deviceId);
+      sendResult(result, res);
+
+    } catch (error) {
+      logger.error('ERROR: Error in passkey registrationOptions:', error);
+      handlePasskeyError(error, res);
+    }
+  }
+
+  /**
+   * Verify a passkey enrollment and store the credential
+   * @param {object} req - Express request object
+   * @param {object} res - Express response object
+   */
+  async verifyRegistration(req, res) {
+    try {
+      const result = await passkeyService.verifyRegistration(req.auth, req.body.response, req.deviceId);
+      sendResult(result, res);
+
+    } catch (error) {
+      logger.error('ERROR: Error in passkey verifyRegistration:', error);
+      handlePasskeyError(error, res);
+    }
+  }
+
+  /**
+   * Create options to sign in with a passkey, or point the client to OTP login
+   * @param {object} req - Express request object
+   * @param {object} res - Express response object
+   */
+  async loginOptions(req, res) {
+    try {
+      const result = await passkeyService.createAuthenticationOptions(req.body.phoneNumber, req.deviceId);
+      sendResult(result, res);
+
+    } catch (error) {
+      logger.error('ERROR: Error in passkey loginOptions:', error);
+      handlePasskeyError(error, res);
+    }
+  }
+
+  /**
+   * Verify a passkey assertion and sign the customer in
+   * @param {object} req - Express request object
+   * @param {object} res - Express response object
+   */
+  async verifyLogin(req, res) {
+    try {
+      const { phoneNumber, response } = req.body;
+
+      const result = await passkeyService.verifyAuthentication(phoneNumber, response, req.deviceId, req.deviceInfo);
+      sendResult(result, res);
+
+    } catch (error) {
+      logger.error('ERROR: Error in passkey verifyLogin:', error);
+      handlePasskeyError(error, res);
+    }
+  }
+}
+
+module.exports = new PasskeyController();
@@ -0,0 +1,154 @@
+/**
+ * Webhook Controller
+ * Handles callbacks from external services
+ */
+
+const smsDeliveryService = require('../services/smsDeliveryService');
+const shopifyWebhookService = require('../services/shopifyWebhookService');
+const logger = require('../config/logger');
+const InputSanitizer = require('../utils/inputSanitizer');
+const config = require('../config/environment');
+const {
+  HTTP_STATUS,
+  ERROR_MESSAGES,
+  SUCCESS_MESSAGES,
+  VALIDATION
+} = require('../constants/smsConstants');
+const {
+  ERROR_MESSAGES: CUSTOMER_ERROR_MESSAGES,
+  SUCCESS_MESSAGES: CUSTOMER_SUCCESS_MESSAGES,
+  SHOPIFY_CUSTOMER_EVENTS
+} = require('../constants/customerConstants');
+
+class WebhookController {
+  /**
+   * Receive an SMS delivery report (DLR) from a gateway
+   * Gateways call back with GET query parameters or a POST with a JSON or
+   * form-encoded (application/x-www-form-urlencoded) body
+   * @param {object} req - Express request object
+   * @param {object} res - Express response object
+   */
+  async handleSMSDeliveryReport(req, res) {
+    try {
+      const payload = req.method === 'GET' ? req.query : { ...req.query, ...req.body };
+      const report = smsDeliveryService.parseDeliveryReport(payload);
+
+      if (!report.csmsId) {
+        return res.status(HTTP_STATUS.BAD_REQUEST).json({
+          success: false,
+          message: ERROR_MESSAGES.CSMS_ID_REQUIRED,
+          error: 'MISSING_CSMS_ID'
+        });
+      }
+
+      if (!VALIDATION.CSMS_ID_PATTERN.test(report.csmsId)) {
+        return res.status(HTTP_STATUS.BAD_REQUEST).json({
+          success: false,
+          message: ERROR_MESSAGES.CSMS_ID_INVALID,
+          error: 'INVALID_CSMS_ID'
+        });
+      }
+
+      if (!report.status) {
+        return res.status(HTTP_STATUS.BAD_REQUEST).json({
+          success: false,
+          message: ERROR_MESSAGES.DLR_STATUS_REQUIRED,
+          error: 'MISSING_STATUS'
+        });
+      }
+
+      const result = await smsDeliveryService.handleDeliveryReport(report);
+
+      // Unknown messages are acknowledged too, otherwise gateways keep retrying the callback
+      res.status(HTTP_STATUS.OK).json({
+        success: true,
+        message: result.recorded ? SUCCESS_MESSAGES.DLR_RECORDED : SUCCESS_MESSAGES.DLR_IGNORED,
+        ...(result.reason && { reason: result.reason })
+      });
+
+    } catch (error) {
+      logger.error('ERROR: Error in handleSMSDeliveryReport:', error);
+
+      if (error.message.includes('Redis')) {
+        return res.status(HTTP_STATUS.SERVICE_UNAVAILABLE).json({
+          success: false,
+          message: 'Service temporarily unavailable',
+          error: 'Database connection error'
+        });
+      }
+
+      res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+        success: false,
+        message: 'Internal server error',
+        error: InputSanitizer.createSafeErrorMessage(error, config.server.isDevelopment)
+      });
+    }
+  }
+
+  /**
+   * Receive a Shopify customers/create, customers/update or customers/delete webhook
+   * The signature was checked against the raw body, so the payload is read
+   * from it rather than from the sanitized req.body
+   * @param {object} req - Express request object
+   * @param {object} res - Express response object
+   */
+  async handleShopifyCustomerWebhook(req, res) {
+    const { event } = req.params;
+    const webhookId = req.get('X-Shopify-Webhook-Id');
+
+    try {
+      if (!Object.values(SHOPIFY_CUSTOMER_EVENTS).includes(event)) {
+        return res.status(HTTP_STATUS.NOT_FOUND).json({
+          success: false,
+          message: CUSTOMER_ERROR_MESSAGES.WEBHOOK_EVENT_UNSUPPORTED,
+          error: 'UNSUPPORTED_EVENT'
+        });
+      }
+
+      if (!webhookId) {
+        return res.status(HTTP_STATUS.BAD_REQUEST).json({
+          success: false,
+          message: CUSTOMER_ERROR_MESSAGES.WEBHOOK_ID_REQUIRED,
+          error: 'MISSING_WEBHOOK_ID'
+        });
+      }
+
+      const payload = JSON.parse(req.rawBody.toString('utf8'));
+      if (!payload || !payload.id) {
+        return res.status(HTTP_STATUS.BAD_REQUEST).json({
+          success: false,
+          message: CUSTOMER_ERROR_MESSAGES.WEBHOOK_PAYLOAD_INVALID,
+          error: 'INVALID_PAYLOAD'
+        });
+      }
+
+      const result = await shopifyWebhookService.processCustomerWebhook(webhookId, event, payload);
+
+      res.status(HTTP_STATUS.OK).json({
+        success: true,
+        message: result.duplicate ? CUSTOMER_SUCCESS_MESSAGES.WEBHOOK_DUPLICATE : CUSTOMER_SUCCESS_MESSAGES.WEBHOOK_PROCESSED,
+        data: result
+      });
+
+    } catch (error) {
+      logger.error('ERROR: Error in handleShopifyCustomerWebhook:', { error: error.message, event, webhookId });
+
+      // A non-2xx response makes Shopify retry the delivery
+      if (error.message.includes('Redis')) {
+        return res.status(HTTP_STATUS.SERVICE_UNAVAILABLE).json({
+          success: false,
+          message: 'Service temporarily unavailable',
+          error: 'Database connection error'
+        });
+      }
+
+      res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+        success: false,
+        message: 'Internal server error',
+        error: InputSanitizer.createSafeErrorMessage(error, config.server.isDevelopment)
+      });
+    }
+  }
+}
+
+module.exports = new WebhookController();
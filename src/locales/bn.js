@@ -0,0 +1,244 @@
+/**
+ * Bangla strings
+ * `messages` maps the English API message (the source text from the constants
+ * files) to its translation; messages without an entry are returned in English
+ */
+
+const {
+  ERROR_MESSAGES: OTP_ERRORS,
+  SUCCESS_MESSAGES: OTP_SUCCESS,
+  OTP_PURPOSES,
+  SIGN_IN_OTP_PURPOSES,
+  OTP_CHANNELS
+} = require('../constants/otpConstants');
+const { ERROR_MESSAGES: AUTH_ERRORS, SUCCESS_MESSAGES: AUTH_SUCCESS } = require('../constants/authConstants');
+const { ERROR_MESSAGES: CUSTOMER_ERRORS, SUCCESS_MESSAGES: CUSTOMER_SUCCESS } = require('../constants/customerConstants');
+const { ERROR_MESSAGES: SMS_ERRORS, SUCCESS_MESSAGES: SMS_SUCCESS } = require('../constants/smsConstants');
+
+module.exports = {
+  messages: {
+    // OTP
+    [OTP_ERRORS.OTP_GENERATION_FAILED]: 'ওটিপি তৈরি করা যায়নি',
+    [OTP_ERRORS.OTP_SENDING_FAILED]: 'ওটিপি পাঠানো যায়নি',
+    [OTP_ERRORS.OTP_VERIFICATION_FAILED]: 'ওটিপি যাচাই ব্যর্থ হয়েছে',
+    [OTP_ERRORS.OTP_NOT_FOUND]: 'ওটিপি পাওয়া যায়নি অথবা এর মেয়াদ শেষ হয়ে গেছে',
+    [OTP_ERRORS.OTP_EXPIRED]: 'ওটিপির মেয়াদ শেষ হয়ে গেছে',
+    [OTP_ERRORS.OTP_INVALID]: 'ভুল ওটিপি কোড',
+    [OTP_ERRORS.OTP_PHONE_MISMATCH]: 'ফোন নম্বর মেলেনি',
+    'Identifier mismatch': 'ফোন নম্বর বা ইমেইল মেলেনি',
+    'Error occurred during OTP verification': 'ওটিপি যাচাই করার সময় সমস্যা হয়েছে',
+    [OTP_ERRORS.OTP_PURPOSE_MISMATCH]: 'এই কাজের জন্য ওটিপিটি পাঠানো হয়নি',
+    [OTP_ERRORS.INVALID_OTP_PURPOSE]: 'ওটিপির উদ্দেশ্য সঠিক নয়',
+    [OTP_ERRORS.OTP_CHANNEL_UNAVAILABLE]: 'এই মাধ্যমে ওটিপি পাঠানো সম্ভব নয়',
+    [OTP_ERRORS.OTP_DELIVERY_FAILED]: 'ওটিপি পাঠানোর সেবা সাময়িকভাবে বন্ধ আছে',
+    [OTP_ERRORS.OTP_INTEGRITY_FAILED]: 'ওটিপির তথ্য যাচাই করা যায়নি',
+    [OTP_ERRORS.OTP_TOO_EARLY_RESEND]: 'আরেকটি ওটিপি চাওয়ার আগে কিছুক্ষণ অপেক্ষা করুন',
+    [OTP_ERRORS.OTP_RATE_LIMITED]: 'অনেকবার ওটিপি চাওয়া হয়েছে। কিছুক্ষণ পর আবার চেষ্টা করুন',
+    [OTP_ERRORS.OTP_DEVICE_MISMATCH]: 'যে ডিভাইস থেকে ওটিপি চাওয়া হয়েছে, সেই ডিভাইস থেকেই যাচাই করতে হবে',
+    [OTP_ERRORS.OTP_ATTEMPTS_EXCEEDED]: 'অনেকবার ভুল কোড দেওয়া হয়েছে। নতুন ওটিপি চান',
+    [OTP_ERRORS.PHONE_NUMBER_REQUIRED]: 'ফোন নম্বর দিতে হবে',
+    [OTP_ERRORS.INVALID_PHONE_FORMAT]: 'ফোন নম্বরের ফরম্যাট সঠিক নয়',
+    [OTP_ERRORS.EMAIL_NOT_FOUND]: 'ইমেইলটি পাওয়া যায়নি। অনুগ্রহ করে সাইন আপ করুন।',
+    [OTP_ERRORS.EMAIL_LOOKUP_FAILED]: 'ইমেইল যাচাই করা যায়নি। কিছুক্ষণ পর আবার চেষ্টা করুন।',
+    [OTP_ERRORS.REDIS_CONNECTION_ERROR]: 'ডাটাবেস সংযোগে সমস্যা হয়েছে',
+    [OTP_ERRORS.SMS_SERVICE_ERROR]: 'এসএমএস সেবা সাময়িকভাবে বন্ধ আছে',
+    [OTP_ERRORS.EXTERNAL_SERVICE_ERROR]: 'বাহ্যিক সেবায় সমস্যা হয়েছে। কিছুক্ষণ পর আবার চেষ্টা করুন',
+    [OTP_ERRORS.INTERNAL_SERVER_ERROR]: 'ওটিপি অনুরোধ প্রক্রিয়া করার সময় সার্ভারে সমস্যা হয়েছে',
+    [OTP_SUCCESS.OTP_SENT]: 'ওটিপি সফলভাবে পাঠানো হয়েছে',
+    [OTP_SUCCESS.OTP_VERIFIED]: 'ওটিপি সফলভাবে যাচাই হয়েছে',
+    [OTP_SUCCESS.OTP_RESENT]: 'ওটিপি আবার পাঠানো হয়েছে',
+    [OTP_SUCCESS.EMAIL_OTP_SENT]: 'আপনার ইমেইলে ওটিপি পাঠানো হয়েছে',
+    'OTP sent successfully. Customer found.': 'ওটিপি পাঠানো হয়েছে। গ্রাহক পাওয়া গেছে।',
+    'OTP sent successfully. Customer needs to sign up.': 'ওটিপি পাঠানো হয়েছে। গ্রাহককে সাইন আপ করতে হবে।',
+    'OTP sent successfully. Customer status could not be checked.': 'ওটিপি পাঠানো হয়েছে। গ্রাহকের অবস্থা যাচাই করা যায়নি।',
+    'OTP is required': 'ওটিপি দিতে হবে',
+    'OTP must be exactly 6 digits': 'ওটিপি অবশ্যই ৬ সংখ্যার হতে হবে',
+
+    // SMS jobs and delivery reports
+    [SMS_ERRORS.JOB_ID_REQUIRED]: 'এসএমএস জব আইডি দিতে হবে',
+    [SMS_ERRORS.JOB_ID_INVALID]: 'এসএমএস জব আইডি সঠিক নয়',
+    [SMS_ERRORS.JOB_NOT_FOUND]: 'এসএমএস জব পাওয়া যায়নি অথবা এর মেয়াদ শেষ হয়ে গেছে',
+    [SMS_ERRORS.QUEUE_UNAVAILABLE]: 'এসএমএস সারি সাময়িকভাবে বন্ধ আছে',
+    [SMS_ERRORS.CSMS_ID_REQUIRED]: 'csms_id দিতে হবে',
+    [SMS_ERRORS.CSMS_ID_INVALID]: 'csms_id সঠিক নয়',
+    [SMS_ERRORS.DLR_STATUS_REQUIRED]: 'ডেলিভারি স্ট্যাটাস দিতে হবে',
+    [SMS_ERRORS.DELIVERY_NOT_FOUND]: 'এসএমএস ডেলিভারির তথ্য পাওয়া যায়নি অথবা এর মেয়াদ শেষ হয়ে গেছে',
+    [SMS_SUCCESS.JOB_STATUS_RETRIEVED]: 'এসএমএসের অবস্থা পাওয়া গেছে',
+    [SMS_SUCCESS.DLR_RECORDED]: 'ডেলিভারি রিপোর্ট সংরক্ষণ করা হয়েছে',
+    [SMS_SUCCESS.DLR_IGNORED]: 'ডেলিভারি রিপোর্ট উপেক্ষা করা হয়েছে',
+    [SMS_SUCCESS.DELIVERY_RETRIEVED]: 'এসএমএস ডেলিভারির অবস্থা পাওয়া গেছে',
+
+    // Sessions
+    [AUTH_ERRORS.SESSION_CREATION_FAILED]: 'সেশন তৈরি করা যায়নি',
+    [AUTH_ERRORS.INTERNAL_SERVER_ERROR]: 'সেশন অনুরোধ প্রক্রিয়া করার সময় সার্ভারে সমস্যা হয়েছে',
+    [AUTH_ERRORS.REFRESH_TOKEN_REQUIRED]: 'রিফ্রেশ টোকেন দিতে হবে',
+    [AUTH_ERRORS.REFRESH_TOKEN_INVALID]: 'রিফ্রেশ টোকেন সঠিক নয় অথবা এর মেয়াদ শেষ',
+    [AUTH_ERRORS.REFRESH_TOKEN_REUSED]: 'রিফ্রেশ টোকেনটি আগেই ব্যবহার করা হয়েছে। আবার লগইন করুন',
+    [AUTH_ERRORS.SESSION_NOT_FOUND]: 'সেশনের মেয়াদ শেষ হয়েছে অথবা বাতিল করা হয়েছে',
+    [AUTH_ERRORS.SESSION_DEVICE_MISMATCH]: 'যে ডিভাইসে সেশন দেওয়া হয়েছে, সেখান থেকেই ব্যবহার করতে হবে',
+    [AUTH_ERRORS.ACCESS_TOKEN_REQUIRED]: 'অ্যাক্সেস টোকেন দিতে হবে',
+    [AUTH_ERRORS.ACCESS_TOKEN_INVALID]: 'অ্যাক্সেস টোকেন সঠিক নয় অথবা এর মেয়াদ শেষ',
+    [AUTH_SUCCESS.TOKEN_REFRESHED]: 'সেশন হালনাগাদ করা হয়েছে',
+    [AUTH_SUCCESS.LOGGED_OUT]: 'সফলভাবে লগ আউট হয়েছে',
+    [AUTH_SUCCESS.LOGGED_OUT_ALL]: 'সব ডিভাইস থেকে লগ আউট হয়েছে',
+    [AUTH_ERRORS.PASSKEY_CUSTOMER_REQUIRED]: 'পাসকি যোগ করার আগে সাইন আপ সম্পন্ন করুন',
+    [AUTH_ERRORS.PASSKEY_LIMIT_REACHED]: 'সর্বোচ্চ সংখ্যক পাসকি যোগ করা হয়েছে। নতুন যোগ করতে একটি সরিয়ে ফেলুন',
+    [AUTH_ERRORS.PASSKEY_CHALLENGE_EXPIRED]: 'পাসকি অনুরোধের মেয়াদ শেষ হয়েছে। আবার চেষ্টা করুন',
+    [AUTH_ERRORS.PASSKEY_VERIFICATION_FAILED]: 'পাসকি যাচাই করা যায়নি',
+    [AUTH_ERRORS.PASSKEY_NOT_FOUND]: 'এই পাসকিটি এই অ্যাকাউন্টে নিবন্ধিত নয়',
+    [AUTH_SUCCESS.PASSKEY_OPTIONS_CREATED]: 'পাসকি অপশন তৈরি হয়েছে',
+    [AUTH_SUCCESS.PASSKEY_REGISTERED]: 'পাসকি সফলভাবে যোগ করা হয়েছে',
+    [AUTH_SUCCESS.PASSKEY_LOGIN_SUCCESS]: 'পাসকি দিয়ে সাইন ইন হয়েছে',
+    [AUTH_SUCCESS.PASSKEY_NOT_REGISTERED]: 'কোনো পাসকি নিবন্ধিত নেই। ওটিপি দিয়ে সাইন ইন করুন',
+    [AUTH_ERRORS.TRUST_TOKEN_INVALID]: 'এই ডিভাইসটি আর বিশ্বস্ত নয়। ওটিপি দিয়ে সাইন ইন করুন',
+    [AUTH_SUCCESS.TRUSTED_DEVICE_LOGIN_SUCCESS]: 'বিশ্বস্ত ডিভাইসে সাইন ইন হয়েছে',
+
+    // Customers
+    [CUSTOMER_ERRORS.CUSTOMER_ALREADY_EXISTS_PHONE]: 'এই ফোন নম্বরে আগেই একটি অ্যাকাউন্ট আছে',
+    [CUSTOMER_ERRORS.CUSTOMER_ALREADY_EXISTS_EMAIL]: 'এই ইমেইলে আগেই একটি অ্যাকাউন্ট আছে',
+    [CUSTOMER_ERRORS.CUSTOMER_CREATION_FAILED]: 'অ্যাকাউন্ট খোলা যায়নি',
+    [CUSTOMER_ERRORS.CUSTOMER_UPDATE_FAILED]: 'প্রোফাইল হালনাগাদ করা যায়নি',
+    [CUSTOMER_ERRORS.INVALID_PHONE_FORMAT]: 'বাংলাদেশি ফোন নম্বরের ফরম্যাট সঠিক নয়',
+    [CUSTOMER_ERRORS.EXTERNAL_SERVICE_ERROR]: 'বাহ্যিক সেবায় সমস্যা হয়েছে। কিছুক্ষণ পর আবার চেষ্টা করুন।',
+    [CUSTOMER_ERRORS.SERVICE_UNAVAILABLE]: 'সেবাটি সাময়িকভাবে বন্ধ আছে। কিছুক্ষণ পর আবার চেষ্টা করুন।',
+    [CUSTOMER_ERRORS.INTERNAL_SERVER_ERROR]: 'অনুরোধ প্রক্রিয়া করার সময় সার্ভারে সমস্যা হয়েছে',
+    [CUSTOMER_SUCCESS.CUSTOMER_CREATED]: 'অ্যাকাউন্ট সফলভাবে খোলা হয়েছে',
+    [CUSTOMER_SUCCESS.CUSTOMER_UPDATED]: 'প্রোফাইল সফলভাবে হালনাগাদ হয়েছে',
+    [CUSTOMER_SUCCESS.CUSTOMER_PARTIALLY_UPDATED]: 'প্রোফাইল হালনাগাদ হয়েছে, তবে কিছু পরিবর্তন সংরক্ষণ করা যায়নি',
+    'Provide at least one field to update': 'হালনাগাদ করার জন্য অন্তত একটি তথ্য দিন',
+    [CUSTOMER_ERRORS.PHONE_NUMBER_UNCHANGED]: 'নতুন ফোন নম্বরটি বর্তমান নম্বরের মতোই',
+    [CUSTOMER_ERRORS.PHONE_CHANGE_NOT_FOUND]: 'ফোন নম্বর পরিবর্তনের কোনো অনুরোধ পাওয়া যায়নি। নতুন কোডের জন্য আবার অনুরোধ করুন',
+    [CUSTOMER_ERRORS.OLD_PHONE_OTP_REQUIRED]: 'বর্তমান ফোন নম্বরে পাঠানো কোডটি দিতে হবে',
+    [CUSTOMER_ERRORS.PHONE_CHANGE_FAILED]: 'ফোন নম্বর পরিবর্তন করা যায়নি',
+    [CUSTOMER_SUCCESS.PHONE_CHANGE_OTP_SENT]: 'নতুন ফোন নম্বরে যাচাইকরণ কোড পাঠানো হয়েছে',
+    [CUSTOMER_SUCCESS.PHONE_CHANGE_OTPS_SENT]: 'নতুন ও বর্তমান ফোন নম্বরে যাচাইকরণ কোড পাঠানো হয়েছে',
+    [CUSTOMER_SUCCESS.PHONE_CHANGED]: 'ফোন নম্বর সফলভাবে পরিবর্তন হয়েছে',
+    [CUSTOMER_SUCCESS.CUSTOMER_FOUND]: 'গ্রাহক পাওয়া গেছে',
+    [CUSTOMER_SUCCESS.CUSTOMER_NOT_FOUND]: 'গ্রাহক পাওয়া যায়নি',
+    [CUSTOMER_SUCCESS.DEVICES_RETRIEVED]: 'ডিভাইসের তালিকা পাওয়া গেছে',
+    [CUSTOMER_SUCCESS.DEVICE_REVOKED]: 'ডিভাইসটি লগ আউট করে সরিয়ে ফেলা হয়েছে',
+    [CUSTOMER_ERRORS.DEVICE_NOT_FOUND]: 'ডিভাইস পাওয়া যায়নি',
+    'Invalid Bangladeshi phone number format. Must be +8801XXXXXXXXX or 01XXXXXXXXX': 'বাংলাদেশি ফোন নম্বরের ফরম্যাট সঠিক নয়। +8801XXXXXXXXX অথবা 01XXXXXXXXX হতে হবে',
+    'Name is required': 'নাম দিতে হবে',
+    'Name must be at least 2 characters long': 'নাম কমপক্ষে ২ অক্ষরের হতে হবে',
+    'Name cannot exceed 100 characters': 'নাম ১০০ অক্ষরের বেশি হতে পারবে না',
+    'Name can only contain letters and spaces': 'নামে শুধু অক্ষর ও স্পেস থাকতে পারবে',
+    'Gender must be either male, female, or other': 'লিঙ্গ male, female অথবা other হতে হবে',
+    'Birthdate cannot be in the future': 'জন্মতারিখ ভবিষ্যতের হতে পারবে না',
+    'Please provide a valid birthdate': 'একটি সঠিক জন্মতারিখ দিন',
+    'Please provide a valid date format (YYYY-MM-DD)': 'তারিখ সঠিক ফরম্যাটে দিন (YYYY-MM-DD)',
+    'Invalid device ID': 'ডিভাইস আইডি সঠিক নয়',
+    'Trust token is required': 'ট্রাস্ট টোকেন দিতে হবে',
+    'Passkey response is required': 'পাসকির উত্তর দিতে হবে',
+
+    // Shopify webhooks
+    [CUSTOMER_ERRORS.WEBHOOK_EVENT_UNSUPPORTED]: 'এই গ্রাহক ওয়েবহুক ইভেন্ট সমর্থিত নয়',
+    [CUSTOMER_ERRORS.WEBHOOK_ID_REQUIRED]: 'X-Shopify-Webhook-Id হেডার দিতে হবে',
+    [CUSTOMER_ERRORS.WEBHOOK_PAYLOAD_INVALID]: 'ওয়েবহুকের তথ্যে আইডিসহ একজন গ্রাহক থাকতে হবে',
+    [CUSTOMER_SUCCESS.WEBHOOK_PROCESSED]: 'ওয়েবহুক প্রক্রিয়া করা হয়েছে',
+    [CUSTOMER_SUCCESS.WEBHOOK_DUPLICATE]: 'ওয়েবহুকটি আগেই প্রক্রিয়া করা হয়েছে',
+    [CUSTOMER_SUCCESS.LOOKUP_CACHE_STATS_RETRIEVED]: 'গ্রাহক খোঁজার ক্যাশের পরিসংখ্যান পাওয়া গেছে',
+
+    // Login links
+    'Email is required': 'ইমেইল দিতে হবে',
+    'Please provide a valid email address': 'একটি সঠিক ইমেইল ঠিকানা দিন',
+    'Login link sent to your email address': 'আপনার ইমেইলে লগইন লিংক পাঠানো হয়েছে',
+    'Login link has expired or is invalid': 'লগইন লিংকটি সঠিক নয় অথবা এর মেয়াদ শেষ',
+    'Login link has already been used': 'লগইন লিংকটি আগেই ব্যবহার করা হয়েছে',
+    'Login link has expired': 'লগইন লিংকের মেয়াদ শেষ হয়ে গেছে',
+    'Login token is required': 'লগইন টোকেন দিতে হবে',
+    'Login successful': 'সফলভাবে লগইন হয়েছে',
+    'Invalid login token': 'লগইন টোকেন সঠিক নয়',
+    'Failed to generate login link. Please try again.': 'লগইন লিংক তৈরি করা যায়নি। আবার চেষ্টা করুন।',
+    'Unable to generate login link. Please try again later.': 'লগইন লিংক তৈরি করা যায়নি। কিছুক্ষণ পর আবার চেষ্টা করুন।',
+    'Login link generated but failed to send email. Please try again.': 'লগইন লিংক তৈরি হয়েছে কিন্তু ইমেইল পাঠানো যায়নি। আবার চেষ্টা করুন।',
+    'Unable to verify email. Please try again later.': 'ইমেইল যাচাই করা যায়নি। কিছুক্ষণ পর আবার চেষ্টা করুন।',
+    'Unable to verify login token. Please try again.': 'লগইন টোকেন যাচাই করা যায়নি। আবার চেষ্টা করুন।',
+
+    // Request validation and rate limits
+    'Validation error': 'তথ্য যাচাইয়ে ত্রুটি',
+    'Validation error occurred': 'তথ্য যাচাইয়ে ত্রুটি হয়েছে',
+    [`Purpose must be one of: ${SIGN_IN_OTP_PURPOSES.join(', ')}`]: `উদ্দেশ্য অবশ্যই এর একটি হতে হবে: ${SIGN_IN_OTP_PURPOSES.join(', ')}`,
+    [`Channel must be one of: ${Object.values(OTP_CHANNELS).join(', ')}`]: `মাধ্যম অবশ্যই এর একটি হতে হবে: ${Object.values(OTP_CHANNELS).join(', ')}`,
+    'Phone number is required and must be a string': 'ফোন নম্বর দিতে হবে এবং তা টেক্সট হতে হবে',
+    'Phone number cannot be empty': 'ফোন নম্বর খালি রাখা যাবে না',
+    'Phone number is too long': 'ফোন নম্বরটি অনেক লম্বা',
+    'Phone number contains no valid digits': 'ফোন নম্বরে কোনো সঠিক সংখ্যা নেই',
+    'Invalid phone number length': 'ফোন নম্বরের দৈর্ঘ্য সঠিক নয়',
+    'Mobile number must start with 1': 'মোবাইল নম্বর অবশ্যই ১ দিয়ে শুরু হতে হবে',
+    'Mobile number must be exactly 10 digits': 'মোবাইল নম্বর অবশ্যই ১০ সংখ্যার হতে হবে',
+    'Invalid JSON in request body': 'অনুরোধের JSON সঠিক নয়',
+    'Endpoint not found': 'এন্ডপয়েন্ট পাওয়া যায়নি',
+    'CORS error: Origin not allowed': 'CORS ত্রুটি: এই অরিজিন অনুমোদিত নয়',
+    'Too many requests': 'অনেক বেশি অনুরোধ এসেছে',
+    'Too many requests to documentation. Please wait a moment.': 'ডকুমেন্টেশনে অনেক বেশি অনুরোধ এসেছে। একটু অপেক্ষা করুন।',
+    'Invalid or missing admin API key': 'অ্যাডমিন API কী সঠিক নয় অথবা দেওয়া হয়নি',
+    'Invalid or missing webhook secret': 'ওয়েবহুক সিক্রেট সঠিক নয় অথবা দেওয়া হয়নি',
+    'Invalid or missing webhook signature': 'ওয়েবহুক সিগনেচার সঠিক নয় অথবা দেওয়া হয়নি',
+    'Forbidden': 'অনুমতি নেই',
+    'Internal server error': 'সার্ভারে সমস্যা হয়েছে',
+    'Service temporarily unavailable': 'সেবাটি সাময়িকভাবে বন্ধ আছে',
+    'Invalid content type. Expected application/json': 'Content-Type সঠিক নয়। application/json হতে হবে',
+    'Content-Type must be application/json': 'Content-Type অবশ্যই application/json হতে হবে',
+    'Too many requests from this IP, please try again later.': 'এই আইপি থেকে অনেক বেশি অনুরোধ এসেছে, কিছুক্ষণ পর আবার চেষ্টা করুন।',
+    'Too many OTP requests. Please wait 15 minutes before requesting another OTP.': 'অনেকবার ওটিপি চাওয়া হয়েছে। আরেকটি ওটিপি চাওয়ার আগে ১৫ মিনিট অপেক্ষা করুন।',
+    'Too many verification attempts. Please wait 10 minutes before trying again.': 'অনেকবার যাচাইয়ের চেষ্টা করা হয়েছে। ১০ মিনিট পর আবার চেষ্টা করুন।',
+    'Too many signup attempts. Please wait 1 hour before trying again.': 'অনেকবার সাইন আপের চেষ্টা করা হয়েছে। ১ ঘণ্টা পর আবার চেষ্টা করুন।',
+    'Too many OTP requests for this phone number. Please wait 1 hour before requesting another OTP.': 'এই নম্বরে অনেকবার ওটিপি চাওয়া হয়েছে। আরেকটি ওটিপি চাওয়ার আগে ১ ঘণ্টা অপেক্ষা করুন।',
+    'Too many verification attempts for this phone number. Please wait 1 hour before trying again.': 'এই নম্বরে অনেকবার যাচাইয়ের চেষ্টা করা হয়েছে। ১ ঘণ্টা পর আবার চেষ্টা করুন।',
+    'Too many OTP requests for this email address. Please wait 1 hour before requesting another OTP.': 'এই ইমেইলে অনেকবার ওটিপি চাওয়া হয়েছে। আরেকটি ওটিপি চাওয়ার আগে ১ ঘণ্টা অপেক্ষা করুন।',
+    'Too many verification attempts for this email address. Please wait 1 hour before trying again.': 'এই ইমেইলে অনেকবার যাচাইয়ের চেষ্টা করা হয়েছে। ১ ঘণ্টা পর আবার চেষ্টা করুন।'
+  },
+
+  // OTP digits stay in Latin numerals so SMS auto-fill can read them
+  sms: {
+    OTP_TEMPLATE: 'আপনার ওটিপি কোড: {otp}। মেয়াদ {expiryMinutes} মিনিট। কাউকে এই কোড দেবেন না।',
+    OTP_TEMPLATES: {
+      [OTP_PURPOSES.LOGIN]: 'আপনার লগইন কোড: {otp}। মেয়াদ {expiryMinutes} মিনিট। কাউকে এই কোড দেবেন না।',
+      [OTP_PURPOSES.SIGNUP]: 'অ্যাকাউন্ট খোলার কোড: {otp}। মেয়াদ {expiryMinutes} মিনিট। কাউকে এই কোড দেবেন না।',
+      [OTP_PURPOSES.PASSWORD_RESET]: 'পাসওয়ার্ড রিসেট কোড: {otp}। মেয়াদ {expiryMinutes} মিনিট। আপনি না চাইলে উপেক্ষা করুন।',
+      [OTP_PURPOSES.PHONE_CHANGE]: 'নম্বর পরিবর্তনের কোড: {otp}। মেয়াদ {expiryMinutes} মিনিট। কাউকে এই কোড দেবেন না।'
+    },
+    COMPACT_OTP_TEMPLATE: 'আপনার কোড {otp}। মেয়াদ {expiryMinutes} মিনিট।'
+  },
+
+  email: {
+    badge: 'লগইন অনুরোধ',
+    defaultCustomerName: 'সম্মানিত গ্রাহক',
+    greeting: 'প্রিয় {name},',
+    securityTitle: 'নিরাপত্তা তথ্য:',
+    footer: [
+      'এটি একটি স্বয়ংক্রিয় ইমেইল। অনুগ্রহ করে এর উত্তর দেবেন না।',
+      'সহায়তার প্রয়োজন হলে আমাদের সাপোর্ট টিমের সাথে যোগাযোগ করুন।'
+    ],
+
+    loginLink: {
+      subject: 'Sundora লগইন লিংক',
+      title: 'আপনার লগইন লিংক',
+      heading: 'নিরাপদ লগইন লিংক',
+      intro: 'আপনি আপনার অ্যাকাউন্টে প্রবেশের জন্য একটি নিরাপদ লগইন লিংক চেয়েছেন।',
+      action: 'সাইন ইন করতে নিচের বাটনে ক্লিক করুন:',
+      button: 'নিরাপদে সাইন ইন করুন',
+      linkLabel: 'আপনার লগইন লিংক:',
+      fallback: 'বাটনটি কাজ না করলে এই লিংকটি কপি করে ব্রাউজারে পেস্ট করুন:',
+      securityItems: [
+        'এই লিংকের মেয়াদ ১৫ মিনিটে শেষ হবে',
+        'লিংকটি শুধু একবার ব্যবহার করা যাবে',
+        'আপনি এটি না চেয়ে থাকলে এই ইমেইলটি উপেক্ষা করুন'
+      ]
+    },
+
+    otp: {
+      subject: 'আপনার Sundora লগইন কোড',
+      title: 'আপনার লগইন কোড',
+      heading: 'আপনার লগইন কোড',
+      intro: 'আপনার অ্যাকাউন্টে সাইন ইন করতে নিচের কোডটি ব্যবহার করুন:',
+      securityItems: [
+        'এই কোডের মেয়াদ {expiryMinutes} মিনিটে শেষ হবে',
+        'যে ডিভাইস থেকে কোডটি চেয়েছেন, সেখানেই এটি লিখুন',
+        'এই কোড কখনো কারো সাথে শেয়ার করবেন না',
+        'আপনি এটি না চেয়ে থাকলে এই ইমেইলটি উপেক্ষা করুন'
+      ]
+    }
+  }
+};
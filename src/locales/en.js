@@ -0,0 +1,57 @@
+/**
+ * English strings
+ * API messages are written in English in the constants files, so no message
+ * translations are needed here
+ */
+
+const { SMS_CONFIG } = require('../constants/otpConstants');
+
+module.exports = {
+  messages: {},
+
+  sms: {
+    OTP_TEMPLATE: SMS_CONFIG.OTP_TEMPLATE,
+    OTP_TEMPLATES: SMS_CONFIG.OTP_TEMPLATES,
+    COMPACT_OTP_TEMPLATE: SMS_CONFIG.COMPACT_OTP_TEMPLATE
+  },
+
+  email: {
+    badge: 'Login Request',
+    defaultCustomerName: 'Valued Customer',
+    greeting: 'Hello {name},',
+    securityTitle: 'Security Information:',
+    footer: [
+      'This is an automated email. Please do not reply to this message.',
+      'If you need assistance, please contact our support team.'
+    ],
+
+    loginLink: {
+      subject: 'Sundora Login Link',
+      title: 'Your Login Link',
+      heading: 'Secure Login Link',
+      intro: 'You requested a secure login link to access your account.',
+      action: 'Click the button below to sign in:',
+      button: 'Sign In Securely',
+      linkLabel: 'Your Login Link:',
+      fallback: "If the button doesn't work, you can copy and paste this link into your browser:",
+      securityItems: [
+        'This link will expire in 15 minutes',
+        'The link can only be used once',
+        "If you didn't request this, please ignore this email"
+      ]
+    },
+
+    otp: {
+      subject: 'Your Sundora Login Code',
+      title: 'Your Login Code',
+      heading: 'Your Login Code',
+      intro: 'Use the code below to sign in to your account:',
+      securityItems: [
+        'This code will expire in {expiryMinutes} minutes',
+        'Enter it on the same device you requested it from',
+        'Never share this code with anyone',
+        "If you didn't request this, please ignore this email"
+      ]
+    }
+  }
+};
@@ -0,0 +1,94 @@
+const crypto = require('crypto');
+const config = require('../config/environment');
+const logger = require('../config/logger');
+
+/**
+ * API Key Middleware
+ * Guards server-to-server endpoints (admin tools, gateway webhooks) with shared secrets
+ */
+class ApiKeyMiddleware {
+  /**
+   * Middleware to require the admin API key in the X-Admin-Api-Key header
+   */
+  requireAdminKey = (req, res, next) => {
+    if (!this.matches(req.get('X-Admin-Api-Key'), config.admin.apiKey)) {
+      logger.warn('Rejected admin request with missing or invalid API key', {
+        path: req.path,
+        ip: req.ip
+      });
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or missing admin API key',
+        error: 'UNAUTHORIZED'
+      });
+    }
+
+    next();
+  }
+
+  /**
+   * Middleware to require the SMS delivery report webhook secret
+   * Accepted in the X-Webhook-Secret header or, for gateways that cannot set
+   * headers on callbacks, the `secret` query parameter
+   */
+  requireDLRSecret = (req, res, next) => {
+    const provided = req.get('X-Webhook-Secret') || req.query.secret;
+
+    if (!this.matches(provided, config.sms.deliveryReports.webhookSecret)) {
+      logger.warn('Rejected SMS delivery report with missing or invalid secret', { ip: req.ip });
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or missing webhook secret',
+        error: 'UNAUTHORIZED'
+      });
+    }
+
+    next();
+  }
+
+  /**
+   * Middleware to require a valid Shopify webhook signature
+   * X-Shopify-Hmac-Sha256 is the base64 HMAC-SHA256 of the raw request body,
+   * so this relies on req.rawBody kept by the JSON parser
+   */
+  requireShopifyHmac = (req, res, next) => {
+    const secret = config.shopify.webhooks.secret;
+    const expected = secret && req.rawBody
+      ? crypto.createHmac('sha256', secret).update(req.rawBody).digest('base64')
+      : null;
+
+    if (!this.matches(req.get('X-Shopify-Hmac-Sha256'), expected)) {
+      logger.warn('Rejected Shopify webhook with missing or invalid signature', {
+        path: req.path,
+        ip: req.ip
+      });
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or missing webhook signature',
+        error: 'UNAUTHORIZED'
+      });
+    }
+
+    next();
+  }
+
+  /**
+   * Constant-time comparison; an unset expected key never matches
+   * @param {string} provided - Value sent by the caller
+   * @param {string} expected - Configured secret
+   * @returns {boolean} Whether the values match
+   */
+  matches(provided, expected) {
+    if (!expected || typeof provided !== 'string') {
+      return false;
+    }
+
+    // Hash both sides so differing lengths don't short-circuit timingSafeEqual
+    const providedHash = crypto.createHash('sha256').update(provided).digest();
+    const expectedHash = crypto.createHash('sha256').update(expected).digest();
+
+    return crypto.timingSafeEqual(providedHash, expectedHash);
+  }
+}
+
+module.exports = new ApiKeyMiddleware();
@@ -0,0 +1,71 @@
+const sessionService = require('../services/sessionService');
+const logger = require('../config/logger');
+const { TOKEN_TYPES, ERROR_MESSAGES, HTTP_STATUS } = require('../constants/authConstants');
+
+/**
+ * Auth Middleware
+ * Guards customer endpoints with the access tokens issued at verification
+ */
+class AuthMiddleware {
+  /**
+   * Middleware to require a valid access token in the Authorization header
+   * Must run after deviceMiddleware.requireDeviceId: access tokens are bound
+   * to the device they were issued to. Sets req.auth to the stored session
+   */
+  requireAuth = async (req, res, next) => {
+    try {
+      const accessToken = this.getBearerToken(req);
+
+      if (!accessToken) {
+        return res.status(HTTP_STATUS.UNAUTHORIZED).json({
+          success: false,
+          message: ERROR_MESSAGES.ACCESS_TOKEN_REQUIRED,
+          error: 'ACCESS_TOKEN_REQUIRED'
+        });
+      }
+
+      const result = await sessionService.verifyAccessToken(accessToken, req.deviceId);
+
+      if (!result.isValid) {
+        logger.warn('Rejected request with invalid access token', {
+          path: req.path,
+          reason: result.error
+        });
+
+        if (result.error === 'DEVICE_MISMATCH') {
+          return res.status(HTTP_STATUS.FORBIDDEN).json({
+            success: false,
+            message: ERROR_MESSAGES.SESSION_DEVICE_MISMATCH,
+            error: result.error
+          });
+        }
+
+        return res.status(HTTP_STATUS.UNAUTHORIZED).json({
+          success: false,
+          message: result.error === 'SESSION_NOT_FOUND'
+            ? ERROR_MESSAGES.SESSION_NOT_FOUND
+            : ERROR_MESSAGES.ACCESS_TOKEN_INVALID,
+          error: result.error
+        });
+      }
+
+      req.auth = result.session;
+      next();
+    } catch (error) {
+      logger.error('Error in auth middleware:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Reads the token from an `Authorization: Bearer <token>` header
+   * @param {object} req - Express request object
+   * @returns {string|null} Access token
+   */
+  getBearerToken(req) {
+    const [scheme, token] = (req.get('Authorization') || '').split(' ');
+    return scheme === TOKEN_TYPES.BEARER && token ? token : null;
+  }
+}
+
+module.exports = new AuthMiddleware();
@@ -40,6 +40,7 @@ class DeviceMiddleware {
       }
 
       req.deviceId = deviceId;
+      req.deviceInfo = this.describeDevice(req);
       next();
     } catch (error) {
       logger.error('Error in device middleware:', error);
@@ -63,9 +64,22 @@ requireDeviceId   = (req, res, next) => {
     }
 
     req.deviceId = deviceId;
+    req.deviceInfo = this.describeDevice(req);
     next();
   }
 
+  /**
+   * Request details kept in the customer's device registry on sign-in
+   * @param {object} req - Express request object
+   * @returns {object} User agent and IP address
+   */
+  describeDevice(req) {
+    return {
+      userAgent: req.get('User-Agent') || null,
+      ip: req.ip || null
+    };
+  }
+
   isValidUUID(uuid) {
     const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
     return uuidRegex.test(uuid);
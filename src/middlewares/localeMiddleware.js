@@ -0,0 +1,61 @@
+const i18n = require('../utils/i18n');
+const { LOCALES } = require('../constants/localeConstants');
+
+/**
+ * Locale Middleware
+ * Negotiates the response language from a `locale` field or Accept-Language
+ * and translates the messages of JSON responses
+ */
+class LocaleMiddleware {
+  /**
+   * Middleware to set req.locale and localize res.json messages
+   */
+  resolveLocale = (req, res, next) => {
+    req.locale = i18n.resolveLocale(req);
+
+    res.set('Content-Language', req.locale);
+    res.vary('Accept-Language');
+
+    if (req.locale !== LOCALES.EN) {
+      const json = res.json.bind(res);
+      res.json = (body) => json(this.localizeBody(body, req.locale));
+    }
+
+    next();
+  }
+
+  /**
+   * Translates the user-facing messages of a response body
+   * Error codes (`error`) are left untouched so clients can keep matching on them
+   * @param {object} body - Response body
+   * @param {string} locale - Target locale
+   * @returns {object} Localized body
+   */
+  localizeBody(body, locale) {
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+      return body;
+    }
+
+    const localized = { ...body };
+
+    if (localized.message) {
+      localized.message = i18n.translate(localized.message, locale);
+    }
+
+    if (localized.data && typeof localized.data === 'object' && localized.data.message) {
+      localized.data = { ...localized.data, message: i18n.translate(localized.data.message, locale) };
+    }
+
+    if (Array.isArray(localized.errors)) {
+      localized.errors = localized.errors.map(error => (
+        typeof error === 'string'
+          ? i18n.translate(error, locale)
+          : { ...error, message: i18n.translate(error.message, locale) }
+      ));
+    }
+
+    return localized;
+  }
+}
+
+module.exports = new LocaleMiddleware();
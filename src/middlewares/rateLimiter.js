@@ -1,9 +1,12 @@
 const rateLimit = require('express-rate-limit');
+const RedisRateLimitStore = require('../utils/redisRateLimitStore');
 require('dotenv').config();
 
 /**
  * Rate limiting middleware configuration
  * Environment-aware rate limiting for production security
+ * Every limiter keeps its hits in Redis so limits survive restarts and are
+ * shared between instances
  */
 
 // Rate limiting configuration based on environment
@@ -14,6 +17,8 @@ const skipRateLimiting = isDevelopment; // Disable rate limiting in development
 const generalLimiter = skipRateLimiting ? (req, res, next) => next() : rateLimit({
   windowMs: 1000, // 1 second
   max: 500, // 500 requests per second for testing
+  store: new RedisRateLimitStore('general'),
+  passOnStoreError: true, // Fail open if Redis is unavailable
   message: {
     success: false,
     message: 'Too many requests from this IP, please try again later.',
@@ -34,6 +39,8 @@ const generalLimiter = skipRateLimiting ? (req, res, next) => next() : rateLimit
 const otpSendLimiter = skipRateLimiting ? (req, res, next) => next() : rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
   max: 3, // 3 OTP requests per 15 minutes per IP/phone
+  store: new RedisRateLimitStore('otp_send'),
+  passOnStoreError: true,
   message: {
     success: false,
     message: 'Too many OTP requests. Please wait 15 minutes before requesting another OTP.',
@@ -62,6 +69,8 @@ const otpSendLimiter = skipRateLimiting ? (req, res, next) => next() : rateLimit
 const otpVerifyLimiter = skipRateLimiting ? (req, res, next) => next() : rateLimit({
   windowMs: 10 * 60 * 1000, // 10 minutes
   max: 5, // 5 verification attempts per 10 minutes per phone/IP
+  store: new RedisRateLimitStore('otp_verify'),
+  passOnStoreError: true,
   message: {
     success: false,
     message: 'Too many verification attempts. Please wait 10 minutes before trying again.',
@@ -86,6 +95,8 @@ const otpVerifyLimiter = skipRateLimiting ? (req, res, next) => next() : rateLim
 const signupLimiter = skipRateLimiting ? (req, res, next) => next() : rateLimit({
   windowMs: 60 * 60 * 1000, // 1 hour
   max: 5, // 5 signup attempts per hour per IP
+  store: new RedisRateLimitStore('signup'),
+  passOnStoreError: true,
   message: {
     success: false,
     message: 'Too many signup attempts. Please wait 1 hour before trying again.',
@@ -110,6 +121,8 @@ const signupLimiter = skipRateLimiting ? (req, res, next) => next() : rateLimit(
 const swaggerLimiter = skipRateLimiting ? (req, res, next) => next() : rateLimit({
   windowMs: 1000, // 1 second
   max: 500, // 500 requests per second for testing
+  store: new RedisRateLimitStore('swagger'),
+  passOnStoreError: true,
   message: {
     success: false,
     message: 'Too many requests to documentation. Please wait a moment.',
@@ -120,70 +133,127 @@ const swaggerLimiter = skipRateLimiting ? (req, res, next) => next() : rateLimit
 });
 
 /**
- * Custom rate limiter for phone number based limits
- * This creates a more specific rate limit per phone number
+ * Custom rate limiter keyed by a request body field
+ * This creates a more specific rate limit per phone number or email address
+ * @param {string} field - Body field the limit applies to
+ * @param {number} windowMs - Sliding window length in milliseconds
+ * @param {number} max - Maximum requests per field value in the window
+ * @param {string} message - Message returned when the limit is hit
+ * @param {string} prefix - Unique limiter name used in the Redis keys
  */
-const createPhoneNumberLimiter = (windowMs, max, message) => {
-  const limiters = new Map();
-  
-  return (req, res, next) => {
-    // Skip rate limiting in development
-    if (skipRateLimiting) {
-      return next();
-    }
-    
-    const phoneNumber = req.body?.phoneNumber;
-    
-    if (!phoneNumber) {
-      return next();
-    }
-    
-    if (!limiters.has(phoneNumber)) {
-      limiters.set(phoneNumber, rateLimit({
-        windowMs: windowMs,
-        max: max,
-        message: {
-          success: false,
-          message: message,
-          retryAfter: Math.ceil(windowMs / 1000)
-        },
-        standardHeaders: true,
-        legacyHeaders: false,
-        handler: (req, res) => {
-          res.status(429).json({
-            success: false,
-            message: message,
-            retryAfter: Math.ceil(windowMs / 1000)
-          });
-        },
-        keyGenerator: () => phoneNumber
-      }));
-    }
-    
-    const limiter = limiters.get(phoneNumber);
-    limiter(req, res, next);
-  };
+const createBodyFieldLimiter = (field, windowMs, max, message, prefix) => {
+  if (skipRateLimiting) {
+    return (req, res, next) => next();
+  }
+
+  return rateLimit({
+    windowMs: windowMs,
+    max: max,
+    store: new RedisRateLimitStore(prefix),
+    passOnStoreError: true,
+    message: {
+      success: false,
+      message: message,
+      retryAfter: Math.ceil(windowMs / 1000)
+    },
+    standardHeaders: true,
+    legacyHeaders: false,
+    handler: (req, res) => {
+      res.status(429).json({
+        success: false,
+        message: message,
+        retryAfter: Math.ceil(windowMs / 1000)
+      });
+    },
+    keyGenerator: (req) => req.body[field],
+    // Requests without the field are left to the IP-based limiters
+    skip: (req) => !req.body?.[field]
+  });
 };
 
+/**
+ * Custom rate limiter for phone number based limits
+ * @param {number} windowMs - Sliding window length in milliseconds
+ * @param {number} max - Maximum requests per phone number in the window
+ * @param {string} message - Message returned when the limit is hit
+ * @param {string} prefix - Unique limiter name used in the Redis keys
+ */
+const createPhoneNumberLimiter = (windowMs, max, message, prefix) =>
+  createBodyFieldLimiter('phoneNumber', windowMs, max, message, prefix);
+
 // Phone number specific OTP limiter - stricter per-phone limits
 const phoneOtpLimiter = createPhoneNumberLimiter(
   60 * 60 * 1000, // 1 hour
   2, // 2 requests per hour per phone number
-  'Too many OTP requests for this phone number. Please wait 1 hour before requesting another OTP.'
+  'Too many OTP requests for this phone number. Please wait 1 hour before requesting another OTP.',
+  'phone_otp'
 );
 
 // Phone number specific verification limiter - prevents targeted brute force
 const phoneVerifyLimiter = createPhoneNumberLimiter(
   60 * 60 * 1000, // 1 hour
   3, // 3 verification attempts per hour per phone number
-  'Too many verification attempts for this phone number. Please wait 1 hour before trying again.'
+  'Too many verification attempts for this phone number. Please wait 1 hour before trying again.',
+  'phone_verify'
 );
 
 // Phone number specific signup limiter - prevents multiple account creation from same phone
 const phoneSignupLimiter = createPhoneNumberLimiter(
   24 * 60 * 60 * 1000, // 24 hours
   1, // 1 signup attempt per day per phone number
-  'Only one account can be created per phone number every 24 hours.'
+  'Only one account can be created per phone number every 24 hours.',
+  'phone_signup'
+);
+
+// Email specific OTP limiter - prevents flooding an inbox with codes
+const emailOtpLimiter = createBodyFieldLimiter(
+  'email',
+  60 * 60 * 1000, // 1 hour
+  3, // 3 requests per hour per email address
+  'Too many OTP requests for this email address. Please wait 1 hour before requesting another OTP.',
+  'email_otp'
+);
+
+// Email specific verification limiter - prevents targeted brute force
+const emailVerifyLimiter = createBodyFieldLimiter(
+  'email',
+  60 * 60 * 1000, // 1 hour
+  3, // 3 verification attempts per hour per email address
+  'Too many verification attempts for this email address. Please wait 1 hour before trying again.',
+  'email_verify'
+);
+
+// Phone change limiters - keyed by the new number so it cannot be flooded with codes
+const phoneChangeOtpLimiter = createBodyFieldLimiter(
+  'newPhoneNumber',
+  60 * 60 * 1000, // 1 hour
+  2, // 2 requests per hour per phone number
+  'Too many OTP requests for this phone number. Please wait 1 hour before requesting another OTP.',
+  'phone_change_otp'
+);
+
+const phoneChangeVerifyLimiter = createBodyFieldLimiter(
+  'newPhoneNumber',
+  60 * 60 * 1000, // 1 hour
+  3, // 3 verification attempts per hour per phone number
+  'Too many verification attempts for this phone number. Please wait 1 hour before trying again.',
+  'phone_change_verify'
+);
+
+// Passkey login limiter - per phone number, covers both options and verification
+const passkeyLoginLimiter = createPhoneNumberLimiter(
+  60 * 60 * 1000, // 1 hour
+  10, // 10 passkey login requests per hour per phone number
+  'Too many passkey sign-in attempts for this phone number. Please wait 1 hour before trying again.',
+  'passkey_login'
+);
+
+// Trusted device login limiter - per phone number, so stolen trust tokens cannot be tried in bulk
+const trustedDeviceLoginLimiter = createPhoneNumberLimiter(
+  60 * 60 * 1000, // 1 hour
+  10, // 10 trusted device logins per hour per phone number
+  'Too many sign-in attempts for this phone number. Please wait 1 hour before trying again.',
+  'trusted_device_login'
 );
 
 module.exports = {
@@ -195,5 +265,12 @@ module.exports = {
   phoneOtpLimiter,
   phoneVerifyLimiter,
   phoneSignupLimiter,
-  createPhoneNumberLimiter
+  emailOtpLimiter,
+  emailVerifyLimiter,
+  phoneChangeOtpLimiter,
+  phoneChangeVerifyLimiter,
+  passkeyLoginLimiter,
+  trustedDeviceLoginLimiter,
+  createPhoneNumberLimiter,
+  createBodyFieldLimiter
 };
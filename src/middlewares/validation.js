@@ -1,6 +1,7 @@
 const Joi = require('joi');
 const phoneValidator = require('../utils/phoneValidator');
 const logger = require('../config/logger');
+const { SIGN_IN_OTP_PURPOSES, DEFAULT_OTP_PURPOSE, OTP_CHANNELS } = require('../constants/otpConstants');
 
 /**
  * Validation schemas using Joi
@@ -22,6 +23,20 @@ const otpSchema = Joi.string()
     'any.required': 'OTP is required'
   });
 
+const otpPurposeSchema = Joi.string()
+  .valid(...SIGN_IN_OTP_PURPOSES)
+  .default(DEFAULT_OTP_PURPOSE)
+  .messages({
+    'any.only': `Purpose must be one of: ${SIGN_IN_OTP_PURPOSES.join(', ')}`
+  });
+
+// No default: resend picks a channel from the previous OTP when none is given
+const otpChannelSchema = Joi.string()
+  .valid(...Object.values(OTP_CHANNELS))
+  .messages({
+    'any.only': `Channel must be one of: ${Object.values(OTP_CHANNELS).join(', ')}`
+  });
+
 const emailSchema = Joi.string()
   .email()
   .required()
@@ -67,12 +82,18 @@ const acceptsMarketingSchema = Joi.boolean()
  * Validation schemas for different endpoints
  */
 const sendOTPSchema = Joi.object({
-  phoneNumber: phoneNumberSchema
+  phoneNumber: phoneNumberSchema,
+  purpose: otpPurposeSchema,
+  channel: otpChannelSchema
 });
 
 const verifyOTPSchema = Joi.object({
   phoneNumber: phoneNumberSchema,
-  otp: otpSchema
+  otp: otpSchema,
+  purpose: otpPurposeSchema,
+  rememberDevice: Joi.boolean()
+    .default(false)
+    .optional()
 });
 
 const customerSignupSchema = Joi.object({
@@ -84,10 +105,106 @@ const customerSignupSchema = Joi.object({
   acceptsMarketing: acceptsMarketingSchema
 });
 
+// Profile updates are partial: every field is optional, but at least one is needed
+const customerUpdateSchema = Joi.object({
+  name: nameSchema.optional(),
+  email: emailSchema.optional().lowercase(),
+  gender: genderSchema,
+  birthdate: birthdateSchema,
+  acceptsMarketing: Joi.boolean().optional()
+})
+  .min(1)
+  .messages({
+    'object.min': 'Provide at least one field to update'
+  });
+
+const phoneChangeRequestSchema = Joi.object({
+  newPhoneNumber: phoneNumberSchema,
+  channel: otpChannelSchema
+});
+
+// oldPhoneOtp is only needed when the current number must be confirmed too
+const phoneChangeVerifySchema = Joi.object({
+  newPhoneNumber: phoneNumberSchema,
+  otp: otpSchema,
+  oldPhoneOtp: otpSchema.optional()
+});
+
 const loginLinkRequestSchema = Joi.object({
   email: emailSchema
 });
 
+// Email OTPs are keyed by the address, so compare it case-insensitively
+const emailOTPSendSchema = Joi.object({
+  email: emailSchema.lowercase()
+});
+
+const emailOTPVerifySchema = Joi.object({
+  email: emailSchema.lowercase(),
+  otp: otpSchema
+});
+
+const refreshTokenSchema = Joi.object({
+  refreshToken: Joi.string()
+    .required()
+    .messages({
+      'any.required': 'Refresh token is required'
+    })
+});
+
+const logoutSchema = Joi.object({
+  refreshToken: Joi.string()
+    .required()
+    .messages({
+      'any.required': 'Refresh token is required'
+    }),
+  allDevices: Joi.boolean()
+    .default(false)
+    .optional()
+});
+
+const trustedDeviceLoginSchema = Joi.object({
+  phoneNumber: phoneNumberSchema,
+  trustToken: Joi.string()
+    .required()
+    .messages({
+      'any.required': 'Trust token is required'
+    })
+});
+
+// Device IDs are the hashed device_id cookies listed by GET /api/customer/devices
+const deviceIdParamSchema = Joi.object({
+  id: Joi.string()
+    .pattern(/^[0-9a-f]{64}$/i)
+    .required()
+    .messages({
+      'string.pattern.base': 'Invalid device ID'
+    })
+});
+
+// Credential JSON from @simplewebauthn/browser; checked in full by passkeyService
+const passkeyResponseSchema = Joi.object({
+  id: Joi.string().required()
+})
+  .unknown(true)
+  .required()
+  .messages({
+    'any.required': 'Passkey response is required'
+  });
+
+const passkeyRegistrationVerifySchema = Joi.object({
+  response: passkeyResponseSchema
+});
+
+const passkeyLoginOptionsSchema = Joi.object({
+  phoneNumber: phoneNumberSchema
+});
+
+const passkeyLoginVerifySchema = Joi.object({
+  phoneNumber: phoneNumberSchema,
+  response: passkeyResponseSchema
+});
+
 /**
  * Middleware factory for validation
  */
@@ -248,11 +365,27 @@ const sanitizeInput = (req, res, next) => {
   next();
 };
 
+// Endpoints that also accept form-encoded bodies (SMS gateways often post delivery reports as forms)
+const FORM_ENCODED_PATHS = ['/api/webhooks/sms/dlr'];
+
+/**
+ * Whether a request carries a body; clients send bodyless POSTs with Content-Length 0 or none
+ * @param {object} req - Express request object
+ * @returns {boolean} True when a body follows
+ */
+const hasRequestBody = (req) =>
+  req.headers['transfer-encoding'] !== undefined || parseInt(req.headers['content-length'], 10) > 0;
+
 /**
  * Content-Type validation middleware
+ * Bodyless requests have no content type to check
  */
 const validateContentType = (req, res, next) => {
-  if (['POST', 'PUT', 'PATCH'].includes(req.method)) {
+  if (['POST', 'PUT', 'PATCH'].includes(req.method) && hasRequestBody(req)) {
+    if (FORM_ENCODED_PATHS.includes(req.path) && req.is('application/x-www-form-urlencoded')) {
+      return next();
+    }
+
     if (!req.is('application/json')) {
       return res.status(400).json({
         success: false,
@@ -272,7 +405,19 @@ module.exports = {
   sendOTPSchema,
   verifyOTPSchema,
   customerSignupSchema,
+  customerUpdateSchema,
+  phoneChangeRequestSchema,
+  phoneChangeVerifySchema,
+  deviceIdParamSchema,
+  trustedDeviceLoginSchema,
   loginLinkRequestSchema,
+  emailOTPSendSchema,
+  emailOTPVerifySchema,
+  refreshTokenSchema,
+  logoutSchema,
+  passkeyRegistrationVerifySchema,
+  passkeyLoginOptionsSchema,
+  passkeyLoginVerifySchema,
   
   // Validation middleware
   validate,
@@ -0,0 +1,32 @@
+const express = require('express');
+const router = express.Router();
+const adminController = require('../controllers/adminController');
+const { validatePhoneNumberQuery } = require('../middlewares/validation');
+const apiKeyMiddleware = require('../middlewares/apiKeyMiddleware');
+
+/**
+ * @swagger
+ * tags:
+ *   name: Admin
+ *   description: Support lookups, require the admin API key
+ */
+
+router.use(apiKeyMiddleware.requireAdminKey);
+
+// Recent SMS deliveries for a phone number
+router.get('/sms',
+  validatePhoneNumberQuery, // Validate phone number in query params
+  adminController.getSMSDeliveriesByPhone
+);
+
+// Delivery status of a single SMS
+router.get('/sms/:csmsId',
+  adminController.getSMSDelivery
+);
+
+// Shopify customer lookup cache hit rate
+router.get('/shopify/lookup-cache',
+  adminController.getLookupCacheStats
+);
+
+module.exports = router;
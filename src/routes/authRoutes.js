@@ -0,0 +1,80 @@
+const express = require('express');
+const router = express.Router();
+const authController = require('../controllers/authController');
+const passkeyController = require('../controllers/passkeyController');
+const {
+  validate,
+  refreshTokenSchema,
+  logoutSchema,
+  passkeyRegistrationVerifySchema,
+  passkeyLoginOptionsSchema,
+  passkeyLoginVerifySchema,
+  trustedDeviceLoginSchema
+} = require('../middlewares/validation');
+const { generalLimiter, passkeyLoginLimiter, trustedDeviceLoginLimiter } = require('../middlewares/rateLimiter');
+const deviceMiddleware = require('../middlewares/deviceMiddleware');
+const authMiddleware = require('../middlewares/authMiddleware');
+
+/**
+ * @swagger
+ * tags:
+ *   name: Auth
+ *   description: Session token, passkey and trusted device endpoints
+ */
+
+// Refresh session tokens endpoint
+router.post('/token/refresh',
+  deviceMiddleware.requireDeviceId, // Refresh tokens are bound to the device cookie
+  generalLimiter,                   // Rate limit refresh requests
+  validate(refreshTokenSchema),     // Validate request body
+  authController.refreshToken
+);
+
+// Logout endpoint
+router.post('/logout',
+  deviceMiddleware.requireDeviceId, // Require device cookie validation
+  generalLimiter,                   // Rate limit logout requests
+  validate(logoutSchema),           // Validate request body
+  authController.logout
+);
+
+// Sign in without an OTP on a device remembered at OTP verification
+router.post('/trusted-device/login',
+  deviceMiddleware.requireDeviceId,     // Trust tokens are bound to the device cookie
+  trustedDeviceLoginLimiter,            // Rate limit per phone number
+  validate(trustedDeviceLoginSchema),   // Validate request body
+  authController.trustedDeviceLogin
+);
+
+// Passkey registration options endpoint - customer must already be signed in
+router.post('/passkey/register/options',
+  deviceMiddleware.requireDeviceId, // Challenge is bound to the device cookie
+  authMiddleware.requireAuth,       // Require a session from OTP verification
+  passkeyController.registrationOptions
+);
+
+// Passkey registration verification endpoint
+router.post('/passkey/register/verify',
+  deviceMiddleware.requireDeviceId,          // Credential is linked to the device cookie
+  authMiddleware.requireAuth,                // Require a session from OTP verification
+  validate(passkeyRegistrationVerifySchema), // Validate request body
+  passkeyController.verifyRegistration
+);
+
+// Passkey login options endpoint
+router.post('/passkey/login/options',
+  deviceMiddleware.requireDeviceId,     // Challenge is bound to the device cookie
+  passkeyLoginLimiter,                  // Rate limit per phone number
+  validate(passkeyLoginOptionsSchema),  // Validate request body
+  passkeyController.loginOptions
+);
+
+// Passkey login verification endpoint
+router.post('/passkey/login/verify',
+  deviceMiddleware.requireDeviceId,     // Session is bound to the device cookie
+  passkeyLoginLimiter,                  // Rate limit per phone number
+  validate(passkeyLoginVerifySchema),   // Validate request body
+  passkeyController.verifyLogin
+);
+
+module.exports = router;
@@ -1,9 +1,18 @@
 const express = require('express');
 const router = express.Router();
 const customerController = require('../controllers/customerController');
-const { validate, validatePhoneNumber, validatePhoneNumberQuery, customerSignupSchema } = require('../middlewares/validation');
-const { signupLimiter, generalLimiter, phoneSignupLimiter } = require('../middlewares/rateLimiter');
+const { validate, validatePhoneNumber, validatePhoneNumberQuery, customerSignupSchema, customerUpdateSchema, phoneChangeRequestSchema, phoneChangeVerifySchema, deviceIdParamSchema } = require('../middlewares/validation');
+const {
+  signupLimiter,
+  generalLimiter,
+  phoneSignupLimiter,
+  otpSendLimiter,
+  otpVerifyLimiter,
+  phoneChangeOtpLimiter,
+  phoneChangeVerifyLimiter
+} = require('../middlewares/rateLimiter');
 const deviceMiddleware = require('../middlewares/deviceMiddleware');
+const authMiddleware = require('../middlewares/authMiddleware');
 
 /**
  * @swagger
@@ -29,4 +38,50 @@ router.get('/check-exists',
   customerController.checkCustomerExists
 );
 
+// Update profile of the signed-in customer endpoint
+router.patch('/me',
+  deviceMiddleware.requireDeviceId, // Access tokens are bound to the device cookie
+  authMiddleware.requireAuth,       // Require a valid access token
+  generalLimiter,                   // Rate limit requests
+  validate(customerUpdateSchema),   // Validate request body
+  customerController.updateProfile
+);
+
+// Request a phone number change endpoint
+router.post('/me/phone',
+  deviceMiddleware.requireDeviceId, // Access tokens are bound to the device cookie
+  authMiddleware.requireAuth,       // Require a valid access token
+  otpSendLimiter,                   // Rate limit OTP requests by IP
+  phoneChangeOtpLimiter,            // Additional per-number limiting
+  validate(phoneChangeRequestSchema), // Validate request body
+  customerController.requestPhoneChange
+);
+
+// Confirm a phone number change endpoint
+router.post('/me/phone/verify',
+  deviceMiddleware.requireDeviceId, // Access tokens are bound to the device cookie
+  authMiddleware.requireAuth,       // Require a valid access token
+  otpVerifyLimiter,                 // Rate limit verification attempts by IP
+  phoneChangeVerifyLimiter,         // Additional per-number limiting
+  validate(phoneChangeVerifySchema), // Validate request body
+  customerController.confirmPhoneChange
+);
+
+// List devices of the signed-in customer endpoint
+router.get('/devices',
+  deviceMiddleware.requireDeviceId, // Access tokens are bound to the device cookie
+  authMiddleware.requireAuth,       // Require a valid access token
+  generalLimiter,                   // Rate limit requests
+  customerController.listDevices
+);
+
+// Revoke a device endpoint
+router.delete('/devices/:id',
+  deviceMiddleware.requireDeviceId, // Access tokens are bound to the device cookie
+  authMiddleware.requireAuth,       // Require a valid access token
+  generalLimiter,                   // Rate limit requests
+  validate(deviceIdParamSchema, 'params'), // Validate device ID
+  customerController.revokeDevice
+);
+
 module.exports = router;
\ No newline at end of file
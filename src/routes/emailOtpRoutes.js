@@ -0,0 +1,35 @@
+const express = require('express');
+const router = express.Router();
+const emailOtpController = require('../controllers/emailOtpController');
+const { validate, emailOTPSendSchema, emailOTPVerifySchema } = require('../middlewares/validation');
+const { otpSendLimiter, otpVerifyLimiter, emailOtpLimiter, emailVerifyLimiter } = require('../middlewares/rateLimiter');
+const deviceMiddleware = require('../middlewares/deviceMiddleware');
+
+/**
+ * @swagger
+ * tags:
+ *   name: Email OTP
+ *   description: Email-based OTP login endpoints
+ */
+
+// Per-email limiters run after validation so the address is already lowercased
+
+// Send email OTP endpoint
+router.post('/send',
+  deviceMiddleware.requireDeviceId,  // Require device cookie validation
+  otpSendLimiter,                    // Rate limit OTP sending
+  validate(emailOTPSendSchema),      // Validate request body
+  emailOtpLimiter,                   // Additional per-email rate limiting
+  emailOtpController.sendEmailOTP
+);
+
+// Verify email OTP endpoint
+router.post('/verify',
+  deviceMiddleware.requireDeviceId,  // Require device cookie validation
+  otpVerifyLimiter,                  // Rate limit verification attempts
+  validate(emailOTPVerifySchema),    // Validate request body
+  emailVerifyLimiter,                // Additional per-email verification limiting
+  emailOtpController.verifyEmailOTP
+);
+
+module.exports = router;
@@ -41,4 +41,10 @@ router.post('/resend',
   otpController.resendOTP
 );
 
+// SMS delivery status endpoint
+router.get('/status',
+  deviceMiddleware.requireDeviceId, // Require device cookie validation
+  otpController.getSMSStatus
+);
+
 module.exports = router;
\ No newline at end of file
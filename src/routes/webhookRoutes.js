@@ -0,0 +1,30 @@
+const express = require('express');
+const router = express.Router();
+const webhookController = require('../controllers/webhookController');
+const apiKeyMiddleware = require('../middlewares/apiKeyMiddleware');
+
+/**
+ * @swagger
+ * tags:
+ *   name: Webhooks
+ *   description: Callbacks from external services
+ */
+
+// SMS delivery report endpoint (gateways use either method)
+router.get('/sms/dlr',
+  apiKeyMiddleware.requireDLRSecret, // Require the shared webhook secret
+  webhookController.handleSMSDeliveryReport
+);
+
+router.post('/sms/dlr',
+  apiKeyMiddleware.requireDLRSecret, // Require the shared webhook secret
+  webhookController.handleSMSDeliveryReport
+);
+
+// Shopify customer webhooks: customers/create, customers/update and customers/delete
+router.post('/shopify/customers/:event',
+  apiKeyMiddleware.requireShopifyHmac, // Require a valid X-Shopify-Hmac-Sha256 signature
+  webhookController.handleShopifyCustomerWebhook
+);
+
+module.exports = router;
@@ -0,0 +1,64 @@
+/**
+ * Re-encrypts stored customer data with the active Redis encryption key
+ * Encrypts records written before encryption was enabled and moves records
+ * encrypted with a retired key to the active one. Safe to run repeatedly
+ * while the API is serving traffic.
+ *
+ * Usage: npm run redis:reencrypt
+ */
+
+const redisClient = require('../config/database');
+const logger = require('../config/logger');
+const redisEncryption = require('../utils/redisEncryption');
+const { REDIS_KEYS } = require('../constants/customerConstants');
+const { REDIS_KEYS: SMS_REDIS_KEYS } = require('../constants/smsConstants');
+
+// Keys whose values hold encrypted fields
+const KEY_PATTERNS = [
+  `${REDIS_KEYS.CUSTOMER_PREFIX}*`,
+  `${REDIS_KEYS.CUSTOMER_TOKEN_PREFIX}*`,
+  `${SMS_REDIS_KEYS.JOB_PREFIX}*`
+];
+
+async function reencryptRedisData() {
+  if (!redisEncryption.isEnabled()) {
+    throw new Error('REDIS_ENCRYPTION_KEYS and REDIS_ENCRYPTION_KEY_ID must be set to re-encrypt data');
+  }
+
+  const counts = { scanned: 0, reencrypted: 0, current: 0, changed: 0, failed: 0 };
+
+  for (const pattern of KEY_PATTERNS) {
+    for await (const key of redisClient.scanKeys(pattern)) {
+      counts.scanned++;
+      try {
+        counts[await redisClient.reencrypt(key)]++;
+      } catch (error) {
+        counts.failed++;
+        logger.error(`ERROR: Failed to re-encrypt ${key}:`, error.message);
+      }
+    }
+  }
+
+  return counts;
+}
+
+async function main() {
+  try {
+    await redisClient.connect();
+    const counts = await reencryptRedisData();
+
+    logger.info('Redis re-encryption finished', counts);
+    if (counts.changed > 0) {
+      logger.warn('WARNING: Some records changed while being re-encrypted; run the migration again');
+    }
+
+    process.exitCode = counts.failed > 0 ? 1 : 0;
+  } catch (error) {
+    logger.error('ERROR: Redis re-encryption failed:', error);
+    process.exitCode = 1;
+  } finally {
+    await redisClient.disconnect();
+  }
+}
+
+main();
@@ -0,0 +1,132 @@
+/**
+ * Customer Lookup Cache
+ * Read-through Redis cache in front of Shopify customer searches by phone
+ * number and email. Found customers and misses are cached with separate TTLs,
+ * and entries are dropped whenever this service or a Shopify webhook changes
+ * a customer's phone number or email. Hit and miss counts are kept per process.
+ */
+
+const redisClient = require('../config/database');
+const config = require('../config/environment');
+const logger = require('../config/logger');
+const { REDIS_KEYS } = require('../constants/customerConstants');
+
+class CustomerLookupCache {
+  constructor() {
+    this.config = config.shopify.lookupCache;
+    this.resetStats();
+  }
+
+  /**
+   * Returns the cached lookup result, or runs the lookup and caches its result
+   * Failed lookups are never cached. Redis errors fall through to the lookup
+   * so the cache cannot make customer checks fail
+   * @param {string} field - 'phone' or 'email'
+   * @param {string} value - Phone number or email
+   * @param {Function} lookup - Performs the Shopify search
+   * @returns {Promise<object>} Customer existence result
+   */
+  async getOrLookup(field, value, lookup) {
+    if (!this.config.enabled) {
+      return lookup();
+    }
+
+    const key = this.getKey(field, value);
+
+    try {
+      const cached = await redisClient.get(key);
+      if (cached) {
+        this.stats[cached.exists ? 'positiveHits' : 'negativeHits']++;
+        return cached;
+      }
+    } catch (error) {
+      this.stats.errors++;
+      logger.warn('WARNING: Customer lookup cache read failed', { field, error: error.message });
+    }
+
+    this.stats.misses++;
+    const result = await lookup();
+
+    if (!result.error) {
+      try {
+        const ttl = result.exists ? this.config.positiveTTLSeconds : this.config.negativeTTLSeconds;
+        await redisClient.set(key, result, ttl);
+      } catch (error) {
+        this.stats.errors++;
+        logger.warn('WARNING: Customer lookup cache write failed', { field, error: error.message });
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Drops the cached lookups of a customer's phone number and email
+   * @param {object} identity - Phone number and/or email
+   */
+  async invalidate(identity) {
+    const keys = [];
+    if (identity.phoneNumber) {
+      keys.push(this.getKey('phone', identity.phoneNumber));
+    }
+    if (identity.email) {
+      keys.push(this.getKey('email', identity.email));
+    }
+
+    for (const key of keys) {
+      try {
+        if (await redisClient.delete(key)) {
+          this.stats.invalidations++;
+        }
+      } catch (error) {
+        this.stats.errors++;
+        logger.error('ERROR: Failed to invalidate customer lookup cache:', error);
+      }
+    }
+  }
+
+  /**
+   * Hit and miss counts since startup or the last reset
+   * @returns {object} Cache statistics
+   */
+  getStats() {
+    const hits = this.stats.positiveHits + this.stats.negativeHits;
+    const lookups = hits + this.stats.misses;
+
+    return {
+      enabled: this.config.enabled,
+      positiveTTLSeconds: this.config.positiveTTLSeconds,
+      negativeTTLSeconds: this.config.negativeTTLSeconds,
+      hits,
+      ...this.stats,
+      hitRate: lookups > 0 ? Number((hits / lookups).toFixed(4)) : null,
+      since: this.statsSince
+    };
+  }
+
+  resetStats() {
+    this.stats = {
+      positiveHits: 0,
+      negativeHits: 0,
+      misses: 0,
+      invalidations: 0,
+      errors: 0
+    };
+    this.statsSince = new Date().toISOString();
+  }
+
+  /**
+   * Gets the Redis key of a cached lookup
+   * Phone numbers are keyed by digits and emails in lower case, matching how
+   * search results are compared to the identifier
+   * @param {string} field - 'phone' or 'email'
+   * @param {string} value - Phone number or email
+   * @returns {string} Redis key
+   */
+  getKey(field, value) {
+    const normalized = field === 'email' ? value.toLowerCase() : value.replace(/\D/g, '');
+    return `${REDIS_KEYS.CUSTOMER_LOOKUP_PREFIX}${field}:${normalized}`;
+  }
+}
+
+module.exports = new CustomerLookupCache();
@@ -3,10 +3,12 @@
  */
 
 const shopifyService = require('./shopifyService');
+const customerLookupCache = require('./customerLookupCache');
 const otpGenerator = require('../utils/otpGenerator');
 const redisClient = require('../config/database');
 const Logger = require('../utils/logger');
-const { REDIS_KEYS, PASSWORD_CONFIG } = require('../constants/customerConstants');
+const config = require('../config/environment');
+const { REDIS_KEYS, PASSWORD_CONFIG, LOGIN_MODES, ERROR_MESSAGES } = require('../constants/customerConstants');
 
 class CustomerService {
   /**
@@ -32,7 +34,7 @@ class CustomerService {
       }
 
       // Check if customer already exists by email
-      const existingByEmail = await this.checkCustomerExists(email);
+      const existingByEmail = await this.checkCustomerExistsByEmail(email);
       if (existingByEmail.exists) {
         return {
           success: false,
@@ -61,6 +63,8 @@ class CustomerService {
 
       // Store customer data in Redis
       await this.storeCustomerData(shopifyResult.customer, customerData, passwordData);
+      // Both lookups were just cached as "not found"
+      await customerLookupCache.invalidate({ phoneNumber, email });
 
       // Prepare response data
       const responseData = this.prepareCustomerResponse(shopifyResult.customer, customerData, passwordData.plainPassword);
@@ -176,7 +180,8 @@ class CustomerService {
       phoneNumber,
       name,
       email,
-      password,
+      // Shopify only needs the password when customers sign in to the storefront with it
+      ...(this.keepsPlainPassword() && { password }),
       gender,
       birthdate,
       acceptsMarketing: acceptsMarketing || false
@@ -198,7 +203,8 @@ class CustomerService {
       email: originalData.email,
       name: originalData.name,
       hashedPassword: passwordData.hashedPassword,
-      plainPassword: passwordData.plainPassword, // Store temporarily for response
+      // The plain password is only kept for login modes that sign in with it
+      ...(this.keepsPlainPassword() && { plainPassword: passwordData.plainPassword }),
       gender: originalData.gender,
       birthdate: originalData.birthdate,
       acceptsMarketing: originalData.acceptsMarketing,
@@ -213,6 +219,277 @@ class CustomerService {
     // Store with no expiry (persist the data)
     await redisClient.set(phoneKey, customerRedisData);
     await redisClient.set(emailKey, customerRedisData);
+    await this.indexStoredCustomer(customerRedisData);
+  }
+
+  /**
+   * Updates the profile of a signed-in customer in Shopify and Redis
+   * @param {object} session - Session of the signed-in customer (phoneNumber, email, customerId)
+   * @param {object} updates - Validated fields to change
+   * @returns {object} Customer update result
+   */
+  async updateCustomerProfile(session, updates) {
+    try {
+      const storedCustomer = await this.getStoredCustomer(session);
+      const customerId = session.customerId || storedCustomer?.customerId || await this.findCustomerId(session);
+
+      if (!customerId) {
+        return {
+          success: false,
+          error: 'CUSTOMER_NOT_FOUND',
+          message: ERROR_MESSAGES.CUSTOMER_NOT_FOUND
+        };
+      }
+
+      const currentEmail = storedCustomer?.email || session.email;
+      if (updates.email && updates.email !== currentEmail) {
+        const existingByEmail = await this.checkCustomerExistsByEmail(updates.email);
+        if (existingByEmail.exists && existingByEmail.customer.customerId !== customerId) {
+          return {
+            success: false,
+            error: 'CUSTOMER_EXISTS_EMAIL',
+            message: ERROR_MESSAGES.CUSTOMER_ALREADY_EXISTS_EMAIL,
+            data: { email: updates.email, customerExists: true }
+          };
+        }
+      }
+
+      Logger.logInfo('Updating customer in Shopify', { customerId, fields: Object.keys(updates) });
+      const shopifyResult = await shopifyService.updateCustomer(customerId, updates);
+
+      if (!shopifyResult.success) {
+        return {
+          success: false,
+          error: shopifyResult.userErrors ? 'SHOPIFY_VALIDATION_FAILED' : 'SHOPIFY_UPDATE_FAILED',
+          message: ERROR_MESSAGES.CUSTOMER_UPDATE_FAILED,
+          details: shopifyResult.error
+        };
+      }
+
+      // Only what Shopify saved goes into Redis; failed parts are reported to the client
+      const failedUpdates = shopifyResult.failedUpdates || [];
+      const appliedUpdates = Object.fromEntries(
+        Object.entries(updates).filter(([field]) => !failedUpdates.includes(field))
+      );
+
+      if (failedUpdates.length > 0) {
+        Logger.logError('updateCustomerProfile', new Error(`Partial Shopify update, ${failedUpdates.join(', ')} failed: ${shopifyResult.error}`));
+      }
+
+      let updatedCustomer = null;
+      if (storedCustomer) {
+        updatedCustomer = await this.updateStoredCustomer(storedCustomer, shopifyResult.customer, appliedUpdates);
+      } else {
+        await customerLookupCache.invalidate({ phoneNumber: session.phoneNumber, email: currentEmail });
+        await customerLookupCache.invalidate({ phoneNumber: shopifyResult.customer.phone, email: shopifyResult.customer.email });
+      }
+
+      return {
+        success: true,
+        partial: failedUpdates.length > 0,
+        data: {
+          ...this.prepareProfileResponse(shopifyResult.customer, updatedCustomer || appliedUpdates, session),
+          ...(failedUpdates.length > 0 && { failedUpdates })
+        }
+      };
+
+    } catch (error) {
+      Logger.logError('updateCustomerProfile', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Gets the Redis copy of a customer, by phone number first and then email
+   * @param {object} identity - Phone number and/or email
+   * @returns {Promise<object|null>} Stored customer data or null
+   */
+  async getStoredCustomer(identity) {
+    for (const identifier of [identity.phoneNumber, identity.email]) {
+      if (identifier) {
+        const customerData = await redisClient.get(otpGenerator.generateCustomerDataKey(identifier));
+        if (customerData) {
+          return customerData;
+        }
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Looks up a customer's Shopify ID by phone number or email
+   * @param {object} identity - Phone number and/or email
+   * @returns {Promise<string|null>} Shopify customer GID or null
+   */
+  async findCustomerId(identity) {
+    const result = identity.phoneNumber
+      ? await this.checkCustomerExists(identity.phoneNumber)
+      : await this.checkCustomerExistsByEmail(identity.email);
+
+    return result.exists ? result.customer.customerId : null;
+  }
+
+  /**
+   * Applies a profile update to the Redis copy written by storeCustomerData
+   * Both the phone and email keys are rewritten, and the old phone or email
+   * key is removed when that identifier changes
+   * @param {object} storedCustomer - Current Redis copy
+   * @param {object} shopifyCustomer - Customer returned by the Shopify update
+   * @param {object} updates - Fields that were changed
+   * @returns {Promise<object>} Updated Redis copy
+   */
+  async updateStoredCustomer(storedCustomer, shopifyCustomer, updates) {
+    Logger.logStoringRedisData();
+
+    const customerRedisData = {
+      ...storedCustomer,
+      ...updates,
+      customerId: shopifyCustomer.id,
+      updatedAt: new Date().toISOString(),
+      shopifyData: { ...storedCustomer.shopifyData, ...shopifyCustomer }
+    };
+
+    // Shopify changes can clear the phone or email, which leaves one key
+    for (const field of ['phoneNumber', 'email']) {
+      if (customerRedisData[field]) {
+        await redisClient.set(otpGenerator.generateCustomerDataKey(customerRedisData[field]), customerRedisData);
+      }
+    }
+
+    for (const field of ['phoneNumber', 'email']) {
+      if (storedCustomer[field] && storedCustomer[field] !== customerRedisData[field]) {
+        await redisClient.delete(otpGenerator.generateCustomerDataKey(storedCustomer[field]));
+      }
+    }
+
+    await this.indexStoredCustomer(customerRedisData);
+
+    await customerLookupCache.invalidate(storedCustomer);
+    await customerLookupCache.invalidate(customerRedisData);
+
+    return customerRedisData;
+  }
+
+  /**
+   * Records which phone and email keys hold a customer's data
+   * Shopify webhooks identify customers only by ID
+   * @param {object} customerData - Stored customer data
+   */
+  async indexStoredCustomer(customerData) {
+    if (!customerData.customerId) {
+      return;
+    }
+
+    await redisClient.set(this.getCustomerIndexKey(customerData.customerId), {
+      phoneNumber: customerData.phoneNumber || null,
+      email: customerData.email || null
+    });
+  }
+
+  /**
+   * Gets stored customer data by Shopify customer ID
+   * Records stored before the ID index existed are found by phone or email
+   * @param {string} customerId - Shopify customer GID
+   * @param {object} [fallbackIdentity] - Phone number and/or email to try without an index entry
+   * @returns {Promise<object|null>} Stored customer data or null
+   */
+  async findStoredCustomerById(customerId, fallbackIdentity = {}) {
+    const index = await redisClient.get(this.getCustomerIndexKey(customerId));
+    const storedCustomer = (index && await this.getStoredCustomer(index))
+      || await this.getStoredCustomer(fallbackIdentity);
+
+    return storedCustomer?.customerId === customerId ? storedCustomer : null;
+  }
+
+  /**
+   * Applies a customer as Shopify reports it to the stored copy
+   * Customers without stored data are left alone: records are only created at
+   * signup, where the storefront login password is generated
+   * @param {object} shopifyCustomer - Customer from a Shopify webhook
+   * @returns {Promise<object>} `{ synced, reason? }`
+   */
+  async syncStoredCustomer(shopifyCustomer) {
+    const phoneValidation = this.validatePhoneNumber(shopifyCustomer.phone);
+    const phoneNumber = phoneValidation.isValid ? phoneValidation.normalizedNumber : shopifyCustomer.phone;
+
+    const storedCustomer = await this.findStoredCustomerById(shopifyCustomer.id, {
+      phoneNumber,
+      email: shopifyCustomer.email
+    });
+
+    if (!storedCustomer) {
+      return { synced: false, reason: 'NOT_STORED' };
+    }
+
+    // Webhooks can arrive out of order; never overwrite newer data
+    const storedUpdatedAt = Date.parse(storedCustomer.shopifyData?.updatedAt);
+    if (storedUpdatedAt > Date.parse(shopifyCustomer.updatedAt)) {
+      return { synced: false, reason: 'STALE' };
+    }
+
+    const name = `${shopifyCustomer.firstName || ''} ${shopifyCustomer.lastName || ''}`.trim();
+
+    Logger.logInfo('Syncing stored customer from Shopify', { customerId: shopifyCustomer.id });
+    await this.updateStoredCustomer(storedCustomer, shopifyCustomer, {
+      phoneNumber: phoneNumber || null,
+      email: shopifyCustomer.email || null,
+      name: name || storedCustomer.name,
+      acceptsMarketing: shopifyCustomer.acceptsMarketing
+    });
+
+    return { synced: true };
+  }
+
+  /**
+   * Removes the stored data of a customer deleted in Shopify
+   * @param {string} customerId - Shopify customer GID
+   * @param {object} [fallbackIdentity] - Phone number and/or email to try without an index entry
+   * @returns {Promise<object>} `{ removed, storedCustomer }`
+   */
+  async removeStoredCustomer(customerId, fallbackIdentity = {}) {
+    const storedCustomer = await this.findStoredCustomerById(customerId, fallbackIdentity);
+
+    if (storedCustomer) {
+      Logger.logInfo('Removing stored customer deleted in Shopify', { customerId });
+
+      for (const field of ['phoneNumber', 'email']) {
+        if (storedCustomer[field]) {
+          await redisClient.delete(otpGenerator.generateCustomerDataKey(storedCustomer[field]));
+        }
+      }
+
+      const tokenKey = this.getCustomerTokenKey(storedCustomer);
+      if (tokenKey) {
+        await redisClient.delete(tokenKey);
+      }
+
+      await customerLookupCache.invalidate(storedCustomer);
+    }
+
+    await redisClient.delete(this.getCustomerIndexKey(customerId));
+
+    return { removed: Boolean(storedCustomer), storedCustomer };
+  }
+
+  /**
+   * Prepares profile response data
+   * @param {object} shopifyCustomer - Customer returned by the Shopify update
+   * @param {object} profile - Updated Redis copy, or the applied updates when there is none
+   * @param {object} session - Session of the signed-in customer
+   * @returns {object} Formatted response data
+   */
+  prepareProfileResponse(shopifyCustomer, profile, session) {
+    return {
+      customerId: shopifyCustomer.id,
+      phoneNumber: shopifyCustomer.phone || session.phoneNumber,
+      email: shopifyCustomer.email,
+      name: `${shopifyCustomer.firstName || ''} ${shopifyCustomer.lastName || ''}`.trim(),
+      gender: profile.gender,
+      birthdate: profile.birthdate,
+      acceptsMarketing: shopifyCustomer.acceptsMarketing,
+      updatedAt: shopifyCustomer.updatedAt
+    };
   }
 
   /**
@@ -228,12 +505,136 @@ class CustomerService {
       phoneNumber: originalData.phoneNumber,
       email: originalData.email,
       name: originalData.name,
-      temporaryPassword, // Include in response so user knows their password
+      // Include in response so user knows their password (legacy password login only)
+      ...(this.usesPasswordLogin() && { temporaryPassword }),
       acceptsMarketing: originalData.acceptsMarketing,
       createdAt: new Date().toISOString()
     };
   }
 
+  /**
+   * Whether verified customers receive their Shopify password (legacy flow)
+   * @returns {boolean} True when the password login mode is active
+   */
+  usesPasswordLogin() {
+    const { loginMode } = config.shopify;
+    return loginMode !== LOGIN_MODES.MULTIPASS && loginMode !== LOGIN_MODES.STOREFRONT_TOKEN;
+  }
+
+  /**
+   * Whether the plain password has to be stored server-side
+   * Storefront token mode still signs in with it but never returns it to clients
+   * @returns {boolean} True unless Multipass login is active
+   */
+  keepsPlainPassword() {
+    return config.shopify.loginMode !== LOGIN_MODES.MULTIPASS;
+  }
+
+  /**
+   * Builds the storefront login hand-off for a verified customer
+   * @param {object} customerData - Customer data from Redis and/or Shopify
+   * @returns {Promise<object>} Login fields to include in the verification response
+   */
+  async buildStorefrontLogin(customerData) {
+    if (this.usesPasswordLogin()) {
+      return {
+        loginMode: LOGIN_MODES.PASSWORD,
+        password: customerData.plainPassword
+      };
+    }
+
+    if (config.shopify.loginMode === LOGIN_MODES.STOREFRONT_TOKEN) {
+      return {
+        loginMode: LOGIN_MODES.STOREFRONT_TOKEN,
+        ...(await this.getCustomerAccessToken(customerData))
+      };
+    }
+
+    try {
+      const [firstName, ...lastNameParts] = (customerData.name || '').trim().split(' ');
+
+      return {
+        loginMode: LOGIN_MODES.MULTIPASS,
+        multipassUrl: shopifyService.buildMultipassUrl({
+          email: customerData.email,
+          firstName: customerData.firstName || firstName,
+          lastName: customerData.lastName || lastNameParts.join(' ')
+        })
+      };
+    } catch (error) {
+      Logger.logError('buildStorefrontLogin', error);
+      return {
+        loginMode: LOGIN_MODES.MULTIPASS,
+        multipassUrl: null
+      };
+    }
+  }
+
+  /**
+   * Gets a Storefront customer access token, reusing the cached one while it is valid
+   * @param {object} customerData - Customer data from Redis
+   * @returns {Promise<object>} `{ customerAccessToken, customerAccessTokenError }`; the token
+   *   (access token and expiry) is null when unavailable and the error code says why
+   */
+  async getCustomerAccessToken(customerData) {
+    const unavailable = (customerAccessTokenError) => ({ customerAccessToken: null, customerAccessTokenError });
+
+    try {
+      const cacheKey = this.getCustomerTokenKey(customerData);
+      if (!cacheKey) {
+        return unavailable('CUSTOMER_CREDENTIALS_MISSING');
+      }
+
+      const { expiryBufferSeconds } = config.shopify.customerAccessToken;
+      const cachedToken = await redisClient.get(cacheKey);
+
+      if (cachedToken && new Date(cachedToken.expiresAt).getTime() - expiryBufferSeconds * 1000 > Date.now()) {
+        return { customerAccessToken: cachedToken, customerAccessTokenError: null };
+      }
+
+      if (!customerData.email || !customerData.plainPassword) {
+        Logger.logError('getCustomerAccessToken', new Error('Stored customer credentials are incomplete'));
+        return unavailable('CUSTOMER_CREDENTIALS_MISSING');
+      }
+
+      const result = await shopifyService.createCustomerAccessToken(customerData.email, customerData.plainPassword);
+      if (!result.success) {
+        Logger.logError('getCustomerAccessToken', new Error(`${result.error}: ${result.message}`));
+        return unavailable(result.error);
+      }
+
+      const customerAccessToken = {
+        accessToken: result.accessToken,
+        expiresAt: result.expiresAt
+      };
+
+      // Cache until shortly before Shopify expires the token
+      const ttlSeconds = Math.floor((new Date(result.expiresAt).getTime() - Date.now()) / 1000) - expiryBufferSeconds;
+      if (ttlSeconds > 0) {
+        await redisClient.set(cacheKey, customerAccessToken, ttlSeconds);
+      }
+
+      return { customerAccessToken, customerAccessTokenError: null };
+    } catch (error) {
+      Logger.logError('getCustomerAccessToken', error);
+      return unavailable('CUSTOMER_TOKEN_FAILED');
+    }
+  }
+
+  getCustomerTokenKey(customerData) {
+    const identifier = customerData?.customerId || customerData?.email;
+    return identifier ? `${REDIS_KEYS.CUSTOMER_TOKEN_PREFIX}${identifier}` : null;
+  }
+
+  /**
+   * Gets the Redis key of a customer's ID index entry
+   * @param {string} customerId - Shopify customer GID
+   * @returns {string} Redis key
+   */
+  getCustomerIndexKey(customerId) {
+    return `${REDIS_KEYS.CUSTOMER_ID_PREFIX}${customerId}`;
+  }
+
   /**
    * Formats customer data for response
    * @param {object} customer - Customer data from Shopify
@@ -0,0 +1,285 @@
+/**
+ * Device Service
+ * Keeps a registry of the devices (device_id cookies) a customer has signed
+ * in from, so they can review them and sign a device out. Entries are keyed
+ * by the hashed device ID also used to bind sessions, and are stored per
+ * session subject. Devices the customer chose to remember get a trust token
+ * that lets them sign in again without an OTP until it expires or the device
+ * is revoked.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const redisClient = require('../config/database');
+const config = require('../config/environment');
+const logger = require('../config/logger');
+const sessionService = require('./sessionService');
+const { ERROR_MESSAGES, SUCCESS_MESSAGES, REDIS_KEYS } = require('../constants/customerConstants');
+
+// First match wins, so iPadOS and Android (both mention other platforms) come first
+const PLATFORM_PATTERNS = [
+  { platform: 'iOS', pattern: /iPhone|iPad|iPod/i },
+  { platform: 'Android', pattern: /Android/i },
+  { platform: 'Windows', pattern: /Windows/i },
+  { platform: 'ChromeOS', pattern: /CrOS/ },
+  { platform: 'macOS', pattern: /Macintosh|Mac OS X/i },
+  { platform: 'Linux', pattern: /Linux/i }
+];
+
+const MAX_USER_AGENT_LENGTH = 256;
+
+class DeviceService {
+  /**
+   * Records a successful sign-in from a device
+   * Never fails the sign-in: errors are logged and swallowed
+   * @param {object} identity - Identity the session was created for (see sessionService.createSession)
+   * @param {string} deviceId - Device ID from the device_id cookie
+   * @param {object} [deviceInfo] - Request details from deviceMiddleware (req.deviceInfo)
+   * @param {string|null} [deviceInfo.userAgent] - User-Agent header
+   * @param {string|null} [deviceInfo.ip] - Client IP address
+   */
+  async recordSignIn(identity, deviceId, deviceInfo = {}) {
+    const subject = sessionService.resolveSubject(identity);
+    if (!subject || !deviceId) {
+      return;
+    }
+
+    try {
+      const deviceHash = sessionService.hashDeviceId(deviceId);
+      const userAgent = deviceInfo.userAgent ? deviceInfo.userAgent.substring(0, MAX_USER_AGENT_LENGTH) : null;
+      const now = Date.now();
+
+      // Read-modify-write in one transaction so concurrent sign-ins of the
+      // subject do not overwrite each other's entries
+      let evicted = [];
+      await redisClient.update(this.getDevicesKey(subject), (stored) => {
+        const devices = stored || [];
+        const existing = devices.find(device => device.id === deviceHash);
+
+        if (existing) {
+          Object.assign(existing, {
+            lastSeenAt: now,
+            userAgent,
+            ip: deviceInfo.ip || null,
+            platform: this.detectPlatform(userAgent)
+          });
+        } else {
+          devices.push({
+            id: deviceHash,
+            firstSeenAt: now,
+            lastSeenAt: now,
+            userAgent,
+            ip: deviceInfo.ip || null,
+            platform: this.detectPlatform(userAgent)
+          });
+        }
+
+        // Keep the most recently seen devices only. Evicted devices are signed out
+        // and forgotten, as the customer can no longer see or revoke them
+        devices.sort((a, b) => b.lastSeenAt - a.lastSeenAt);
+        evicted = devices.splice(config.session.maxRegisteredDevices);
+        return devices;
+      });
+
+      for (const device of evicted) {
+        await redisClient.delete(this.getTrustKey(subject, device.id));
+        await sessionService.revokeDeviceSessions(subject, device.id);
+      }
+
+    } catch (error) {
+      logger.error('ERROR: Failed to record device sign-in:', error);
+    }
+  }
+
+  /**
+   * Remembers a device so it can sign in without an OTP
+   * Replaces any earlier trust token of the device
+   * @param {object} identity - Identity the session was created for (see sessionService.createSession)
+   * @param {string} deviceId - Device ID from the device_id cookie
+   * @returns {Promise<object>} Trust token and its lifetime in seconds
+   */
+  async trustDevice(identity, deviceId) {
+    const ttlSeconds = config.session.trustedDeviceTTLDays * 24 * 60 * 60;
+    const now = Date.now();
+
+    const trustData = {
+      trustId: uuidv4(),
+      subject: sessionService.resolveSubject(identity),
+      phoneNumber: identity.phoneNumber,
+      deviceHash: sessionService.hashDeviceId(deviceId),
+      createdAt: now,
+      expiresAt: now + ttlSeconds * 1000
+    };
+
+    await redisClient.set(this.getTrustKey(trustData.subject, trustData.deviceHash), trustData, ttlSeconds);
+
+    logger.info('Device trusted', {
+      subject: trustData.subject,
+      deviceId: trustData.deviceHash.substring(0, 8)
+    });
+
+    return {
+      trustToken: sessionService.issueTrustToken(trustData, ttlSeconds),
+      expiresIn: ttlSeconds
+    };
+  }
+
+  /**
+   * Checks a trust token presented for a phone number login
+   * @param {string} trustToken - Trust token from trustDevice
+   * @param {object} identity - Identity the login would create a session for
+   * @param {string} deviceId - Device ID from the device_id cookie
+   * @returns {Promise<object>} `{ isValid, error? }`
+   */
+  async verifyTrustedDevice(trustToken, identity, deviceId) {
+    const decoded = sessionService.verifyTrustToken(trustToken);
+    if (!decoded) {
+      return { isValid: false, error: 'INVALID_TRUST_TOKEN' };
+    }
+
+    if (decoded.did !== sessionService.hashDeviceId(deviceId)) {
+      return { isValid: false, error: 'DEVICE_MISMATCH' };
+    }
+
+    // The number or the account behind it may have changed since the device was trusted
+    if (decoded.phone !== identity.phoneNumber || decoded.sub !== sessionService.resolveSubject(identity)) {
+      return { isValid: false, error: 'IDENTITY_MISMATCH' };
+    }
+
+    const trustData = await redisClient.get(this.getTrustKey(decoded.sub, decoded.did));
+    if (!trustData || trustData.trustId !== decoded.tid) {
+      return { isValid: false, error: 'TRUST_REVOKED' };
+    }
+
+    return { isValid: true };
+  }
+
+  /**
+   * Lists the devices of the signed-in customer, most recently seen first
+   * @param {object} session - Session of the signed-in customer (req.auth)
+   * @param {string} deviceId - Device ID of the current request
+   * @returns {Promise<object>} Result with the devices
+   */
+  async listDevices(session, deviceId) {
+    const currentHash = sessionService.hashDeviceId(deviceId);
+    const devices = await this.getDevices(session.subject);
+    const signedInHashes = new Set(
+      (await sessionService.listSessions(session.subject)).map(sessionData => sessionData.deviceHash)
+    );
+
+    const listed = [];
+    for (const device of devices.sort((a, b) => b.lastSeenAt - a.lastSeenAt)) {
+      const trustData = await redisClient.get(this.getTrustKey(session.subject, device.id));
+      listed.push({
+        ...device,
+        current: device.id === currentHash,
+        signedIn: signedInHashes.has(device.id),
+        trustedUntil: trustData ? trustData.expiresAt : null
+      });
+    }
+
+    return {
+      success: true,
+      message: SUCCESS_MESSAGES.DEVICES_RETRIEVED,
+      data: { devices: listed }
+    };
+  }
+
+  /**
+   * Removes a device from the registry, forgets its trust token and revokes its sessions
+   * @param {object} session - Session of the signed-in customer (req.auth)
+   * @param {string} deviceHash - ID of the device, as returned by listDevices
+   * @returns {Promise<object>} Result with the number of revoked sessions
+   */
+  async revokeDevice(session, deviceHash) {
+    const devices = await this.getDevices(session.subject);
+    const remaining = devices.filter(device => device.id !== deviceHash);
+    const listed = remaining.length !== devices.length;
+
+    // A trust token can outlive its registry entry, so it is removed either way
+    const trustRemoved = await redisClient.delete(this.getTrustKey(session.subject, deviceHash));
+
+    if (!listed && !trustRemoved) {
+      return {
+        success: false,
+        error: 'DEVICE_NOT_FOUND',
+        message: ERROR_MESSAGES.DEVICE_NOT_FOUND
+      };
+    }
+
+    if (listed) {
+      await this.saveDevices(session.subject, remaining);
+    }
+    const revokedSessions = await sessionService.revokeDeviceSessions(session.subject, deviceHash);
+
+    logger.info('Device revoked', {
+      subject: session.subject,
+      deviceId: deviceHash.substring(0, 8),
+      revokedSessions
+    });
+
+    return {
+      success: true,
+      message: SUCCESS_MESSAGES.DEVICE_REVOKED,
+      data: {
+        deviceId: deviceHash,
+        revokedSessions
+      }
+    };
+  }
+
+  /**
+   * Signs a subject out everywhere and forgets its devices and trust tokens
+   * Used when a customer ID, phone number or email no longer identifies the customer
+   * @param {string} subject - Session subject
+   * @returns {Promise<number>} Number of revoked sessions
+   */
+  async forgetSubject(subject) {
+    const revokedSessions = await sessionService.revokeAllSessions(subject);
+
+    // Collect first so keys are not deleted under the running scan
+    const trustKeys = [];
+    for await (const key of redisClient.scanKeys(this.getTrustKey(subject.replace(/[*?[\]\\]/g, '\\$&'), '*'))) {
+      trustKeys.push(key);
+    }
+    for (const key of trustKeys) {
+      await redisClient.delete(key);
+    }
+    await redisClient.delete(this.getDevicesKey(subject));
+
+    logger.info('Subject signed out and devices forgotten', {
+      subject,
+      revokedSessions,
+      trustedDevices: trustKeys.length
+    });
+
+    return revokedSessions;
+  }
+
+  /**
+   * Guesses the operating system from a user agent
+   * @param {string|null} userAgent - User-Agent header
+   * @returns {string} Platform name, or Unknown
+   */
+  detectPlatform(userAgent) {
+    const match = userAgent && PLATFORM_PATTERNS.find(({ pattern }) => pattern.test(userAgent));
+    return match ? match.platform : 'Unknown';
+  }
+
+  async getDevices(subject) {
+    return (await redisClient.get(this.getDevicesKey(subject))) || [];
+  }
+
+  async saveDevices(subject, devices) {
+    await redisClient.set(this.getDevicesKey(subject), devices);
+  }
+
+  getDevicesKey(subject) {
+    return `${REDIS_KEYS.DEVICE_PREFIX}${subject}`;
+  }
+
+  getTrustKey(subject, deviceHash) {
+    return `${REDIS_KEYS.TRUSTED_DEVICE_PREFIX}${subject}:${deviceHash}`;
+  }
+}
+
+module.exports = new DeviceService();
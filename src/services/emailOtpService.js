@@ -0,0 +1,180 @@
+/**
+ * Email OTP Service
+ * One-time login codes sent by email as an alternative to login links.
+ * Codes come from otpGenerator keyed by the email address and share the
+ * phone OTP storage, device binding and attempt limits.
+ */
+
+const otpGenerator = require('../utils/otpGenerator');
+const logger = require('../config/logger');
+const emailService = require('./emailService');
+const loginLinkService = require('./loginLinkService');
+const otpService = require('./otpService');
+const customerService = require('./customerService');
+const sessionService = require('./sessionService');
+const deviceService = require('./deviceService');
+const {
+  OTP_PURPOSES,
+  ERROR_MESSAGES,
+  SUCCESS_MESSAGES,
+  LOG_MESSAGES
+} = require('../constants/otpConstants');
+
+// Email OTPs only sign existing customers in
+const EMAIL_OTP_PURPOSE = OTP_PURPOSES.LOGIN;
+
+class EmailOTPService {
+  /**
+   * Sends a login OTP to an email address
+   * @param {string} email - Email address of an existing customer
+   * @param {string} deviceId - The device ID for binding security
+   * @param {string} [locale] - Language of the email
+   * @returns {Promise<object>} Result of OTP sending operation
+   */
+  async sendEmailOTP(email, deviceId, locale) {
+    try {
+      const normalizedEmail = this.normalizeEmail(email);
+      logger.info(`${LOG_MESSAGES.EMAIL_OTP_REQUEST}: ${normalizedEmail}`);
+
+      // Sending doubles as resending, so hold back while the last code is fresh
+      const canSend = await otpService.checkResendEligibility(normalizedEmail, EMAIL_OTP_PURPOSE);
+      if (!canSend.allowed) {
+        return {
+          success: false,
+          message: ERROR_MESSAGES.OTP_TOO_EARLY_RESEND,
+          error: 'OTP_TOO_EARLY_RESEND',
+          data: {
+            email: normalizedEmail,
+            remainingTimeSeconds: canSend.remainingTimeSeconds,
+            retryAfter: canSend.retryAfter
+          }
+        };
+      }
+
+      logger.info(LOG_MESSAGES.CHECKING_CUSTOMER);
+      const customerCheck = await loginLinkService.validateEmailForLogin(normalizedEmail);
+      if (!customerCheck.isValid) {
+        const notFound = customerCheck.error === 'EMAIL_NOT_FOUND';
+        return {
+          success: false,
+          message: notFound ? ERROR_MESSAGES.EMAIL_NOT_FOUND : ERROR_MESSAGES.EMAIL_LOOKUP_FAILED,
+          error: notFound ? 'EMAIL_NOT_FOUND' : 'EMAIL_LOOKUP_FAILED'
+        };
+      }
+
+      logger.info(LOG_MESSAGES.GENERATING_OTP);
+      const otpData = otpGenerator.generateOTP(normalizedEmail, EMAIL_OTP_PURPOSE);
+      otpData.deviceId = deviceId;
+      otpData.channel = 'email';
+      otpData.customer = customerCheck.customer;
+
+      await otpService.storeOTPInRedis(normalizedEmail, otpData);
+
+      const emailResult = await emailService.sendOTPEmail(
+        normalizedEmail,
+        otpData.otp,
+        otpData.expiryMinutes,
+        customerCheck.customer || {},
+        locale
+      );
+
+      if (!emailResult.success) {
+        logger.error('Failed to send OTP email', { email: normalizedEmail, error: emailResult.error });
+        // Nothing reached the user, so don't leave an OTP that blocks sending again
+        await otpService.removeOTPFromRedis(normalizedEmail, EMAIL_OTP_PURPOSE);
+        throw new Error(ERROR_MESSAGES.OTP_DELIVERY_FAILED);
+      }
+
+      return {
+        success: true,
+        message: SUCCESS_MESSAGES.EMAIL_OTP_SENT,
+        data: {
+          email: normalizedEmail,
+          purpose: EMAIL_OTP_PURPOSE,
+          channel: 'email',
+          expiresIn: otpData.expiryMinutes * 60
+        }
+      };
+
+    } catch (error) {
+      logger.error(`${LOG_MESSAGES.ERROR_OCCURRED} in sendEmailOTP:`, error);
+      throw otpService.handleOTPError(error);
+    }
+  }
+
+  /**
+   * Verifies an email OTP and signs the customer in
+   * @param {string} email - Email address the OTP was sent to
+   * @param {string} otp - The OTP code to verify
+   * @param {string} deviceId - The device ID for binding security
+   * @param {object} [deviceInfo] - User agent and IP recorded in the device registry
+   * @returns {Promise<object>} Result of OTP verification
+   */
+  async verifyEmailOTP(email, otp, deviceId, deviceInfo = {}) {
+    try {
+      const normalizedEmail = this.normalizeEmail(email);
+      logger.info(`${LOG_MESSAGES.EMAIL_OTP_VERIFICATION}: ${normalizedEmail}`);
+
+      const check = await otpService.checkIdentifierOTP(normalizedEmail, otp, deviceId, EMAIL_OTP_PURPOSE, 'email');
+      if (!check.success) {
+        return check;
+      }
+
+      logger.info(`${LOG_MESSAGES.OTP_VERIFIED}: ${normalizedEmail}`);
+      await otpService.removeOTPFromRedis(normalizedEmail, EMAIL_OTP_PURPOSE);
+
+      const shopifyCustomer = check.otpData.customer || {};
+      const customerData = shopifyCustomer.phone
+        ? await customerService.getCustomerData(shopifyCustomer.phone)
+        : null;
+
+      // Issue session tokens bound to the verifying device
+      const identity = {
+        phoneNumber: shopifyCustomer.phone,
+        email: normalizedEmail,
+        customerId: customerData?.customerId || shopifyCustomer.id
+      };
+      const session = await sessionService.createSession(identity, deviceId);
+      await deviceService.recordSignIn(identity, deviceId, deviceInfo);
+
+      const storefrontLogin = await customerService.buildStorefrontLogin({ ...shopifyCustomer, ...customerData });
+
+      return {
+        success: true,
+        message: SUCCESS_MESSAGES.OTP_VERIFIED,
+        data: {
+          email: normalizedEmail,
+          purpose: EMAIL_OTP_PURPOSE,
+          verified: true,
+          expired: false,
+          customer: {
+            ...shopifyCustomer,
+            ...storefrontLogin,
+            customerId: customerData?.customerId
+          },
+          session
+        }
+      };
+
+    } catch (error) {
+      logger.error(`${LOG_MESSAGES.ERROR_OCCURRED} in verifyEmailOTP:`, error);
+      throw otpService.handleOTPError(error);
+    }
+  }
+
+  /**
+   * Normalizes an email address for use as the OTP identity key
+   * @param {string} email - Email address
+   * @returns {string} Normalized email
+   * @throws {Error} If the email is invalid
+   */
+  normalizeEmail(email) {
+    const validation = emailService.validateEmailAddress(email);
+    if (!validation.isValid) {
+      throw new Error(`Invalid email: ${validation.message}`);
+    }
+    return validation.normalizedEmail;
+  }
+}
+
+module.exports = new EmailOTPService();
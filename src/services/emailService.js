@@ -1,11 +1,12 @@
 /**
  * Email Service
- * Handles sending login link emails
+ * Handles sending login link and OTP emails
  */
 
 const nodemailer = require('nodemailer');
 const config = require('../config/environment');
 const logger = require('../config/logger');
+const i18n = require('../utils/i18n');
 
 class EmailService {
   constructor() {
@@ -89,15 +90,16 @@ class EmailService {
    * @param {string} email - Recipient email address
    * @param {string} loginUrl - The login URL to send
    * @param {object} customerData - Customer information
+   * @param {string} [locale] - Language of the email
    * @returns {Promise<object>} Email sending result
    */
-  async sendLoginLinkEmail(email, loginUrl, customerData = {}) {
+  async sendLoginLinkEmail(email, loginUrl, customerData = {}, locale = config.i18n.defaultLocale) {
     try {
       const emailData = {
         to: email,
-        subject: 'Sundora Login Link',
-        html: this.generateLoginEmailHtml(loginUrl, customerData),
-        text: this.generateLoginEmailText(loginUrl, customerData)
+        subject: i18n.getCatalog(locale).email.loginLink.subject,
+        html: this.generateLoginEmailHtml(loginUrl, customerData, locale),
+        text: this.generateLoginEmailText(loginUrl, customerData, locale)
       };
 
       if (this.mockSending) {
@@ -117,13 +119,47 @@ class EmailService {
     }
   }
 
+  /**
+   * Sends a one-time login code to the user
+   * @param {string} email - Recipient email address
+   * @param {string} otp - The OTP code
+   * @param {number} expiryMinutes - Minutes until the code expires
+   * @param {object} customerData - Customer information
+   * @param {string} [locale] - Language of the email
+   * @returns {Promise<object>} Email sending result
+   */
+  async sendOTPEmail(email, otp, expiryMinutes, customerData = {}, locale = config.i18n.defaultLocale) {
+    try {
+      const emailData = {
+        to: email,
+        subject: i18n.getCatalog(locale).email.otp.subject,
+        html: this.generateOTPEmailHtml(otp, expiryMinutes, customerData, locale),
+        text: this.generateOTPEmailText(otp, expiryMinutes, customerData, locale)
+      };
+
+      if (this.mockSending) {
+        return this.mockEmailSend(emailData);
+      }
+
+      return await this.sendEmailViaProvider(emailData);
+
+    } catch (error) {
+      logger.error('Error sending OTP email:', error);
+      return {
+        success: false,
+        message: 'Failed to send email',
+        error: error.message
+      };
+    }
+  }
+
   /**
    * Mock email sending for development/testing
    * @param {object} emailData - Email data
    * @returns {object} Mock result
    */
   mockEmailSend(emailData) {
-    logger.info('MOCK EMAIL SENDING - Login Link Email', {
+    logger.info('MOCK EMAIL SENDING', {
       to: emailData.to,
       subject: emailData.subject,
       timestamp: new Date().toISOString()
@@ -135,7 +171,7 @@ class EmailService {
 
     return {
       success: true,
-      message: 'Login link email sent successfully (MOCK)',
+      message: 'Email sent successfully (MOCK)',
       data: {
         messageId: `mock_${Date.now()}`,
         to: emailData.to,
@@ -230,20 +266,20 @@ class EmailService {
    * Generates HTML content for login link email
    * @param {string} loginUrl - Login URL
    * @param {object} customerData - Customer information
+   * @param {string} [locale] - Language of the email
    * @returns {string} HTML content
    */
-  generateLoginEmailHtml(loginUrl, customerData) {
-    const customerName = customerData.firstName ? 
-      `${customerData.firstName}${customerData.lastName ? ' ' + customerData.lastName : ''}` : 
-      'Valued Customer';
+  generateLoginEmailHtml(loginUrl, customerData, locale = config.i18n.defaultLocale) {
+    const strings = i18n.getCatalog(locale).email;
+    const customerName = this.getCustomerName(customerData, strings);
 
     return `
     <!DOCTYPE html>
-    <html>
+    <html lang="${locale}">
     <head>
         <meta charset="utf-8">
         <meta name="viewport" content="width=device-width, initial-scale=1.0">
-        <title>Your Login Link</title>
+        <title>${strings.loginLink.title}</title>
         <style>
             body {
                 font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif;
@@ -316,35 +352,32 @@ class EmailService {
     <body>
         <div class="container">
             <div class="header">
-                <div class="logo">🔐 Login Request</div>
-                <h2 style="color: #2c3e50; margin: 0;">Secure Login Link</h2>
+                <div class="logo">🔐 ${strings.badge}</div>
+                <h2 style="color: #2c3e50; margin: 0;">${strings.loginLink.heading}</h2>
             </div>
             
             <div class="content">
-                <p>Hello ${customerName},</p>
+                <p>${i18n.format(strings.greeting, { name: customerName })}</p>
                 
-                <p>You requested a secure login link to access your account. Click the button below to sign in:</p>
+                <p>${strings.loginLink.intro} ${strings.loginLink.action}</p>
                 
                 <div style="text-align: center;">
-                    <a href="${loginUrl}" class="login-button">Sign In Securely</a>
+                    <a href="${loginUrl}" class="login-button">${strings.loginLink.button}</a>
                 </div>
                 
                 <div class="security-info">
-                    <strong>🛡️ Security Information:</strong>
+                    <strong>🛡️ ${strings.securityTitle}</strong>
                     <ul style="margin: 10px 0;">
-                        <li>This link will expire in 15 minutes</li>
-                        <li>The link can only be used once</li>
-                        <li>If you didn't request this, please ignore this email</li>
+                        ${strings.loginLink.securityItems.map(item => `<li>${item}</li>`).join('\n                        ')}
                     </ul>
                 </div>
                 
-                <p>If the button doesn't work, you can copy and paste this link into your browser:</p>
+                <p>${strings.loginLink.fallback}</p>
                 <div class="link-fallback">${loginUrl}</div>
             </div>
             
             <div class="footer">
-                <p>This is an automated email. Please do not reply to this message.</p>
-                <p>If you need assistance, please contact our support team.</p>
+                ${strings.footer.map(line => `<p>${line}</p>`).join('\n                ')}
             </div>
         </div>
     </body>
@@ -355,32 +388,175 @@ class EmailService {
    * Generates plain text content for login link email
    * @param {string} loginUrl - Login URL
    * @param {object} customerData - Customer information
+   * @param {string} [locale] - Language of the email
    * @returns {string} Plain text content
    */
-  generateLoginEmailText(loginUrl, customerData) {
-    const customerName = customerData.firstName ? 
-      `${customerData.firstName}${customerData.lastName ? ' ' + customerData.lastName : ''}` : 
-      'Valued Customer';
+  generateLoginEmailText(loginUrl, customerData, locale = config.i18n.defaultLocale) {
+    const strings = i18n.getCatalog(locale).email;
+    const customerName = this.getCustomerName(customerData, strings);
 
     return `
-Hello ${customerName},
+${i18n.format(strings.greeting, { name: customerName })}
 
-You requested a secure login link to access your account.
+${strings.loginLink.intro}
 
-Your Login Link:
+${strings.loginLink.linkLabel}
 ${loginUrl}
 
-SECURITY INFORMATION:
-- This link will expire in 15 minutes
-- The link can only be used once
-- If you didn't request this, please ignore this email
+${strings.securityTitle.toUpperCase()}
+${strings.loginLink.securityItems.map(item => `- ${item}`).join('\n')}
 
-If you need assistance, please contact our support team.
+${strings.footer[1]}
 
-This is an automated email. Please do not reply to this message.
+${strings.footer[0]}
     `.trim();
   }
 
+  /**
+   * Generates HTML content for OTP email
+   * @param {string} otp - OTP code
+   * @param {number} expiryMinutes - Minutes until the code expires
+   * @param {object} customerData - Customer information
+   * @param {string} [locale] - Language of the email
+   * @returns {string} HTML content
+   */
+  generateOTPEmailHtml(otp, expiryMinutes, customerData, locale = config.i18n.defaultLocale) {
+    const strings = i18n.getCatalog(locale).email;
+    const customerName = this.getCustomerName(customerData, strings);
+    const securityItems = strings.otp.securityItems.map(item => i18n.format(item, { expiryMinutes }));
+
+    return `
+    <!DOCTYPE html>
+    <html lang="${locale}">
+    <head>
+        <meta charset="utf-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>${strings.otp.title}</title>
+        <style>
+            body {
+                font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif;
+                line-height: 1.6;
+                color: #333;
+                max-width: 600px;
+                margin: 0 auto;
+                padding: 20px;
+                background-color: #f9f9f9;
+            }
+            .container {
+                background-color: white;
+                padding: 40px;
+                border-radius: 8px;
+                box-shadow: 0 2px 10px rgba(0,0,0,0.1);
+            }
+            .header {
+                text-align: center;
+                margin-bottom: 30px;
+            }
+            .logo {
+                font-size: 24px;
+                font-weight: bold;
+                color: #2c3e50;
+                margin-bottom: 10px;
+            }
+            .otp-code {
+                font-family: monospace;
+                font-size: 32px;
+                font-weight: bold;
+                letter-spacing: 8px;
+                text-align: center;
+                color: #2c3e50;
+                background-color: #f8f9fa;
+                padding: 15px;
+                border-radius: 5px;
+                margin: 20px 0;
+            }
+            .security-info {
+                background-color: #f8f9fa;
+                padding: 15px;
+                border-left: 4px solid #3498db;
+                margin: 20px 0;
+                font-size: 14px;
+            }
+            .footer {
+                text-align: center;
+                font-size: 12px;
+                color: #666;
+                margin-top: 30px;
+                border-top: 1px solid #eee;
+                padding-top: 20px;
+            }
+        </style>
+    </head>
+    <body>
+        <div class="container">
+            <div class="header">
+                <div class="logo">🔐 ${strings.badge}</div>
+                <h2 style="color: #2c3e50; margin: 0;">${strings.otp.heading}</h2>
+            </div>
+            
+            <div class="content">
+                <p>${i18n.format(strings.greeting, { name: customerName })}</p>
+                
+                <p>${strings.otp.intro}</p>
+                
+                <div class="otp-code">${otp}</div>
+                
+                <div class="security-info">
+                    <strong>🛡️ ${strings.securityTitle}</strong>
+                    <ul style="margin: 10px 0;">
+                        ${securityItems.map(item => `<li>${item}</li>`).join('\n                        ')}
+                    </ul>
+                </div>
+            </div>
+            
+            <div class="footer">
+                ${strings.footer.map(line => `<p>${line}</p>`).join('\n                ')}
+            </div>
+        </div>
+    </body>
+    </html>`;
+  }
+
+  /**
+   * Generates plain text content for OTP email
+   * @param {string} otp - OTP code
+   * @param {number} expiryMinutes - Minutes until the code expires
+   * @param {object} customerData - Customer information
+   * @param {string} [locale] - Language of the email
+   * @returns {string} Plain text content
+   */
+  generateOTPEmailText(otp, expiryMinutes, customerData, locale = config.i18n.defaultLocale) {
+    const strings = i18n.getCatalog(locale).email;
+    const customerName = this.getCustomerName(customerData, strings);
+
+    return `
+${i18n.format(strings.greeting, { name: customerName })}
+
+${strings.otp.intro}
+
+${otp}
+
+${strings.securityTitle.toUpperCase()}
+${strings.otp.securityItems.map(item => `- ${i18n.format(item, { expiryMinutes })}`).join('\n')}
+
+${strings.footer[1]}
+
+${strings.footer[0]}
+    `.trim();
+  }
+
+  /**
+   * Builds the name used to greet a customer
+   * @param {object} customerData - Customer information
+   * @param {object} strings - Email strings of the locale
+   * @returns {string} Customer name
+   */
+  getCustomerName(customerData, strings) {
+    return customerData.firstName ? 
+      `${customerData.firstName}${customerData.lastName ? ' ' + customerData.lastName : ''}` : 
+      strings.defaultCustomerName;
+  }
+
   /**
    * Validates email address format
    * @param {string} email - Email to validate
@@ -10,10 +10,12 @@ const logger = require('../config/logger');
 const shopifyService = require('./shopifyService');
 const { v4: uuidv4 } = require('uuid');
 const customerService = require('./customerService');
+const sessionService = require('./sessionService');
+const deviceService = require('./deviceService');
+const hmacKeyring = require('../utils/hmacKeyring');
 
 class LoginLinkService {
   constructor() {
-    this.secretKey = config.otp.secretKey;
     this.linkExpiryMinutes = 15; // Login links expire in 15 minutes
     this.redisKeyPrefix = 'login_link:';
   }
@@ -73,12 +75,11 @@ class LoginLinkService {
   generateLoginToken(email) {
     const timestamp = Date.now();
     const randomBytes = crypto.randomBytes(32).toString('hex');
-    const tokenData = `${email}:${timestamp}:${randomBytes}`;
+    const { keyId } = hmacKeyring.getCurrentKey();
+    const tokenData = `${email}:${timestamp}:${randomBytes}:${keyId}`;
     
-    // Create HMAC signature for token integrity
-    const hmac = crypto.createHmac('sha256', this.secretKey);
-    hmac.update(tokenData);
-    const signature = hmac.digest('hex');
+    // Create HMAC signature for token integrity; the key ID is signed too
+    const { signature } = hmacKeyring.sign(tokenData);
     
     // Combine token data with signature
     const token = Buffer.from(`${tokenData}:${signature}`).toString('base64url');
@@ -198,9 +199,11 @@ class LoginLinkService {
   /**
    * Verifies a login token
    * @param {string} token - Login token to verify
+   * @param {string} deviceId - Device ID the session will be bound to
+   * @param {object} [deviceInfo] - User agent and IP recorded in the device registry
    * @returns {Promise<object>} Verification result
    */
-  async verifyLoginToken(token) {
+  async verifyLoginToken(token, deviceId, deviceInfo = {}) {
     try {
       // Validate token format
       if (!token || typeof token !== 'string') {
@@ -263,14 +266,28 @@ class LoginLinkService {
       linkData.attempts += 1;
       linkData.usedAt = Date.now();
 
+      // RedisClient serializes the value itself; storing a pre-stringified
+      // object would hide the `used` flag and make the link replayable
       await redisClient.set(
         redisKey,
-        JSON.stringify(linkData),
+        linkData,
         this.linkExpiryMinutes * 60,
       );
-      console.log(linkData);
 
-      const customerData  = await customerService.getCustomerData(linkData?.customer?.phone);
+      const customerData  = linkData?.customer?.phone
+        ? await customerService.getCustomerData(linkData.customer.phone)
+        : null;
+
+      // Issue session tokens bound to the verifying device
+      const identity = {
+        phoneNumber: linkData?.customer?.phone,
+        email: linkData.email,
+        customerId: customerData?.customerId || linkData?.customer?.id
+      };
+      const session = await sessionService.createSession(identity, deviceId);
+      await deviceService.recordSignIn(identity, deviceId, deviceInfo);
+
+      const storefrontLogin = await customerService.buildStorefrontLogin({ ...linkData.customer, ...customerData });
 
       logger.info('Login token verified successfully', {
         email: linkData.email,
@@ -287,9 +304,10 @@ class LoginLinkService {
           email: linkData.email,
           customer: {
             ...linkData.customer,
-            password: customerData.plainPassword,
-            customerId: customerData.customerId
+            ...storefrontLogin,
+            customerId: customerData?.customerId
           },
+          session
         }
       };
     } catch (error) {
@@ -314,27 +332,21 @@ class LoginLinkService {
       const decoded = Buffer.from(token, 'base64url').toString();
       const parts = decoded.split(':');
       
-      if (parts.length !== 4) {
+      // Tokens issued before key IDs were added have no key ID part
+      if (parts.length !== 4 && parts.length !== 5) {
         return false;
       }
 
-      const [tokenEmail, timestamp, randomBytes, signature] = parts;
+      const signature = parts.pop();
+      const [tokenEmail, , , keyId] = parts;
       
       // Verify email matches
       if (tokenEmail !== email) {
         return false;
       }
 
-      // Recreate HMAC and verify signature
-      const tokenData = `${tokenEmail}:${timestamp}:${randomBytes}`;
-      const hmac = crypto.createHmac('sha256', this.secretKey);
-      hmac.update(tokenData);
-      const expectedSignature = hmac.digest('hex');
-
-      return crypto.timingSafeEqual(
-        Buffer.from(signature, 'hex'),
-        Buffer.from(expectedSignature, 'hex')
-      );
+      // Verify the signature with the key that made it
+      return hmacKeyring.verify(parts.join(':'), signature, keyId);
     } catch (error) {
       logger.error('Error verifying token integrity:', error);
       return false;
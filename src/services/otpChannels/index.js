@@ -0,0 +1,33 @@
+const SMSChannel = require('./smsChannel');
+const WhatsAppChannel = require('./whatsappChannel');
+const VoiceChannel = require('./voiceChannel');
+
+/**
+ * Registered OTP delivery channels by name
+ */
+const CHANNELS = {
+  sms: SMSChannel,
+  whatsapp: WhatsAppChannel,
+  voice: VoiceChannel
+};
+
+/**
+ * Create a channel adapter from the OTP channel configuration
+ * @param {string} name - Channel name from OTP_CHANNELS
+ * @param {object} channelsConfig - OTP channel configuration (config.otpChannels)
+ * @returns {OTPChannel} Channel instance
+ */
+const createChannel = (name, channelsConfig) => {
+  const Channel = CHANNELS[name];
+
+  if (!Channel) {
+    throw new Error(`Unknown OTP channel: ${name}. Supported channels: ${Object.keys(CHANNELS).join(', ')}`);
+  }
+
+  return new Channel(channelsConfig[name]);
+};
+
+module.exports = {
+  CHANNELS,
+  createChannel
+};
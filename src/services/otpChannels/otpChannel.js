@@ -0,0 +1,72 @@
+const logger = require('../../config/logger');
+
+/**
+ * Base class for OTP delivery channels
+ * Channels render the OTP with their own template and deliver it, resolving
+ * with a result object instead of throwing so the OTP service can fall back
+ */
+class OTPChannel {
+  /**
+   * @param {string} name - Channel name as accepted by the `channel` parameter
+   * @param {object} channelConfig - Channel specific configuration
+   */
+  constructor(name, channelConfig) {
+    this.name = name;
+    this.config = channelConfig || {};
+  }
+
+  /**
+   * Environment variables this channel needs
+   * @returns {Array<{key: string, value: string}>} Required settings
+   */
+  getRequiredConfig() {
+    return [];
+  }
+
+  /**
+   * Validate channel configuration
+   * @throws {Error} If required environment variables are missing
+   */
+  validateConfig() {
+    const missingVars = this.getRequiredConfig().filter(env => !env.value);
+
+    if (missingVars.length > 0) {
+      const missingKeys = missingVars.map(env => env.key).join(', ');
+      throw new Error(`Missing required environment variables for OTP channel ${this.name}: ${missingKeys}`);
+    }
+  }
+
+  /**
+   * Deliver an OTP
+   * @param {string} phoneNumber - Normalized phone number (+8801XXXXXXXXX)
+   * @param {object} otpData - Stored OTP data (otp, purpose, expiryMinutes, expiryTime, deviceId)
+   * @returns {Promise<object>} { success, channel, data } or { success: false, channel, error }
+   */
+  async deliver(phoneNumber, otpData) {
+    throw new Error(`deliver() is not implemented for OTP channel ${this.name}`);
+  }
+
+  /**
+   * Convert an axios/request error to a failed result
+   * @param {Error} error - Error thrown while calling the channel API
+   * @returns {object} Failed result
+   */
+  handleRequestError(error) {
+    logger.error(`ERROR: ${this.name} OTP delivery failed:`, error.message);
+
+    if (error.response) {
+      logger.error('   API Response:', error.response.data);
+    }
+
+    return {
+      success: false,
+      channel: this.name,
+      error: error.response?.data?.error?.message
+        || error.response?.data?.message
+        || (error.code === 'ECONNABORTED' ? `${this.name} API request timed out` : error.message),
+      statusCode: error.response?.status
+    };
+  }
+}
+
+module.exports = OTPChannel;
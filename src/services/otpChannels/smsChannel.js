@@ -0,0 +1,124 @@
+const OTPChannel = require('./otpChannel');
+const smsService = require('../smsService');
+const smsQueueService = require('../smsQueueService');
+const logger = require('../../config/logger');
+const i18n = require('../../utils/i18n');
+const { validateSingleSegment, analyzeMessageEncoding } = require('../../utils/smsUtils');
+const { SMS_CONFIG, SMS_OTP_FORMATS } = require('../../constants/otpConstants');
+const { DELIVERY_STATUS } = require('../../constants/smsConstants');
+
+/**
+ * SMS channel
+ * Queues the OTP SMS; the queue worker sends it and retries failures
+ */
+class SMSChannel extends OTPChannel {
+  constructor(channelConfig) {
+    super('sms', channelConfig);
+    this.clients = this.config.clients || {};
+  }
+
+  /**
+   * Renders the OTP SMS in the OTP's locale, in the auto-fill format registered
+   * for the requesting client
+   * Bangla text is sent as UCS-2, where one segment holds only 70 characters,
+   * so the compact template is used when the purpose template would split.
+   * When even that does not fit, the full message is sent as a multipart SMS.
+   * WebOTP reads multipart messages, so its line is kept; the SMS Retriever
+   * app hash is dropped since Android only matches single-segment messages
+   * @param {object} otpData - Stored OTP data (otp, purpose, expiryMinutes, clientId, locale)
+   * @returns {string} Message content
+   */
+  buildMessage(otpData) {
+    const templates = i18n.getCatalog(otpData.locale).sms;
+    const message = this.renderTemplate(templates.OTP_TEMPLATES[otpData.purpose] || templates.OTP_TEMPLATE, otpData);
+    const compactMessage = this.renderTemplate(templates.COMPACT_OTP_TEMPLATE, otpData);
+    const client = this.getClient(otpData.clientId);
+
+    for (const candidate of [message, compactMessage]) {
+      const formatted = this.formatForClient(candidate, otpData.otp, client);
+      if (validateSingleSegment(formatted).isValid) {
+        return formatted;
+      }
+    }
+
+    const multipartMessage = client?.format === SMS_OTP_FORMATS.WEBOTP
+      ? this.formatForClient(message, otpData.otp, client)
+      : message;
+    const encoding = analyzeMessageEncoding(multipartMessage);
+    const details = {
+      clientId: otpData.clientId,
+      locale: otpData.locale,
+      encoding: encoding.encoding,
+      segments: encoding.estimatedSMSCount
+    };
+
+    if (client?.format === SMS_OTP_FORMATS.SMS_RETRIEVER) {
+      logger.error('OTP SMS does not fit one segment with the app hash, sending it without auto-fill', details);
+    } else {
+      logger.warn('OTP SMS does not fit one segment, sending it as a multipart message', details);
+    }
+    return multipartMessage;
+  }
+
+  renderTemplate(template, otpData) {
+    return i18n.format(template, {
+      otp: otpData.otp,
+      expiryMinutes: otpData.expiryMinutes
+    });
+  }
+
+  /**
+   * Appends the auto-fill line a client's format expects
+   * @param {string} message - Rendered message
+   * @param {string} otp - OTP code
+   * @param {object|null} client - Client settings from SMS_OTP_CLIENTS
+   * @returns {string} Formatted message
+   */
+  formatForClient(message, otp, client) {
+    if (!client) {
+      return message;
+    }
+
+    if (client.format === SMS_OTP_FORMATS.SMS_RETRIEVER) {
+      return `${message}\n${client.appHash}`;
+    }
+
+    if (client.format === SMS_OTP_FORMATS.WEBOTP) {
+      return `${message}\n\n@${client.origin} #${otp}`;
+    }
+
+    return message;
+  }
+
+  getClient(clientId) {
+    return clientId && Object.hasOwn(this.clients, clientId) ? this.clients[clientId] : null;
+  }
+
+  async deliver(phoneNumber, otpData) {
+    const csmsId = `${SMS_CONFIG.CSMS_ID_PREFIX}${smsService.generateCSMSId()}`;
+
+    const job = await smsQueueService.enqueue({
+      msisdn: phoneNumber,
+      sms: this.buildMessage(otpData),
+      csms_id: csmsId
+    }, {
+      deviceId: otpData.deviceId,
+      // An OTP delivered after it expired is useless
+      expiresAt: otpData.expiryTime
+    });
+
+    return {
+      success: true,
+      channel: this.name,
+      data: {
+        smsJobId: job.jobId,
+        delivery: {
+          csmsId,
+          status: DELIVERY_STATUS.QUEUED
+        }
+      }
+    };
+  }
+}
+
+module.exports = SMSChannel;
@@ -0,0 +1,82 @@
+const axios = require('axios');
+const logger = require('../../config/logger');
+const OTPChannel = require('./otpChannel');
+const { VOICE_CONFIG } = require('../../constants/otpConstants');
+
+/**
+ * Voice channel
+ * Places a text-to-speech call through an HTTP voice gateway. Posts
+ * { to, message, language, repeat, from } as JSON and treats any 2xx response
+ * without `success: false` as a placed call.
+ */
+class VoiceChannel extends OTPChannel {
+  constructor(channelConfig) {
+    super('voice', channelConfig);
+  }
+
+  getRequiredConfig() {
+    return [
+      { key: 'VOICE_OTP_URL', value: this.config.url },
+      { key: 'VOICE_OTP_API_KEY', value: this.config.apiKey }
+    ];
+  }
+
+  /**
+   * Digits are spoken one by one ("1, 2, 3") so TTS doesn't read the code as a number
+   */
+  buildMessage(otpData) {
+    const template = VOICE_CONFIG.OTP_TEMPLATES[otpData.purpose] || VOICE_CONFIG.OTP_TEMPLATE;
+    return template
+      .replace(/\{otp\}/g, otpData.otp.split('').join(', '))
+      .replace('{expiryMinutes}', otpData.expiryMinutes);
+  }
+
+  getHeaders() {
+    const authValue = this.config.authScheme
+      ? `${this.config.authScheme} ${this.config.apiKey}`
+      : this.config.apiKey;
+
+    return {
+      'Content-Type': 'application/json',
+      'Accept': 'application/json',
+      [this.config.authHeader]: authValue
+    };
+  }
+
+  async deliver(phoneNumber, otpData) {
+    try {
+      logger.info(`Placing OTP voice call to ${phoneNumber}`);
+
+      const response = await axios.post(this.config.url, {
+        to: phoneNumber,
+        message: this.buildMessage(otpData),
+        language: this.config.language,
+        repeat: this.config.repeat,
+        ...(this.config.callerId && { from: this.config.callerId })
+      }, {
+        headers: this.getHeaders(),
+        timeout: this.config.timeout
+      });
+
+      const responseData = response.data || {};
+
+      if (responseData.success === false) {
+        throw new Error(`Voice call failed: ${responseData.message || responseData.error || 'Unknown error'}`);
+      }
+
+      const callId = responseData.id || responseData.callId || responseData.call_id;
+      logger.info(`   Voice call ID: ${callId || 'N/A'}`);
+
+      return {
+        success: true,
+        channel: this.name,
+        data: { callId }
+      };
+
+    } catch (error) {
+      return this.handleRequestError(error);
+    }
+  }
+}
+
+module.exports = VoiceChannel;
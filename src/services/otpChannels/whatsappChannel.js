@@ -0,0 +1,74 @@
+const axios = require('axios');
+const logger = require('../../config/logger');
+const OTPChannel = require('./otpChannel');
+
+/**
+ * WhatsApp channel (WhatsApp Business Cloud API)
+ * WhatsApp only allows pre-approved templates for business-initiated messages,
+ * so the per-purpose template is a template name rather than message text.
+ * Authentication templates take the code as the body parameter and again for
+ * the copy-code button.
+ */
+class WhatsAppChannel extends OTPChannel {
+  constructor(channelConfig) {
+    super('whatsapp', channelConfig);
+  }
+
+  getRequiredConfig() {
+    return [
+      { key: 'WHATSAPP_PHONE_NUMBER_ID', value: this.config.phoneNumberId },
+      { key: 'WHATSAPP_ACCESS_TOKEN', value: this.config.accessToken }
+    ];
+  }
+
+  getTemplateName(purpose) {
+    return this.config.templates[purpose] || this.config.defaultTemplate;
+  }
+
+  async deliver(phoneNumber, otpData) {
+    try {
+      const templateName = this.getTemplateName(otpData.purpose);
+
+      logger.info(`Sending OTP via WhatsApp template ${templateName} to ${phoneNumber}`);
+
+      const response = await axios.post(
+        `${this.config.apiBaseURL}/${this.config.phoneNumberId}/messages`,
+        {
+          messaging_product: 'whatsapp',
+          // Cloud API expects the number without the leading +
+          to: phoneNumber.replace(/^\+/, ''),
+          type: 'template',
+          template: {
+            name: templateName,
+            language: { code: this.config.language },
+            components: [
+              { type: 'body', parameters: [{ type: 'text', text: otpData.otp }] },
+              { type: 'button', sub_type: 'url', index: '0', parameters: [{ type: 'text', text: otpData.otp }] }
+            ]
+          }
+        },
+        {
+          headers: {
+            'Content-Type': 'application/json',
+            'Authorization': `Bearer ${this.config.accessToken}`
+          },
+          timeout: this.config.timeout
+        }
+      );
+
+      const messageId = response.data?.messages?.[0]?.id;
+      logger.info(`   WhatsApp message ID: ${messageId || 'N/A'}`);
+
+      return {
+        success: true,
+        channel: this.name,
+        data: { messageId }
+      };
+
+    } catch (error) {
+      return this.handleRequestError(error);
+    }
+  }
+}
+
+module.exports = WhatsAppChannel;
@@ -4,30 +4,56 @@
 
 const otpGenerator = require('../utils/otpGenerator');
 const shopifyService = require('./shopifyService');
-const smsService = require('./smsService');
+const { createChannel } = require('./otpChannels');
 const redisClient = require('../config/database');
+const config = require('../config/environment');
 const logger = require('../config/logger');
 const customerService = require('./customerService');
+const sessionService = require('./sessionService');
+const deviceService = require('./deviceService');
 const { 
   OTP_CONFIG, 
+  DEFAULT_OTP_PURPOSE,
+  OTP_PURPOSES,
+  SIGN_IN_OTP_PURPOSES,
+  OTP_CHANNELS,
+  DEFAULT_OTP_CHANNEL,
   ERROR_MESSAGES, 
   SUCCESS_MESSAGES, 
   REDIS_KEYS, 
-  SMS_CONFIG, 
   LOG_MESSAGES,
   VALIDATION,
   SECURITY
 } = require('../constants/otpConstants');
+const {
+  ERROR_MESSAGES: AUTH_ERROR_MESSAGES,
+  SUCCESS_MESSAGES: AUTH_SUCCESS_MESSAGES
+} = require('../constants/authConstants');
 
 
 class OTPService {
+  constructor() {
+    this.channelConfig = config.otpChannels;
+    this.channels = new Map(
+      this.channelConfig.enabled.map(name => [name, createChannel(name, this.channelConfig)])
+    );
+
+    this.channels.forEach(channel => channel.validateConfig());
+  }
+
   /**
    * Sends OTP to a phone number
    * @param {string} phoneNumber - The phone number to send OTP to
    * @param {string} deviceId - The device ID for binding security
+   * @param {string} purpose - What the OTP may be used for
+   * @param {string} channel - Delivery channel (sms, whatsapp or voice)
+   * @param {Array<string>} fallbackChannels - Channels to try in order if delivery fails
+   * @param {object} [requestContext] - Request details that shape the message
+   * @param {string|null} [requestContext.clientId] - Requesting client (X-Client-Id), selects the SMS auto-fill format
+   * @param {string} [requestContext.locale] - Language of the OTP message
    * @returns {Promise<object>} Result of OTP sending operation
    */
-  async sendOTP(phoneNumber, deviceId) {
+  async sendOTP(phoneNumber, deviceId, purpose = DEFAULT_OTP_PURPOSE, channel = DEFAULT_OTP_CHANNEL, fallbackChannels = [], requestContext = {}) {
     try {
       logger.info(`${LOG_MESSAGES.OTP_REQUEST}: ${phoneNumber}`);
 
@@ -38,6 +64,7 @@ class OTPService {
       }
 
       const normalizedPhone = phoneValidation.normalizedNumber;
+      const channels = this.resolveChannels(channel, fallbackChannels);
 
       // Check if customer exists in Shopify
       logger.info(LOG_MESSAGES.CHECKING_CUSTOMER);
@@ -45,25 +72,23 @@ class OTPService {
       
       // Generate OTP
       logger.info(LOG_MESSAGES.GENERATING_OTP);
-      const otpData = otpGenerator.generateOTP(normalizedPhone);
+      const otpData = otpGenerator.generateOTP(normalizedPhone, purpose);
       
       // Add deviceId to OTP data for security binding
       otpData.deviceId = deviceId;
+      otpData.channel = channels[0].name;
+      otpData.clientId = requestContext.clientId || null;
+      otpData.locale = requestContext.locale || config.i18n.defaultLocale;
       
       // Store OTP in Redis with expiry
       await this.storeOTPInRedis(normalizedPhone, otpData);
       logger.info(otpData);
       
-      // Send SMS
-      try {
-        await this.sendOTPSMS(normalizedPhone, otpData);
-      } catch (err) {
-        logger.error(`Failed to send OTP SMS to ${normalizedPhone}:`, err);
-        // Let the program continue even if SMS sending fails
-      }
+      // Deliver through the requested channel, falling back if it fails
+      const delivery = await this.deliverOTP(normalizedPhone, otpData, channels);
       
       // Prepare response data
-      const responseData = this.prepareOTPResponse(normalizedPhone, customerCheck, otpData);
+      const responseData = this.prepareOTPResponse(normalizedPhone, customerCheck, otpData, delivery);
       
       return {
         success: true,
@@ -82,80 +107,53 @@ class OTPService {
    * @param {string} phoneNumber - The phone number
    * @param {string} otp - The OTP code to verify
    * @param {string} deviceId - The device ID for binding security
+   * @param {string} purpose - The purpose the OTP was sent for (login or signup)
+   * @param {object} [deviceInfo] - User agent and IP recorded in the device registry
+   * @param {boolean} [rememberDevice] - Issue a trust token so this device can skip the OTP next time (login only)
    * @returns {Promise<object>} Result of OTP verification
    */
-  async verifyOTP(phoneNumber, otp, deviceId) {
+  async verifyOTP(phoneNumber, otp, deviceId, purpose = DEFAULT_OTP_PURPOSE, deviceInfo = {}, rememberDevice = false) {
     try {
       logger.info(`${LOG_MESSAGES.OTP_VERIFICATION}: ${phoneNumber}`);
 
-      // Validate inputs
-      const phoneValidation = this.validatePhoneNumber(phoneNumber);
-      if (!phoneValidation.isValid) {
-        throw new Error(phoneValidation.message);
-      }
-
-      const otpValidation = this.validateOTP(otp);
-      if (!otpValidation.isValid) {
-        throw new Error(otpValidation.message);
-      }
-
-      const normalizedPhone = phoneValidation.normalizedNumber;
-
-      // Get stored OTP from Redis
-      logger.info(LOG_MESSAGES.RETRIEVING_OTP);
-      const storedOTPData = await this.getOTPFromRedis(normalizedPhone);
-      
-      if (!storedOTPData) {
+      // Other purposes are verified by their own flows, which must not lose the OTP to a sign-in
+      if (!SIGN_IN_OTP_PURPOSES.includes(purpose)) {
         return {
           success: false,
-          message: ERROR_MESSAGES.OTP_NOT_FOUND,
-          data: {
-            phoneNumber: normalizedPhone,
-            verified: false,
-            expired: true
-          }
+          message: ERROR_MESSAGES.INVALID_OTP_PURPOSE,
+          error: 'INVALID_OTP_PURPOSE'
         };
       }
 
-      // Verify device binding - must match the device that requested OTP
-      if (storedOTPData.deviceId !== deviceId) {
-        logger.warn(`Unauthorized device. Unused device detected.`);
-        return {
-          success: false,
-          message: ERROR_MESSAGES.OTP_DEVICE_MISMATCH,
-          data: {
-            phoneNumber: normalizedPhone,
-            verified: false,
-            expired: false,
-            error: 'DEVICE_MISMATCH'
-          }
-        };
+      const check = await this.checkOTP(phoneNumber, otp, deviceId, purpose);
+      if (!check.success) {
+        return check;
       }
 
-      // Verify the OTP
-      const verificationResult = otpGenerator.verifyOTP(normalizedPhone, otp, storedOTPData);
-      
-      if (!verificationResult.isValid) {
-        return {
-          success: false,
-          message: verificationResult.message,
-          data: {
-            phoneNumber: normalizedPhone,
-            verified: false,
-            expired: verificationResult.expired
-          }
-        };
-      }
+      const normalizedPhone = check.phoneNumber;
 
       // OTP is valid - remove it from Redis
       logger.info(`${LOG_MESSAGES.OTP_VERIFIED}: ${normalizedPhone}`);
-      await this.removeOTPFromRedis(normalizedPhone);
+      await this.removeOTPFromRedis(normalizedPhone, purpose);
       
       // Get customer data if exists
       const customerData = await customerService.getCustomerData(normalizedPhone);
+
+      // Issue session tokens bound to the verifying device
+      const identity = {
+        phoneNumber: normalizedPhone,
+        email: customerData?.email,
+        customerId: customerData?.customerId
+      };
+      const session = await sessionService.createSession(identity, deviceId);
+      await deviceService.recordSignIn(identity, deviceId, deviceInfo);
       
       // Prepare response data
-      const responseData = this.prepareVerificationResponse(normalizedPhone, customerData);
+      const responseData = await this.prepareVerificationResponse(normalizedPhone, customerData, session, purpose);
+
+      if (rememberDevice && purpose === OTP_PURPOSES.LOGIN) {
+        responseData.trustedDevice = await deviceService.trustDevice(identity, deviceId);
+      }
       
       return {
         success: true,
@@ -169,13 +167,178 @@ class OTPService {
     }
   }
 
+  /**
+   * Signs a customer in without an OTP on a device remembered at verification
+   * @param {string} phoneNumber - The phone number
+   * @param {string} trustToken - Trust token from an earlier verification with rememberDevice
+   * @param {string} deviceId - The device ID for binding security
+   * @param {object} [deviceInfo] - User agent and IP recorded in the device registry
+   * @returns {Promise<object>} Result shaped like an OTP verification
+   */
+  async loginWithTrustedDevice(phoneNumber, trustToken, deviceId, deviceInfo = {}) {
+    try {
+      const phoneValidation = this.validatePhoneNumber(phoneNumber);
+      if (!phoneValidation.isValid) {
+        throw new Error(phoneValidation.message);
+      }
+
+      const normalizedPhone = phoneValidation.normalizedNumber;
+      const customerData = await customerService.getCustomerData(normalizedPhone);
+      const identity = {
+        phoneNumber: normalizedPhone,
+        email: customerData?.email,
+        customerId: customerData?.customerId
+      };
+
+      const trust = await deviceService.verifyTrustedDevice(trustToken, identity, deviceId);
+      if (!trust.isValid) {
+        logger.warn('Rejected trusted device login', { reason: trust.error });
+        return {
+          success: false,
+          error: 'TRUST_TOKEN_INVALID',
+          message: AUTH_ERROR_MESSAGES.TRUST_TOKEN_INVALID,
+          data: {
+            phoneNumber: normalizedPhone,
+            fallback: 'otp'
+          }
+        };
+      }
+
+      const session = await sessionService.createSession(identity, deviceId);
+      await deviceService.recordSignIn(identity, deviceId, deviceInfo);
+
+      logger.info('Customer signed in on trusted device', { customerId: identity.customerId });
+
+      return {
+        success: true,
+        message: AUTH_SUCCESS_MESSAGES.TRUSTED_DEVICE_LOGIN_SUCCESS,
+        data: {
+          ...(await this.prepareVerificationResponse(normalizedPhone, customerData, session, OTP_PURPOSES.LOGIN)),
+          method: 'trusted_device'
+        }
+      };
+
+    } catch (error) {
+      logger.error(`${LOG_MESSAGES.ERROR_OCCURRED} in loginWithTrustedDevice:`, error);
+      throw this.handleOTPError(error);
+    }
+  }
+
+  /**
+   * Checks an OTP against the stored one without consuming it
+   * Applies device binding and the attempt limit; the caller removes the OTP
+   * once everything that depends on it has succeeded
+   * @param {string} phoneNumber - The phone number
+   * @param {string} otp - The OTP code to check
+   * @param {string} deviceId - The device ID for binding security
+   * @param {string} purpose - The purpose the OTP was sent for
+   * @returns {Promise<object>} `{ success: true, phoneNumber, otpData }` or a verification failure result
+   */
+  async checkOTP(phoneNumber, otp, deviceId, purpose) {
+    const phoneValidation = this.validatePhoneNumber(phoneNumber);
+    if (!phoneValidation.isValid) {
+      throw new Error(phoneValidation.message);
+    }
+
+    return this.checkIdentifierOTP(phoneValidation.normalizedNumber, otp, deviceId, purpose);
+  }
+
+  /**
+   * Checks an OTP sent to an already normalized phone number or email address
+   * Shared by phone and email OTPs so both get the same device binding and attempt limit
+   * @param {string} identifier - Normalized phone number or email address
+   * @param {string} otp - The OTP code to check
+   * @param {string} deviceId - The device ID for binding security
+   * @param {string} purpose - The purpose the OTP was sent for
+   * @param {string} [identifierField] - Name the identifier is returned under (phoneNumber or email)
+   * @returns {Promise<object>} `{ success: true, [identifierField], otpData }` or a verification failure result
+   */
+  async checkIdentifierOTP(identifier, otp, deviceId, purpose, identifierField = 'phoneNumber') {
+    const otpValidation = this.validateOTP(otp);
+    if (!otpValidation.isValid) {
+      throw new Error(otpValidation.message);
+    }
+
+    // Get stored OTP from Redis
+    logger.info(LOG_MESSAGES.RETRIEVING_OTP);
+    const storedOTPData = await this.getOTPFromRedis(identifier, purpose);
+    
+    if (!storedOTPData) {
+      return {
+        success: false,
+        message: ERROR_MESSAGES.OTP_NOT_FOUND,
+        data: {
+          [identifierField]: identifier,
+          verified: false,
+          expired: true
+        }
+      };
+    }
+
+    // Verify device binding - must match the device that requested OTP
+    if (storedOTPData.deviceId !== deviceId) {
+      logger.warn(`Unauthorized device. Unused device detected.`);
+      return {
+        success: false,
+        message: ERROR_MESSAGES.OTP_DEVICE_MISMATCH,
+        data: {
+          [identifierField]: identifier,
+          verified: false,
+          expired: false,
+          error: 'DEVICE_MISMATCH'
+        }
+      };
+    }
+
+    // Count the attempt before checking the code so concurrent guesses
+    // cannot get past the limit
+    const attempts = await this.recordVerificationAttempt(identifier, storedOTPData, purpose);
+    if (attempts > OTP_CONFIG.MAX_ATTEMPTS) {
+      return this.handleAttemptsExceeded(identifier, purpose, identifierField);
+    }
+
+    // Verify the OTP
+    const verificationResult = otpGenerator.verifyOTP(identifier, otp, storedOTPData, purpose);
+    
+    if (!verificationResult.isValid) {
+      const remainingAttempts = OTP_CONFIG.MAX_ATTEMPTS - attempts;
+
+      if (!verificationResult.expired && remainingAttempts <= 0) {
+        return this.handleAttemptsExceeded(identifier, purpose, identifierField);
+      }
+
+      return {
+        success: false,
+        message: verificationResult.message,
+        data: {
+          [identifierField]: identifier,
+          verified: false,
+          expired: verificationResult.expired,
+          remainingAttempts
+        }
+      };
+    }
+
+    return {
+      success: true,
+      [identifierField]: identifier,
+      otpData: storedOTPData
+    };
+  }
+
   /**
    * Resends OTP to a phone number with additional rate limiting
    * @param {string} phoneNumber - The phone number to resend OTP to
    * @param {string} deviceId - The device ID for binding security
+   * @param {string} purpose - What the OTP may be used for
+   * @param {string} [channel] - Delivery channel; defaults to the previous OTP's channel,
+   *   switching from SMS to the configured fallback (voice) when none is given
+   * @param {object} [requestContext] - Request details that shape the message
+   * @param {string|null} [requestContext.clientId] - Requesting client (X-Client-Id), selects the SMS auto-fill format
+   * @param {string} [requestContext.locale] - Language of the OTP message
    * @returns {Promise<object>} Result of OTP resend operation
    */
-  async resendOTP(phoneNumber, deviceId) {
+  async resendOTP(phoneNumber, deviceId, purpose = DEFAULT_OTP_PURPOSE, channel = null, requestContext = {}) {
     try {
       logger.info(`${LOG_MESSAGES.OTP_RESEND_REQUEST}: ${phoneNumber}`);
 
@@ -189,7 +352,7 @@ class OTPService {
 
       // Check if there's an existing OTP and rate limiting
       logger.info(LOG_MESSAGES.CHECKING_EXISTING_OTP);
-      const canResend = await this.checkResendEligibility(normalizedPhone);
+      const canResend = await this.checkResendEligibility(normalizedPhone, purpose);
       
       if (!canResend.allowed) {
         return {
@@ -203,8 +366,10 @@ class OTPService {
         };
       }
 
+      const resendChannels = this.getResendChannels(channel, canResend.previousChannel);
+
       // Send new OTP with same deviceId
-      return await this.sendOTP(normalizedPhone, deviceId);
+      return await this.sendOTP(normalizedPhone, deviceId, purpose, resendChannels[0], resendChannels.slice(1), requestContext);
 
     } catch (error) {
       logger.error(`${LOG_MESSAGES.ERROR_OCCURRED} in resendOTP:`, error);
@@ -276,7 +441,7 @@ class OTPService {
   /**
    * Checks if customer exists in Shopify
    * @param {string} phoneNumber - Phone number to check
-   * @returns {Promise<object>} Customer existence result
+   * @returns {Promise<object>} Customer existence result; `unknown` is set when Shopify could not be reached
    */
   async checkCustomerExists(phoneNumber) {
     try {
@@ -284,6 +449,7 @@ class OTPService {
       return {
         exists: result.exists,
         customer: result.customer,
+        unknown: Boolean(result.unavailable),
         error: result.error
       };
     } catch (error) {
@@ -291,6 +457,7 @@ class OTPService {
       return {
         exists: false,
         customer: null,
+        unknown: true,
         error: 'Error checking customer existence'
       };
     }
@@ -298,64 +465,178 @@ class OTPService {
 
   /**
    * Stores OTP data in Redis
-   * @param {string} phoneNumber - Phone number
+   * @param {string} identifier - Phone number or email address
    * @param {object} otpData - OTP data to store
    */
-  async storeOTPInRedis(phoneNumber, otpData) {
+  async storeOTPInRedis(identifier, otpData) {
     logger.info(LOG_MESSAGES.STORING_REDIS);
-    const redisKey = otpGenerator.generateRedisKey(phoneNumber);
+    const redisKey = otpGenerator.generateRedisKey(identifier, otpData.purpose);
     const expirySeconds = otpData.expiryMinutes * 60;
     await redisClient.set(redisKey, otpData, expirySeconds);
+    // A new OTP starts with a fresh attempt counter
+    await redisClient.delete(this.getAttemptsKey(identifier, otpData.purpose));
   }
 
   /**
    * Retrieves OTP data from Redis
-   * @param {string} phoneNumber - Phone number
+   * @param {string} identifier - Phone number or email address
+   * @param {string} purpose - OTP purpose
    * @returns {Promise<object|null>} Stored OTP data or null
    */
-  async getOTPFromRedis(phoneNumber) {
-    const redisKey = otpGenerator.generateRedisKey(phoneNumber);
+  async getOTPFromRedis(identifier, purpose) {
+    const redisKey = otpGenerator.generateRedisKey(identifier, purpose);
     return await redisClient.get(redisKey);
   }
 
   /**
    * Removes OTP data from Redis
-   * @param {string} phoneNumber - Phone number
+   * @param {string} identifier - Phone number or email address
+   * @param {string} purpose - OTP purpose
    */
-  async removeOTPFromRedis(phoneNumber) {
-    const redisKey = otpGenerator.generateRedisKey(phoneNumber);
+  async removeOTPFromRedis(identifier, purpose) {
+    const redisKey = otpGenerator.generateRedisKey(identifier, purpose);
     await redisClient.delete(redisKey);
+    await redisClient.delete(this.getAttemptsKey(identifier, purpose));
+  }
+
+  /**
+   * Removes the pending OTPs of every purpose for an identifier
+   * @param {string} identifier - Phone number or email address
+   */
+  async removeAllOTPs(identifier) {
+    for (const purpose of Object.values(OTP_PURPOSES)) {
+      await this.removeOTPFromRedis(identifier, purpose);
+    }
+  }
+
+  /**
+   * Atomically counts a verification attempt against the stored OTP
+   * The counter expires together with the OTP it belongs to
+   * @param {string} identifier - Phone number or email address
+   * @param {object} storedOTPData - Stored OTP data
+   * @param {string} purpose - OTP purpose
+   * @returns {Promise<number>} Attempts made so far, including this one
+   */
+  async recordVerificationAttempt(identifier, storedOTPData, purpose) {
+    const ttlSeconds = Math.max(Math.ceil((storedOTPData.expiryTime - Date.now()) / 1000), 1);
+    return await redisClient.increment(this.getAttemptsKey(identifier, purpose), ttlSeconds);
   }
 
   /**
-   * Sends OTP via SMS
+   * Invalidates an OTP once its attempts are used up
+   * @param {string} identifier - Normalized phone number or email address
+   * @param {string} purpose - OTP purpose
+   * @param {string} [identifierField] - Name the identifier is returned under (phoneNumber or email)
+   * @returns {Promise<object>} Verification failure result
+   */
+  async handleAttemptsExceeded(identifier, purpose, identifierField = 'phoneNumber') {
+    logger.warn(`OTP attempts exceeded, invalidating OTP: ${identifier}`);
+    await this.removeOTPFromRedis(identifier, purpose);
+
+    return {
+      success: false,
+      message: ERROR_MESSAGES.OTP_ATTEMPTS_EXCEEDED,
+      error: 'OTP_ATTEMPTS_EXCEEDED',
+      data: {
+        [identifierField]: identifier,
+        verified: false,
+        expired: true,
+        remainingAttempts: 0
+      }
+    };
+  }
+
+  getAttemptsKey(identifier, purpose) {
+    return `${REDIS_KEYS.ATTEMPTS_PREFIX}${otpGenerator.generateRedisKey(identifier, purpose)}`;
+  }
+
+  /**
+   * Delivers the OTP through the first channel that succeeds
+   * @param {string} phoneNumber - Phone number
+   * @param {object} otpData - Stored OTP data
+   * @param {Array<OTPChannel>} channels - Channels in the order to try
+   * @returns {Promise<object>} Successful delivery result
+   * @throws {Error} If every channel failed
+   */
+  async deliverOTP(phoneNumber, otpData, channels) {
+    for (const channel of channels) {
+      logger.info(`${LOG_MESSAGES.DELIVERING_OTP} ${channel.name}`);
+      const result = await channel.deliver(phoneNumber, otpData);
+
+      if (result.success) {
+        if (channel.name !== otpData.channel) {
+          otpData.channel = channel.name;
+          await this.updateStoredOTP(phoneNumber, otpData);
+        }
+        return result;
+      }
+
+      logger.warn(`OTP delivery via ${channel.name} failed`, { phoneNumber, error: result.error });
+    }
+
+    // Nothing reached the user, so don't leave an OTP that blocks resending
+    await this.removeOTPFromRedis(phoneNumber, otpData.purpose);
+    throw new Error(ERROR_MESSAGES.OTP_DELIVERY_FAILED);
+  }
+
+  /**
+   * Resolves channel names to enabled channel adapters
+   * @param {string} channel - Requested channel
+   * @param {Array<string>} fallbackChannels - Fallback channels, skipped when not enabled
+   * @returns {Array<OTPChannel>} Channels in the order to try
+   * @throws {Error} If the requested channel is not enabled
+   */
+  resolveChannels(channel, fallbackChannels = []) {
+    if (!this.channels.has(channel)) {
+      throw new Error(ERROR_MESSAGES.OTP_CHANNEL_UNAVAILABLE);
+    }
+
+    const names = [...new Set([channel, ...fallbackChannels])].filter(name => this.channels.has(name));
+    return names.map(name => this.channels.get(name));
+  }
+
+  /**
+   * Picks the channels for a resend
+   * A user asking to resend an SMS code most likely didn't receive it, so the
+   * resend goes out by the fallback channel with SMS as its backup
+   * @param {string|null} requestedChannel - Channel given in the request
+   * @param {string|null} previousChannel - Channel the previous OTP was delivered by
+   * @returns {Array<string>} Channel names in the order to try
+   */
+  getResendChannels(requestedChannel, previousChannel) {
+    if (requestedChannel) {
+      return [requestedChannel];
+    }
+
+    const fallback = this.channelConfig.resendFallback;
+    if (previousChannel === OTP_CHANNELS.SMS && fallback && this.channels.has(fallback)) {
+      return [fallback, OTP_CHANNELS.SMS];
+    }
+
+    return this.channels.has(previousChannel) ? [previousChannel] : [DEFAULT_OTP_CHANNEL];
+  }
+
+  /**
+   * Rewrites the stored OTP without extending its expiry
    * @param {string} phoneNumber - Phone number
    * @param {object} otpData - OTP data
    */
-  async sendOTPSMS(phoneNumber, otpData) {
-    logger.info(LOG_MESSAGES.SENDING_SMS);
-    const smsContent = SMS_CONFIG.OTP_TEMPLATE
-      .replace('{otp}', otpData.otp)
-      .replace('{expiryMinutes}', otpData.expiryMinutes);
-
-    const result = await smsService.sendSingleSMS({
-      msisdn: phoneNumber,
-      sms: smsContent,
-      csms_id: `${SMS_CONFIG.CSMS_ID_PREFIX}${smsService.generateCSMSId()}`
-    });
-    if (!result.success) {
-      logger.error(result);
-      throw new Error(`SMS sending failed: ${result.message}`);
+  async updateStoredOTP(phoneNumber, otpData) {
+    const remainingSeconds = Math.ceil((otpData.expiryTime - Date.now()) / 1000);
+    if (remainingSeconds > 0) {
+      const redisKey = otpGenerator.generateRedisKey(phoneNumber, otpData.purpose);
+      await redisClient.set(redisKey, otpData, remainingSeconds);
     }
   }
 
   /**
    * Checks if OTP can be resent based on rate limiting
-   * @param {string} phoneNumber - Phone number
+   * @param {string} identifier - Phone number or email address
+   * @param {string} purpose - OTP purpose
    * @returns {Promise<object>} Resend eligibility result
    */
-  async checkResendEligibility(phoneNumber) {
-    const existingOTP = await this.getOTPFromRedis(phoneNumber);
+  async checkResendEligibility(identifier, purpose) {
+    const existingOTP = await this.getOTPFromRedis(identifier, purpose);
     
     if (existingOTP) {
       const remainingTime = otpGenerator.getRemainingTime(existingOTP.expiryTime);
@@ -371,7 +652,11 @@ class OTPService {
       }
     }
 
-    return { allowed: true };
+    return {
+      allowed: true,
+      // OTPs stored before channels existed were always sent by SMS
+      previousChannel: existingOTP ? (existingOTP.channel || OTP_CHANNELS.SMS) : null
+    };
   }
 
   /**
@@ -379,17 +664,28 @@ class OTPService {
    * @param {string} phoneNumber - Phone number
    * @param {object} customerCheck - Customer existence check result
    * @param {object} otpData - OTP data
+   * @param {object} delivery - Result from the channel that delivered the OTP
    * @returns {object} Response data
    */
-  prepareOTPResponse(phoneNumber, customerCheck, otpData) {
+  prepareOTPResponse(phoneNumber, customerCheck, otpData, delivery) {
+    // When Shopify could not be reached, say so rather than sending an existing customer to signup
+    const unknown = Boolean(customerCheck.unknown);
+    let message = customerCheck.exists 
+      ? 'OTP sent successfully. Customer found.' 
+      : 'OTP sent successfully. Customer needs to sign up.';
+    if (unknown) {
+      message = 'OTP sent successfully. Customer status could not be checked.';
+    }
+
     return {
       phoneNumber: phoneNumber,
-      customerExists: customerCheck.exists,
-      needsSignup: !customerCheck.exists,
+      purpose: otpData.purpose,
+      channel: delivery.channel,
+      ...delivery.data,
+      customerExists: unknown ? null : customerCheck.exists,
+      needsSignup: unknown ? null : !customerCheck.exists,
       expiresIn: otpData.expiryMinutes * 60,
-      message: customerCheck.exists 
-        ? 'OTP sent successfully. Customer found.' 
-        : 'OTP sent successfully. Customer needs to sign up.',
+      message,
       ...(customerCheck.error && { shopifyError: customerCheck.error })
     };
   }
@@ -398,22 +694,26 @@ class OTPService {
    * Prepares verification response data
    * @param {string} phoneNumber - Phone number
    * @param {object} customerData - Customer data from Redis
-   * @returns {object} Response data
+   * @param {object} session - Session tokens issued for this verification
+   * @param {string} purpose - Purpose the OTP was verified for
+   * @returns {Promise<object>} Response data
    */
-  prepareVerificationResponse(phoneNumber, customerData) {
+  async prepareVerificationResponse(phoneNumber, customerData, session, purpose) {
     const responseData = {
       phoneNumber: phoneNumber,
+      purpose: purpose,
       verified: true,
-      expired: false
+      expired: false,
+      session
     };
     
     if (customerData) {
-      logger.info('Customer data found, including credentials in response');
+      logger.info('Customer data found, including storefront login in response');
       responseData.customer = {
         email: customerData.email,
-        password: customerData.plainPassword,
         name: customerData.name,
-        customerId: customerData.customerId
+        customerId: customerData.customerId,
+        ...(await customerService.buildStorefrontLogin(customerData))
       };
     }
     
@@ -0,0 +1,422 @@
+/**
+ * Passkey Service
+ * Lets a customer who signed in with an OTP enroll passkeys (WebAuthn) and
+ * sign in with them afterwards. Credentials are stored per Shopify customer;
+ * challenges are bound to the device cookie that requested them, and every
+ * credential remembers the devices it was enrolled or used on.
+ */
+
+const {
+  generateRegistrationOptions,
+  verifyRegistrationResponse,
+  generateAuthenticationOptions,
+  verifyAuthenticationResponse
+} = require('@simplewebauthn/server');
+const redisClient = require('../config/database');
+const config = require('../config/environment');
+const logger = require('../config/logger');
+const customerService = require('./customerService');
+const sessionService = require('./sessionService');
+const deviceService = require('./deviceService');
+const otpService = require('./otpService');
+const {
+  ERROR_MESSAGES,
+  SUCCESS_MESSAGES,
+  REDIS_KEYS,
+  PASSKEY_CEREMONIES
+} = require('../constants/authConstants');
+
+class PasskeyService {
+  constructor() {
+    this.config = config.webauthn;
+  }
+
+  /**
+   * Creates registration options for the signed-in customer
+   * @param {object} session - Session of the signed-in customer (req.auth)
+   * @param {string} deviceId - Device ID from the device_id cookie
+   * @returns {Promise<object>} Result with the options to pass to navigator.credentials.create()
+   */
+  async createRegistrationOptions(session, deviceId) {
+    const customer = await this.resolveCustomer(session);
+    if (!customer) {
+      return {
+        success: false,
+        error: 'CUSTOMER_NOT_FOUND',
+        message: ERROR_MESSAGES.PASSKEY_CUSTOMER_REQUIRED
+      };
+    }
+
+    const credentials = await this.getCredentials(customer.customerId);
+    if (credentials.length >= this.config.maxCredentialsPerCustomer) {
+      return {
+        success: false,
+        error: 'PASSKEY_LIMIT_REACHED',
+        message: ERROR_MESSAGES.PASSKEY_LIMIT_REACHED
+      };
+    }
+
+    const options = await generateRegistrationOptions({
+      rpName: this.config.rpName,
+      rpID: this.config.rpID,
+      userID: Buffer.from(customer.customerId),
+      userName: customer.email || customer.phoneNumber,
+      userDisplayName: customer.name || '',
+      attestationType: 'none',
+      excludeCredentials: credentials.map(credential => ({
+        id: credential.id,
+        transports: credential.transports
+      })),
+      authenticatorSelection: {
+        residentKey: 'preferred',
+        userVerification: 'preferred'
+      },
+      timeout: this.config.challengeTTLSeconds * 1000
+    });
+
+    await this.storeChallenge(PASSKEY_CEREMONIES.REGISTRATION, deviceId, {
+      challenge: options.challenge,
+      customerId: customer.customerId
+    });
+
+    return {
+      success: true,
+      message: SUCCESS_MESSAGES.PASSKEY_OPTIONS_CREATED,
+      data: { options }
+    };
+  }
+
+  /**
+   * Verifies a registration response and stores the new credential
+   * @param {object} session - Session of the signed-in customer (req.auth)
+   * @param {object} response - Result of navigator.credentials.create(), JSON encoded
+   * @param {string} deviceId - Device ID from the device_id cookie
+   * @returns {Promise<object>} Result with the stored credential
+   */
+  async verifyRegistration(session, response, deviceId) {
+    const customer = await this.resolveCustomer(session);
+    const pending = await this.claimChallenge(PASSKEY_CEREMONIES.REGISTRATION, deviceId);
+
+    if (!customer || !pending || pending.customerId !== customer.customerId) {
+      return {
+        success: false,
+        error: 'PASSKEY_CHALLENGE_EXPIRED',
+        message: ERROR_MESSAGES.PASSKEY_CHALLENGE_EXPIRED
+      };
+    }
+
+    let verification;
+    try {
+      verification = await verifyRegistrationResponse({
+        response,
+        expectedChallenge: pending.challenge,
+        expectedOrigin: this.config.origins,
+        expectedRPID: this.config.rpID,
+        requireUserVerification: false
+      });
+    } catch (error) {
+      logger.warn('Passkey registration rejected', { customerId: customer.customerId, reason: error.message });
+      verification = { verified: false };
+    }
+
+    if (!verification.verified) {
+      return {
+        success: false,
+        error: 'PASSKEY_VERIFICATION_FAILED',
+        message: ERROR_MESSAGES.PASSKEY_VERIFICATION_FAILED
+      };
+    }
+
+    const { credential, credentialDeviceType, credentialBackedUp } = verification.registrationInfo;
+    const now = Date.now();
+    const storedCredential = {
+      id: credential.id,
+      publicKey: Buffer.from(credential.publicKey).toString('base64url'),
+      counter: credential.counter,
+      transports: credential.transports || response.response?.transports || [],
+      deviceType: credentialDeviceType,
+      backedUp: credentialBackedUp,
+      deviceHashes: [sessionService.hashDeviceId(deviceId)],
+      createdAt: now,
+      lastUsedAt: null
+    };
+
+    // Re-registering an authenticator replaces its old entry
+    const credentials = (await this.getCredentials(customer.customerId))
+      .filter(existing => existing.id !== storedCredential.id);
+    credentials.push(storedCredential);
+    await this.saveCredentials(customer.customerId, credentials);
+
+    logger.info('Passkey registered', {
+      customerId: customer.customerId,
+      deviceType: credentialDeviceType,
+      count: credentials.length
+    });
+
+    return {
+      success: true,
+      message: SUCCESS_MESSAGES.PASSKEY_REGISTERED,
+      data: { credential: this.describeCredential(storedCredential) }
+    };
+  }
+
+  /**
+   * Creates authentication options for a phone number
+   * Customers without a passkey are told to sign in with an OTP instead
+   * @param {string} phoneNumber - Phone number the customer signs in with
+   * @param {string} deviceId - Device ID from the device_id cookie
+   * @returns {Promise<object>} Result with the options to pass to navigator.credentials.get()
+   */
+  async createAuthenticationOptions(phoneNumber, deviceId) {
+    const normalizedPhone = this.normalizePhoneNumber(phoneNumber);
+    const customerData = await customerService.getCustomerData(normalizedPhone);
+    const credentials = customerData?.customerId ? await this.getCredentials(customerData.customerId) : [];
+
+    // A missing customer and a missing passkey look the same here, but options do show that
+    // a number has an account (as /api/otp/send does); passkeyLoginLimiter caps lookups per number
+    if (credentials.length === 0) {
+      return {
+        success: true,
+        message: SUCCESS_MESSAGES.PASSKEY_NOT_REGISTERED,
+        data: {
+          phoneNumber: normalizedPhone,
+          passkeyAvailable: false,
+          fallback: 'otp'
+        }
+      };
+    }
+
+    const options = await generateAuthenticationOptions({
+      rpID: this.config.rpID,
+      allowCredentials: credentials.map(credential => ({
+        id: credential.id,
+        transports: credential.transports
+      })),
+      userVerification: 'preferred',
+      timeout: this.config.challengeTTLSeconds * 1000
+    });
+
+    await this.storeChallenge(PASSKEY_CEREMONIES.AUTHENTICATION, deviceId, {
+      challenge: options.challenge,
+      phoneNumber: normalizedPhone,
+      customerId: customerData.customerId
+    });
+
+    return {
+      success: true,
+      message: SUCCESS_MESSAGES.PASSKEY_OPTIONS_CREATED,
+      data: {
+        phoneNumber: normalizedPhone,
+        passkeyAvailable: true,
+        options
+      }
+    };
+  }
+
+  /**
+   * Verifies an authentication response and signs the customer in
+   * @param {string} phoneNumber - Phone number the options were created for
+   * @param {object} response - Result of navigator.credentials.get(), JSON encoded
+   * @param {string} deviceId - Device ID from the device_id cookie
+   * @param {object} [deviceInfo] - User agent and IP recorded in the device registry
+   * @returns {Promise<object>} Result shaped like an OTP verification, with a session
+   */
+  async verifyAuthentication(phoneNumber, response, deviceId, deviceInfo = {}) {
+    const normalizedPhone = this.normalizePhoneNumber(phoneNumber);
+    const pending = await this.claimChallenge(PASSKEY_CEREMONIES.AUTHENTICATION, deviceId);
+
+    if (!pending || pending.phoneNumber !== normalizedPhone) {
+      return {
+        success: false,
+        error: 'PASSKEY_CHALLENGE_EXPIRED',
+        message: ERROR_MESSAGES.PASSKEY_CHALLENGE_EXPIRED
+      };
+    }
+
+    const credentials = await this.getCredentials(pending.customerId);
+    const storedCredential = credentials.find(credential => credential.id === response.id);
+    if (!storedCredential) {
+      return {
+        success: false,
+        error: 'PASSKEY_NOT_FOUND',
+        message: ERROR_MESSAGES.PASSKEY_NOT_FOUND
+      };
+    }
+
+    let verification;
+    try {
+      verification = await verifyAuthenticationResponse({
+        response,
+        expectedChallenge: pending.challenge,
+        expectedOrigin: this.config.origins,
+        expectedRPID: this.config.rpID,
+        credential: {
+          id: storedCredential.id,
+          publicKey: Buffer.from(storedCredential.publicKey, 'base64url'),
+          counter: storedCredential.counter,
+          transports: storedCredential.transports
+        },
+        requireUserVerification: false
+      });
+    } catch (error) {
+      logger.warn('Passkey authentication rejected', { customerId: pending.customerId, reason: error.message });
+      verification = { verified: false };
+    }
+
+    if (!verification.verified) {
+      return {
+        success: false,
+        error: 'PASSKEY_VERIFICATION_FAILED',
+        message: ERROR_MESSAGES.PASSKEY_VERIFICATION_FAILED
+      };
+    }
+
+    // The customer may have been removed or changed number since the options were created
+    const customerData = await customerService.getCustomerData(normalizedPhone);
+    if (!customerData || customerData.customerId !== pending.customerId) {
+      return {
+        success: false,
+        error: 'PASSKEY_NOT_FOUND',
+        message: ERROR_MESSAGES.PASSKEY_NOT_FOUND
+      };
+    }
+
+    const deviceHash = sessionService.hashDeviceId(deviceId);
+    storedCredential.counter = verification.authenticationInfo.newCounter;
+    storedCredential.lastUsedAt = Date.now();
+    if (!storedCredential.deviceHashes.includes(deviceHash)) {
+      storedCredential.deviceHashes.push(deviceHash);
+    }
+    await this.saveCredentials(pending.customerId, credentials);
+
+    const identity = {
+      phoneNumber: normalizedPhone,
+      email: customerData.email,
+      customerId: customerData.customerId
+    };
+    const session = await sessionService.createSession(identity, deviceId);
+    await deviceService.recordSignIn(identity, deviceId, deviceInfo);
+
+    logger.info('Customer signed in with passkey', { customerId: customerData.customerId });
+
+    return {
+      success: true,
+      message: SUCCESS_MESSAGES.PASSKEY_LOGIN_SUCCESS,
+      data: {
+        phoneNumber: normalizedPhone,
+        method: 'passkey',
+        verified: true,
+        session,
+        customer: {
+          email: customerData.email,
+          name: customerData.name,
+          customerId: customerData.customerId,
+          ...(await customerService.buildStorefrontLogin(customerData))
+        }
+      }
+    };
+  }
+
+  /**
+   * Finds the stored customer data of a session
+   * Passkeys are kept per Shopify customer, so one must have signed up first
+   * @param {object} session - Session of the signed-in customer
+   * @returns {Promise<object|null>} Stored customer data with a customer ID, or null
+   */
+  async resolveCustomer(session) {
+    const storedCustomer = await customerService.getStoredCustomer(session);
+    return storedCustomer?.customerId ? storedCustomer : null;
+  }
+
+  /**
+   * Gets the passkeys registered for a customer
+   * @param {string} customerId - Shopify customer ID
+   * @returns {Promise<Array>} Stored credentials
+   */
+  async getCredentials(customerId) {
+    return (await redisClient.get(this.getCredentialsKey(customerId))) || [];
+  }
+
+  /**
+   * Replaces the passkeys registered for a customer
+   * @param {string} customerId - Shopify customer ID
+   * @param {Array} credentials - Stored credentials
+   */
+  async saveCredentials(customerId, credentials) {
+    await redisClient.set(this.getCredentialsKey(customerId), credentials);
+  }
+
+  /**
+   * Deletes every passkey of a customer
+   * @param {string} customerId - Shopify customer ID
+   */
+  async removeCredentials(customerId) {
+    await redisClient.delete(this.getCredentialsKey(customerId));
+  }
+
+  /**
+   * Public view of a stored credential, without its key or device hashes
+   * @param {object} credential - Stored credential
+   * @returns {object} Credential summary
+   */
+  describeCredential(credential) {
+    return {
+      id: credential.id,
+      deviceType: credential.deviceType,
+      backedUp: credential.backedUp,
+      transports: credential.transports,
+      createdAt: credential.createdAt,
+      lastUsedAt: credential.lastUsedAt
+    };
+  }
+
+  /**
+   * Stores a challenge for the device that requested it, replacing any earlier one
+   * @param {string} ceremony - registration or authentication
+   * @param {string} deviceId - Device ID from the device_id cookie
+   * @param {object} data - Challenge and the customer it was issued for
+   */
+  async storeChallenge(ceremony, deviceId, data) {
+    await redisClient.set(this.getChallengeKey(ceremony, deviceId), data, this.config.challengeTTLSeconds);
+  }
+
+  /**
+   * Takes a device's pending challenge so it can only be answered once
+   * @param {string} ceremony - registration or authentication
+   * @param {string} deviceId - Device ID from the device_id cookie
+   * @returns {Promise<object|null>} Challenge data, or null when expired or already used
+   */
+  async claimChallenge(ceremony, deviceId) {
+    const key = this.getChallengeKey(ceremony, deviceId);
+    const pending = await redisClient.get(key);
+
+    if (!pending || !(await redisClient.delete(key))) {
+      return null;
+    }
+
+    return pending;
+  }
+
+  /**
+   * Validates and normalizes a phone number
+   * @param {string} phoneNumber - Phone number to normalize
+   * @returns {string} Normalized phone number
+   */
+  normalizePhoneNumber(phoneNumber) {
+    const phoneValidation = otpService.validatePhoneNumber(phoneNumber);
+    if (!phoneValidation.isValid) {
+      throw new Error(phoneValidation.message);
+    }
+    return phoneValidation.normalizedNumber;
+  }
+
+  getCredentialsKey(customerId) {
+    return `${REDIS_KEYS.PASSKEY_PREFIX}${customerId}`;
+  }
+
+  getChallengeKey(ceremony, deviceId) {
+    return `${REDIS_KEYS.PASSKEY_CHALLENGE_PREFIX}${ceremony}:${sessionService.hashDeviceId(deviceId)}`;
+  }
+}
+
+module.exports = new PasskeyService();
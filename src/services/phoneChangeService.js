@@ -0,0 +1,304 @@
+/**
+ * Phone Change Service
+ * Moves a signed-in customer's account to a new phone number. A code is sent
+ * to the new number (and to the current one when configured); once confirmed,
+ * Shopify and the Redis customer data are updated together and everything
+ * tied to the old number is invalidated.
+ */
+
+const redisClient = require('../config/database');
+const config = require('../config/environment');
+const logger = require('../config/logger');
+const otpService = require('./otpService');
+const customerService = require('./customerService');
+const shopifyService = require('./shopifyService');
+const sessionService = require('./sessionService');
+const deviceService = require('./deviceService');
+const customerLookupCache = require('./customerLookupCache');
+const { OTP_PURPOSES, DEFAULT_OTP_CHANNEL } = require('../constants/otpConstants');
+const { ERROR_MESSAGES, SUCCESS_MESSAGES, REDIS_KEYS } = require('../constants/customerConstants');
+
+const PHONE_CHANGE_PURPOSE = OTP_PURPOSES.PHONE_CHANGE;
+
+class PhoneChangeService {
+  /**
+   * Sends phone change codes and records the pending change
+   * @param {object} session - Session of the signed-in customer (req.auth)
+   * @param {string} newPhoneNumber - Number to move the account to
+   * @param {string} deviceId - The device ID for binding security
+   * @param {string} [channel] - OTP delivery channel
+   * @param {object} [requestContext] - Client ID and locale of the request
+   * @returns {Promise<object>} Result of the request
+   */
+  async requestPhoneChange(session, newPhoneNumber, deviceId, channel = DEFAULT_OTP_CHANNEL, requestContext = {}) {
+    try {
+      const newPhone = this.normalizePhoneNumber(newPhoneNumber);
+      const { storedCustomer, customerId } = await this.resolveCustomer(session);
+      const currentPhone = storedCustomer?.phoneNumber || session.phoneNumber || null;
+
+      if (newPhone === currentPhone) {
+        return {
+          success: false,
+          error: 'PHONE_NUMBER_UNCHANGED',
+          message: ERROR_MESSAGES.PHONE_NUMBER_UNCHANGED
+        };
+      }
+
+      if (!customerId) {
+        return {
+          success: false,
+          error: 'CUSTOMER_NOT_FOUND',
+          message: ERROR_MESSAGES.CUSTOMER_NOT_FOUND
+        };
+      }
+
+      const conflict = await this.checkPhoneAvailable(newPhone, customerId);
+      if (conflict) {
+        return conflict;
+      }
+
+      const verifyOldNumber = config.otp.phoneChange.verifyOldNumber && Boolean(currentPhone);
+
+      await otpService.sendOTP(newPhone, deviceId, PHONE_CHANGE_PURPOSE, channel, [], requestContext);
+      if (verifyOldNumber) {
+        await otpService.sendOTP(currentPhone, deviceId, PHONE_CHANGE_PURPOSE, channel, [], requestContext);
+      }
+
+      const expiresIn = config.otp.expiryMinutes * 60;
+      await redisClient.set(this.getPendingKey(customerId), {
+        customerId,
+        oldPhoneNumber: currentPhone,
+        newPhoneNumber: newPhone,
+        verifyOldNumber,
+        requestedAt: Date.now()
+      }, expiresIn);
+
+      logger.info('Phone number change requested', { customerId, verifyOldNumber });
+
+      return {
+        success: true,
+        message: verifyOldNumber ? SUCCESS_MESSAGES.PHONE_CHANGE_OTPS_SENT : SUCCESS_MESSAGES.PHONE_CHANGE_OTP_SENT,
+        data: {
+          newPhoneNumber: newPhone,
+          verifyOldNumber,
+          expiresIn
+        }
+      };
+
+    } catch (error) {
+      logger.error('ERROR: Error requesting phone number change:', error);
+      throw otpService.handleOTPError(error);
+    }
+  }
+
+  /**
+   * Confirms a pending phone change and moves the account to the new number
+   * @param {object} session - Session of the signed-in customer (req.auth)
+   * @param {string} newPhoneNumber - Number the change was requested for
+   * @param {string} otp - Code sent to the new number
+   * @param {string} [oldPhoneOtp] - Code sent to the current number
+   * @param {string} deviceId - The device ID for binding security
+   * @returns {Promise<object>} Result with a new session for the new number
+   */
+  async confirmPhoneChange(session, newPhoneNumber, otp, oldPhoneOtp, deviceId) {
+    try {
+      const newPhone = this.normalizePhoneNumber(newPhoneNumber);
+      const { storedCustomer, customerId } = await this.resolveCustomer(session);
+
+      const pendingKey = customerId ? this.getPendingKey(customerId) : null;
+      const pending = pendingKey ? await redisClient.get(pendingKey) : null;
+
+      if (!pending || pending.newPhoneNumber !== newPhone) {
+        return {
+          success: false,
+          error: 'PHONE_CHANGE_NOT_FOUND',
+          message: ERROR_MESSAGES.PHONE_CHANGE_NOT_FOUND
+        };
+      }
+
+      if (pending.verifyOldNumber && !oldPhoneOtp) {
+        return {
+          success: false,
+          error: 'OLD_PHONE_OTP_REQUIRED',
+          message: ERROR_MESSAGES.OLD_PHONE_OTP_REQUIRED
+        };
+      }
+
+      const newPhoneCheck = await otpService.checkOTP(newPhone, otp, deviceId, PHONE_CHANGE_PURPOSE);
+      if (!newPhoneCheck.success) {
+        return newPhoneCheck;
+      }
+
+      if (pending.verifyOldNumber) {
+        const oldPhoneCheck = await otpService.checkOTP(pending.oldPhoneNumber, oldPhoneOtp, deviceId, PHONE_CHANGE_PURPOSE);
+        if (!oldPhoneCheck.success) {
+          return oldPhoneCheck;
+        }
+      }
+
+      // Claim the pending change so a concurrent confirmation cannot apply it twice
+      if (!(await redisClient.delete(pendingKey))) {
+        return {
+          success: false,
+          error: 'PHONE_CHANGE_NOT_FOUND',
+          message: ERROR_MESSAGES.PHONE_CHANGE_NOT_FOUND
+        };
+      }
+
+      // The number may have been taken since the codes were sent
+      const conflict = await this.checkPhoneAvailable(newPhone, customerId);
+      if (conflict) {
+        return conflict;
+      }
+
+      logger.info('Changing customer phone number in Shopify', { customerId });
+      const shopifyResult = await shopifyService.updateCustomer(customerId, { phoneNumber: newPhone });
+
+      if (!shopifyResult.success) {
+        await this.restorePendingChange(pendingKey, pending);
+        return {
+          success: false,
+          error: shopifyResult.userErrors ? 'SHOPIFY_VALIDATION_FAILED' : 'SHOPIFY_UPDATE_FAILED',
+          message: ERROR_MESSAGES.PHONE_CHANGE_FAILED,
+          details: shopifyResult.error
+        };
+      }
+
+      if (storedCustomer) {
+        try {
+          await customerService.updateStoredCustomer(storedCustomer, shopifyResult.customer, { phoneNumber: newPhone });
+        } catch (error) {
+          // Put Shopify back so it keeps matching the customer data in Redis
+          logger.error('ERROR: Failed to re-key customer data, reverting Shopify phone number', { customerId });
+          await shopifyService.updateCustomer(customerId, { phoneNumber: pending.oldPhoneNumber });
+          throw error;
+        }
+      } else {
+        await customerLookupCache.invalidate({ phoneNumber: pending.oldPhoneNumber });
+        await customerLookupCache.invalidate({ phoneNumber: newPhone });
+      }
+
+      await otpService.removeOTPFromRedis(newPhone, PHONE_CHANGE_PURPOSE);
+      if (pending.oldPhoneNumber) {
+        await otpService.removeAllOTPs(pending.oldPhoneNumber);
+      }
+
+      // Tokens issued for the old number must not outlive it. Sessions can be keyed by
+      // any identifier of the customer (see sessionService.resolveSubject)
+      let revokedSessions = 0;
+      const subjects = new Set([
+        session.subject,
+        customerId,
+        session.email,
+        storedCustomer?.email,
+        shopifyResult.customer.email
+      ].filter(Boolean));
+      subjects.delete(pending.oldPhoneNumber);
+
+      for (const subject of subjects) {
+        revokedSessions += await sessionService.revokeAllSessions(subject);
+      }
+
+      // The old number also loses its remembered devices and registry
+      if (pending.oldPhoneNumber) {
+        revokedSessions += await deviceService.forgetSubject(pending.oldPhoneNumber);
+      }
+
+      const newSession = await sessionService.createSession({
+        phoneNumber: newPhone,
+        email: shopifyResult.customer.email || session.email,
+        customerId
+      }, deviceId);
+
+      logger.info('Customer phone number changed', { customerId, revokedSessions });
+
+      return {
+        success: true,
+        message: SUCCESS_MESSAGES.PHONE_CHANGED,
+        data: {
+          phoneNumber: newPhone,
+          previousPhoneNumber: pending.oldPhoneNumber,
+          revokedSessions,
+          session: newSession
+        }
+      };
+
+    } catch (error) {
+      logger.error('ERROR: Error confirming phone number change:', error);
+      throw otpService.handleOTPError(error);
+    }
+  }
+
+  /**
+   * Finds the stored customer data and Shopify customer ID of a session
+   * @param {object} session - Session of the signed-in customer
+   * @returns {Promise<object>} Stored customer data (or null) and customer ID (or null)
+   */
+  async resolveCustomer(session) {
+    const storedCustomer = await customerService.getStoredCustomer(session);
+    const customerId = session.customerId || storedCustomer?.customerId || await customerService.findCustomerId(session);
+
+    return { storedCustomer, customerId };
+  }
+
+  /**
+   * Checks that no other customer uses a phone number
+   * @param {string} phoneNumber - Normalized phone number
+   * @param {string} customerId - Shopify customer ID of the requester
+   * @returns {Promise<object|null>} Conflict result, or null when the number is free
+   */
+  async checkPhoneAvailable(phoneNumber, customerId) {
+    const existing = await customerService.checkCustomerExists(phoneNumber);
+
+    if (existing.exists && existing.customer.customerId !== customerId) {
+      return {
+        success: false,
+        error: 'CUSTOMER_EXISTS_PHONE',
+        message: ERROR_MESSAGES.CUSTOMER_ALREADY_EXISTS_PHONE,
+        data: { phoneNumber, customerExists: true }
+      };
+    }
+
+    return null;
+  }
+
+  /**
+   * Puts a claimed pending change back for the rest of its lifetime
+   * so the customer can retry with the same codes
+   * @param {string} pendingKey - Redis key of the pending change
+   * @param {object} pending - Pending change data
+   */
+  async restorePendingChange(pendingKey, pending) {
+    const remainingSeconds = Math.ceil(
+      (pending.requestedAt + config.otp.expiryMinutes * 60 * 1000 - Date.now()) / 1000
+    );
+
+    if (remainingSeconds > 0) {
+      await redisClient.set(pendingKey, pending, remainingSeconds);
+    }
+  }
+
+  /**
+   * Validates and normalizes a phone number
+   * @param {string} phoneNumber - Phone number to normalize
+   * @returns {string} Normalized phone number
+   */
+  normalizePhoneNumber(phoneNumber) {
+    const phoneValidation = otpService.validatePhoneNumber(phoneNumber);
+    if (!phoneValidation.isValid) {
+      throw new Error(phoneValidation.message);
+    }
+    return phoneValidation.normalizedNumber;
+  }
+
+  /**
+   * Gets the Redis key of a customer's pending phone change
+   * @param {string} customerId - Shopify customer ID
+   * @returns {string} Redis key
+   */
+  getPendingKey(customerId) {
+    return `${REDIS_KEYS.PHONE_CHANGE_PREFIX}${customerId}`;
+  }
+}
+
+module.exports = new PhoneChangeService();
@@ -0,0 +1,438 @@
+/**
+ * Session Service
+ * Issues signed access tokens and rotating, device-bound refresh tokens
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { v4: uuidv4 } = require('uuid');
+const redisClient = require('../config/database');
+const config = require('../config/environment');
+const logger = require('../config/logger');
+const {
+  TOKEN_TYPES,
+  ERROR_MESSAGES,
+  REDIS_KEYS
+} = require('../constants/authConstants');
+
+class SessionService {
+  constructor() {
+    this.config = config.session;
+
+    if (!this.config.jwtSecret || typeof this.config.jwtSecret !== 'string') {
+      throw new Error('Session signing secret is required and must be a string');
+    }
+  }
+
+  /**
+   * Creates a new session and returns its token pair
+   * @param {object} identity - Authenticated identity
+   * @param {string} [identity.phoneNumber] - Verified phone number
+   * @param {string} [identity.email] - Verified email address
+   * @param {string} [identity.customerId] - Shopify customer ID if known
+   * @param {string} deviceId - Device ID from the device_id cookie
+   * @returns {Promise<object>} Token pair and expiry information
+   */
+  async createSession(identity, deviceId) {
+    if (!deviceId) {
+      throw new Error('Device ID is required to create a session');
+    }
+
+    const subject = this.resolveSubject(identity);
+    if (!subject) {
+      throw new Error('Session identity requires a customer ID, phone number or email');
+    }
+
+    const sessionId = uuidv4();
+    const refreshJti = uuidv4();
+    const now = Date.now();
+
+    const sessionData = {
+      sessionId,
+      subject,
+      phoneNumber: identity.phoneNumber || null,
+      email: identity.email || null,
+      customerId: identity.customerId || null,
+      deviceHash: this.hashDeviceId(deviceId),
+      refreshJti,
+      createdAt: now,
+      lastRefreshedAt: now
+    };
+
+    await redisClient.set(this.getSessionKey(sessionId), sessionData, this.config.refreshTokenTTLSeconds);
+    await redisClient.addToSet(this.getSessionIndexKey(subject), sessionId, this.config.refreshTokenTTLSeconds);
+
+    logger.info('Session created', {
+      sessionId,
+      subject,
+      deviceId: sessionData.deviceHash.substring(0, 8)
+    });
+
+    return this.issueTokens(sessionData);
+  }
+
+  /**
+   * Rotates a refresh token and issues a new token pair
+   * @param {string} refreshToken - Refresh token presented by the client
+   * @param {string} deviceId - Device ID from the device_id cookie
+   * @returns {Promise<object>} Refresh result
+   */
+  async refreshSession(refreshToken, deviceId) {
+    const decoded = this.verifyToken(refreshToken, TOKEN_TYPES.REFRESH);
+    if (!decoded) {
+      return {
+        success: false,
+        message: ERROR_MESSAGES.REFRESH_TOKEN_INVALID,
+        error: 'INVALID_REFRESH_TOKEN'
+      };
+    }
+
+    const sessionKey = this.getSessionKey(decoded.sid);
+    const sessionData = await redisClient.get(sessionKey);
+
+    if (!sessionData) {
+      return {
+        success: false,
+        message: ERROR_MESSAGES.SESSION_NOT_FOUND,
+        error: 'SESSION_NOT_FOUND'
+      };
+    }
+
+    if (sessionData.deviceHash !== this.hashDeviceId(deviceId)) {
+      logger.warn('Refresh token presented from a different device', { sessionId: decoded.sid });
+      return {
+        success: false,
+        message: ERROR_MESSAGES.SESSION_DEVICE_MISMATCH,
+        error: 'DEVICE_MISMATCH'
+      };
+    }
+
+    // A refresh token that is not the latest one for this session has already
+    // been rotated; treat it as stolen and revoke the whole session
+    if (sessionData.refreshJti !== decoded.jti) {
+      logger.warn('Refresh token reuse detected - revoking session', { sessionId: decoded.sid });
+      await this.revokeSession(decoded.sid);
+      return {
+        success: false,
+        message: ERROR_MESSAGES.REFRESH_TOKEN_REUSED,
+        error: 'REFRESH_TOKEN_REUSED'
+      };
+    }
+
+    sessionData.refreshJti = uuidv4();
+    sessionData.lastRefreshedAt = Date.now();
+    await redisClient.set(sessionKey, sessionData, this.config.refreshTokenTTLSeconds);
+
+    return {
+      success: true,
+      data: this.issueTokens(sessionData)
+    };
+  }
+
+  /**
+   * Revokes the session a refresh token belongs to, or every session of its subject
+   * The token must be the latest one of a live session and come from the device
+   * the session was issued to
+   * @param {string} refreshToken - Refresh token presented by the client
+   * @param {string} deviceId - Device ID from the device_id cookie
+   * @param {boolean} [allDevices=false] - Revoke every session of the subject
+   * @returns {Promise<object>} Revocation result including the number of revoked sessions
+   */
+  async revokeByRefreshToken(refreshToken, deviceId, allDevices = false) {
+    // Expired refresh tokens may still be used to log out
+    const decoded = this.verifyToken(refreshToken, TOKEN_TYPES.REFRESH, { ignoreExpiration: true });
+    if (!decoded) {
+      return {
+        success: false,
+        message: ERROR_MESSAGES.REFRESH_TOKEN_INVALID,
+        error: 'INVALID_REFRESH_TOKEN'
+      };
+    }
+
+    const sessionData = await redisClient.get(this.getSessionKey(decoded.sid));
+
+    if (!sessionData) {
+      return {
+        success: false,
+        message: ERROR_MESSAGES.SESSION_NOT_FOUND,
+        error: 'SESSION_NOT_FOUND'
+      };
+    }
+
+    if (sessionData.deviceHash !== this.hashDeviceId(deviceId)) {
+      logger.warn('Logout attempted from a different device', { sessionId: decoded.sid });
+      return {
+        success: false,
+        message: ERROR_MESSAGES.SESSION_DEVICE_MISMATCH,
+        error: 'DEVICE_MISMATCH'
+      };
+    }
+
+    // Same reuse handling as refreshSession: a rotated token only ends its own session
+    if (sessionData.refreshJti !== decoded.jti) {
+      logger.warn('Refresh token reuse detected on logout - revoking session', { sessionId: decoded.sid });
+      await this.revokeSession(decoded.sid, sessionData.subject);
+      return {
+        success: false,
+        message: ERROR_MESSAGES.REFRESH_TOKEN_REUSED,
+        error: 'REFRESH_TOKEN_REUSED'
+      };
+    }
+
+    let revokedSessions = 1;
+    if (allDevices) {
+      revokedSessions = await this.revokeAllSessions(sessionData.subject);
+    } else {
+      await this.revokeSession(decoded.sid, sessionData.subject);
+    }
+
+    return {
+      success: true,
+      subject: sessionData.subject,
+      sessionId: decoded.sid,
+      revokedSessions
+    };
+  }
+
+  /**
+   * Revokes a single session
+   * @param {string} sessionId - Session ID
+   * @param {string} [subject] - Session subject, looked up when omitted
+   */
+  async revokeSession(sessionId, subject = null) {
+    const sessionKey = this.getSessionKey(sessionId);
+
+    if (!subject) {
+      const sessionData = await redisClient.get(sessionKey);
+      subject = sessionData?.subject;
+    }
+
+    await redisClient.delete(sessionKey);
+    if (subject) {
+      await redisClient.removeFromSet(this.getSessionIndexKey(subject), sessionId);
+    }
+
+    logger.info('Session revoked', { sessionId });
+  }
+
+  /**
+   * Revokes every session of a subject
+   * @param {string} subject - Session subject
+   * @returns {Promise<number>} Number of revoked sessions
+   */
+  async revokeAllSessions(subject) {
+    const indexKey = this.getSessionIndexKey(subject);
+    const sessionIds = await redisClient.getSetMembers(indexKey);
+
+    for (const sessionId of sessionIds) {
+      await redisClient.delete(this.getSessionKey(sessionId));
+    }
+    await redisClient.delete(indexKey);
+
+    logger.info('All sessions revoked', { subject, count: sessionIds.length });
+    return sessionIds.length;
+  }
+
+  /**
+   * Lists the live sessions of a subject
+   * @param {string} subject - Session subject
+   * @returns {Promise<Array>} Stored session data
+   */
+  async listSessions(subject) {
+    const sessionIds = await redisClient.getSetMembers(this.getSessionIndexKey(subject));
+    const sessions = [];
+
+    for (const sessionId of sessionIds) {
+      const sessionData = await redisClient.get(this.getSessionKey(sessionId));
+      if (sessionData) {
+        sessions.push(sessionData);
+      }
+    }
+
+    return sessions;
+  }
+
+  /**
+   * Revokes every session of a subject issued to one device
+   * @param {string} subject - Session subject
+   * @param {string} deviceHash - Hashed device ID (see hashDeviceId)
+   * @returns {Promise<number>} Number of revoked sessions
+   */
+  async revokeDeviceSessions(subject, deviceHash) {
+    const sessions = (await this.listSessions(subject))
+      .filter(sessionData => sessionData.deviceHash === deviceHash);
+
+    for (const sessionData of sessions) {
+      await this.revokeSession(sessionData.sessionId, subject);
+    }
+
+    return sessions.length;
+  }
+
+  /**
+   * Verifies an access token and the session behind it
+   * @param {string} accessToken - Access token from the Authorization header
+   * @param {string} deviceId - Device ID from the device_id cookie
+   * @returns {Promise<object>} Verification result with session data
+   */
+  async verifyAccessToken(accessToken, deviceId) {
+    const decoded = this.verifyToken(accessToken, TOKEN_TYPES.ACCESS);
+    if (!decoded) {
+      return { isValid: false, error: 'INVALID_ACCESS_TOKEN' };
+    }
+
+    if (decoded.did !== this.hashDeviceId(deviceId)) {
+      return { isValid: false, error: 'DEVICE_MISMATCH' };
+    }
+
+    const sessionData = await redisClient.get(this.getSessionKey(decoded.sid));
+    if (!sessionData) {
+      return { isValid: false, error: 'SESSION_NOT_FOUND' };
+    }
+
+    return {
+      isValid: true,
+      session: sessionData
+    };
+  }
+
+  /**
+   * Signs a new access/refresh token pair for a session
+   * @param {object} sessionData - Stored session data
+   * @returns {object} Token pair
+   * @private
+   */
+  issueTokens(sessionData) {
+    const signOptions = {
+      algorithm: this.config.algorithm,
+      issuer: this.config.issuer,
+      subject: sessionData.subject
+    };
+
+    const accessToken = jwt.sign(
+      {
+        typ: TOKEN_TYPES.ACCESS,
+        sid: sessionData.sessionId,
+        did: sessionData.deviceHash,
+        phone: sessionData.phoneNumber,
+        email: sessionData.email,
+        customerId: sessionData.customerId
+      },
+      this.config.jwtSecret,
+      { ...signOptions, expiresIn: this.config.accessTokenTTLSeconds }
+    );
+
+    const refreshToken = jwt.sign(
+      {
+        typ: TOKEN_TYPES.REFRESH,
+        sid: sessionData.sessionId
+      },
+      this.config.jwtSecret,
+      { ...signOptions, expiresIn: this.config.refreshTokenTTLSeconds, jwtid: sessionData.refreshJti }
+    );
+
+    return {
+      accessToken,
+      refreshToken,
+      tokenType: TOKEN_TYPES.BEARER,
+      expiresIn: this.config.accessTokenTTLSeconds,
+      refreshExpiresIn: this.config.refreshTokenTTLSeconds
+    };
+  }
+
+  /**
+   * Signs a "remember this device" token
+   * @param {object} trustData - Stored trusted device record
+   * @param {number} ttlSeconds - Token lifetime in seconds
+   * @returns {string} Trust token
+   */
+  issueTrustToken(trustData, ttlSeconds) {
+    return jwt.sign(
+      {
+        typ: TOKEN_TYPES.TRUST,
+        tid: trustData.trustId,
+        did: trustData.deviceHash,
+        phone: trustData.phoneNumber
+      },
+      this.config.jwtSecret,
+      {
+        algorithm: this.config.algorithm,
+        issuer: this.config.issuer,
+        subject: trustData.subject,
+        expiresIn: ttlSeconds
+      }
+    );
+  }
+
+  /**
+   * Verifies the signature and expiry of a trust token
+   * @param {string} trustToken - Trust token presented by the client
+   * @returns {object|null} Decoded payload or null if invalid
+   */
+  verifyTrustToken(trustToken) {
+    return this.verifyToken(trustToken, TOKEN_TYPES.TRUST);
+  }
+
+  /**
+   * Verifies a token signature and type
+   * @param {string} token - Signed token
+   * @param {string} expectedType - Expected token type
+   * @param {object} [options] - Extra jsonwebtoken verify options
+   * @returns {object|null} Decoded payload or null if invalid
+   * @private
+   */
+  verifyToken(token, expectedType, options = {}) {
+    if (!token || typeof token !== 'string') {
+      return null;
+    }
+
+    try {
+      const decoded = jwt.verify(token, this.config.jwtSecret, {
+        algorithms: [this.config.algorithm],
+        issuer: this.config.issuer,
+        ...options
+      });
+
+      // Session tokens point to a session, trust tokens to a trusted device record
+      if (decoded.typ !== expectedType || !(decoded.sid || decoded.tid)) {
+        return null;
+      }
+
+      return decoded;
+    } catch (error) {
+      logger.debug('Token verification failed:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Picks the most stable identifier for the session subject
+   * @param {object} identity - Authenticated identity
+   * @returns {string|null} Subject
+   */
+  resolveSubject(identity = {}) {
+    return identity.customerId || identity.phoneNumber || identity.email || null;
+  }
+
+  /**
+   * Hashes the device ID so the raw cookie value never appears in tokens
+   * @param {string} deviceId - Device ID
+   * @returns {string} Device hash
+   */
+  hashDeviceId(deviceId) {
+    return crypto
+      .createHmac('sha256', this.config.jwtSecret)
+      .update(String(deviceId || ''))
+      .digest('hex');
+  }
+
+  getSessionKey(sessionId) {
+    return `${REDIS_KEYS.SESSION_PREFIX}${sessionId}`;
+  }
+
+  getSessionIndexKey(subject) {
+    return `${REDIS_KEYS.SESSION_INDEX_PREFIX}${subject}`;
+  }
+}
+
+module.exports = new SessionService();
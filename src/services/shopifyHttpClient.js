@@ -0,0 +1,320 @@
+/**
+ * Shopify HTTP Client
+ * Shared transport for every Shopify API call. Retries rate-limited requests
+ * after Retry-After, retries idempotent requests on 5xx and network errors with
+ * jittered backoff, paces Admin GraphQL by the reported cost budget, and stops
+ * calling Shopify for a while (circuit breaker) after repeated failures.
+ */
+
+const axios = require('axios');
+const config = require('../config/environment');
+const logger = require('../config/logger');
+
+const CIRCUIT_STATES = {
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF_OPEN: 'half_open'
+};
+
+class ShopifyHttpClient {
+  constructor() {
+    this.config = config.shopify.http;
+
+    this.circuit = {
+      state: CIRCUIT_STATES.CLOSED,
+      consecutiveFailures: 0,
+      openedAt: null
+    };
+
+    // Last throttle status reported in Admin GraphQL `extensions.cost`
+    this.graphQLThrottle = null;
+  }
+
+  /**
+   * Sends a request to Shopify
+   * @param {object} options - Request options
+   * @param {string} [options.method] - HTTP method, GET by default
+   * @param {string} options.url - Request URL
+   * @param {object} [options.data] - Request body
+   * @param {object} [options.headers] - Request headers
+   * @param {number} [options.timeout] - Timeout in milliseconds
+   * @param {boolean} [options.idempotent] - Whether 5xx and network errors may be retried; defaults to true for GET
+   * @param {boolean} [options.graphQL] - Apply Admin GraphQL cost pacing and THROTTLED retries
+   * @returns {Promise<object>} Axios response
+   * @throws {Error} When the circuit is open or the request ultimately fails
+   */
+  async request(options) {
+    const method = (options.method || 'GET').toUpperCase();
+    const idempotent = options.idempotent ?? method === 'GET';
+
+    this.assertCircuitClosed();
+
+    for (let attempt = 1; ; attempt++) {
+      const retriesLeft = attempt <= this.config.maxRetries;
+
+      if (options.graphQL) {
+        await this.waitForGraphQLCapacity();
+      }
+
+      let response;
+      try {
+        response = await axios.request({
+          method,
+          url: options.url,
+          data: options.data,
+          headers: options.headers,
+          timeout: options.timeout || this.config.timeout
+        });
+      } catch (error) {
+        const delay = retriesLeft ? this.getRetryDelay(error, attempt, idempotent) : null;
+
+        if (delay === null) {
+          if (this.isServiceFailure(error)) {
+            this.recordFailure();
+          }
+          throw error;
+        }
+
+        logger.warn('WARNING: Shopify request failed, retrying', {
+          url: options.url,
+          status: error.response?.status,
+          code: error.code,
+          attempt,
+          delayMs: delay
+        });
+        await this.sleep(delay);
+        continue;
+      }
+
+      if (options.graphQL) {
+        this.recordGraphQLCost(response.data?.extensions?.cost);
+
+        // Throttled queries and mutations were not executed, so both can be retried
+        const throttled = response.data?.errors?.some(error => error.extensions?.code === 'THROTTLED');
+        if (throttled) {
+          if (retriesLeft) {
+            logger.warn('WARNING: Shopify Admin GraphQL request throttled, retrying', { attempt });
+            continue;
+          }
+          this.recordFailure();
+          return response;
+        }
+      }
+
+      this.recordSuccess();
+      return response;
+    }
+  }
+
+  /**
+   * Sends a POST request to Shopify
+   * @param {string} url - Request URL
+   * @param {object} data - Request body
+   * @param {object} [options] - Other request options (see request)
+   * @returns {Promise<object>} Axios response
+   */
+  post(url, data, options = {}) {
+    return this.request({ ...options, method: 'POST', url, data });
+  }
+
+  /**
+   * Sends a GET request to Shopify
+   * @param {string} url - Request URL
+   * @param {object} [options] - Other request options (see request)
+   * @returns {Promise<object>} Axios response
+   */
+  get(url, options = {}) {
+    return this.request({ ...options, method: 'GET', url });
+  }
+
+  /**
+   * Whether requests are currently let through
+   * @returns {boolean} False while the circuit is open
+   */
+  isAvailable() {
+    return this.getCircuitState() !== CIRCUIT_STATES.OPEN;
+  }
+
+  /**
+   * Current circuit breaker state; an open circuit turns half-open once the
+   * reset timeout has passed
+   * @returns {string} closed, open or half_open
+   */
+  getCircuitState() {
+    if (this.circuit.state === CIRCUIT_STATES.OPEN
+      && Date.now() - this.circuit.openedAt >= this.config.circuitResetMs) {
+      this.circuit.state = CIRCUIT_STATES.HALF_OPEN;
+    }
+    return this.circuit.state;
+  }
+
+  /**
+   * Throws while the circuit is open
+   * @throws {Error} With code SHOPIFY_CIRCUIT_OPEN
+   */
+  assertCircuitClosed() {
+    if (this.isAvailable()) {
+      return;
+    }
+
+    const error = new Error('Shopify API unavailable: circuit breaker open');
+    error.code = 'SHOPIFY_CIRCUIT_OPEN';
+    throw error;
+  }
+
+  recordSuccess() {
+    if (this.circuit.state !== CIRCUIT_STATES.CLOSED) {
+      logger.info('Shopify circuit breaker closed');
+    }
+    this.circuit.state = CIRCUIT_STATES.CLOSED;
+    this.circuit.consecutiveFailures = 0;
+    this.circuit.openedAt = null;
+  }
+
+  recordFailure() {
+    this.circuit.consecutiveFailures++;
+
+    // Any failure while half-open reopens the circuit straight away
+    if (this.circuit.state === CIRCUIT_STATES.HALF_OPEN
+      || this.circuit.consecutiveFailures >= this.config.circuitFailureThreshold) {
+      if (this.circuit.state !== CIRCUIT_STATES.OPEN) {
+        logger.error('Shopify circuit breaker opened', {
+          consecutiveFailures: this.circuit.consecutiveFailures,
+          resetMs: this.config.circuitResetMs
+        });
+      }
+      this.circuit.state = CIRCUIT_STATES.OPEN;
+      this.circuit.openedAt = Date.now();
+    }
+  }
+
+  /**
+   * Failures that say Shopify is unavailable, as opposed to a bad request
+   * @param {Error} error - Axios error
+   * @returns {boolean} Whether the failure counts towards opening the circuit
+   */
+  isServiceFailure(error) {
+    const status = error.response?.status;
+    return !status || status === 429 || status >= 500;
+  }
+
+  /**
+   * Decides whether and when a failed request is retried
+   * 429 responses were not processed and are always retried after Retry-After;
+   * 5xx and network errors only for idempotent requests
+   * @param {Error} error - Axios error
+   * @param {number} attempt - Attempts made so far
+   * @param {boolean} idempotent - Whether the request can be repeated safely
+   * @returns {number|null} Delay in milliseconds, or null to give up
+   */
+  getRetryDelay(error, attempt, idempotent) {
+    const status = error.response?.status;
+
+    if (status === 429) {
+      const retryAfterMs = this.parseRetryAfter(error.response.headers?.['retry-after']);
+      if (retryAfterMs === null) {
+        return this.getBackoffDelay(attempt);
+      }
+      // Waiting longer would hold up the OTP request that triggered the call
+      return retryAfterMs <= this.config.retryMaxDelayMs ? retryAfterMs : null;
+    }
+
+    if (idempotent && this.isServiceFailure(error)) {
+      return this.getBackoffDelay(attempt);
+    }
+
+    return null;
+  }
+
+  /**
+   * Parses a Retry-After header (seconds or HTTP date)
+   * @param {string} value - Header value
+   * @returns {number|null} Delay in milliseconds
+   */
+  parseRetryAfter(value) {
+    if (!value) {
+      return null;
+    }
+
+    const seconds = Number(value);
+    if (!Number.isNaN(seconds)) {
+      return Math.max(0, Math.ceil(seconds * 1000));
+    }
+
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+  }
+
+  /**
+   * Exponential backoff with up to 20% jitter so retries from many requests spread out
+   * @param {number} attempt - Attempts made so far
+   * @returns {number} Delay in milliseconds
+   */
+  getBackoffDelay(attempt) {
+    const delay = Math.min(
+      this.config.retryBaseDelayMs * Math.pow(2, attempt - 1),
+      this.config.retryMaxDelayMs
+    );
+    return Math.round(delay * (1 + Math.random() * 0.2));
+  }
+
+  /**
+   * Keeps the throttle status reported with an Admin GraphQL response
+   * @param {object} cost - `extensions.cost` of the response
+   */
+  recordGraphQLCost(cost) {
+    if (!cost?.throttleStatus) {
+      return;
+    }
+
+    this.graphQLThrottle = {
+      requestedQueryCost: cost.requestedQueryCost,
+      currentlyAvailable: cost.throttleStatus.currentlyAvailable,
+      maximumAvailable: cost.throttleStatus.maximumAvailable,
+      restoreRate: cost.throttleStatus.restoreRate,
+      recordedAt: Date.now()
+    };
+
+    logger.debug('Shopify Admin GraphQL cost', {
+      requested: cost.requestedQueryCost,
+      actual: cost.actualQueryCost,
+      available: cost.throttleStatus.currentlyAvailable
+    });
+  }
+
+  /**
+   * Waits until the cost bucket should hold enough points for a request
+   * as expensive as the last one
+   * @returns {Promise<void>}
+   */
+  async waitForGraphQLCapacity() {
+    const throttle = this.graphQLThrottle;
+    if (!throttle || !throttle.restoreRate) {
+      return;
+    }
+
+    const elapsedSeconds = (Date.now() - throttle.recordedAt) / 1000;
+    const available = Math.min(
+      throttle.maximumAvailable,
+      throttle.currentlyAvailable + elapsedSeconds * throttle.restoreRate
+    );
+
+    if (available >= throttle.requestedQueryCost) {
+      return;
+    }
+
+    const waitMs = Math.min(
+      Math.ceil(((throttle.requestedQueryCost - available) / throttle.restoreRate) * 1000),
+      this.config.retryMaxDelayMs
+    );
+
+    logger.warn('WARNING: Shopify Admin GraphQL cost budget low, waiting', { waitMs, available });
+    await this.sleep(waitMs);
+  }
+
+  sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+}
+
+module.exports = new ShopifyHttpClient();
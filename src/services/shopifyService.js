@@ -1,6 +1,30 @@
-const axios = require('axios');
+const crypto = require('crypto');
 const config = require('../config/environment');
 const logger = require('../config/logger');
+const shopifyHttpClient = require('./shopifyHttpClient');
+const customerLookupCache = require('./customerLookupCache');
+const { CUSTOMER_TOKEN_ERRORS } = require('../constants/customerConstants');
+
+// Customer fields read back from Admin GraphQL queries and mutations
+const ADMIN_CUSTOMER_FIELDS = `
+  id
+  email
+  phone
+  firstName
+  lastName
+  displayName
+  createdAt
+  updatedAt
+  emailMarketingConsent {
+    marketingState
+  }
+`;
+
+// Customer search paging; phone searches are fuzzy, so exact matches may not be first
+const CUSTOMER_SEARCH = {
+  PAGE_SIZE: 10,
+  MAX_PAGES: 3
+};
 
 class ShopifyService {
   constructor() {
@@ -14,6 +38,9 @@ class ShopifyService {
     this.adminApiUrl = this.config.urls.adminGraphQL;
     this.adminRestApiUrl = this.config.urls.adminREST;
 
+    // Multipass
+    this.multipassConfig = this.config.multipass;
+
     if (!this.storeDomain) {
       logger.warn('WARNING: SHOPIFY_STORE_DOMAIN is missing in environment variables.');
     }
@@ -58,93 +85,30 @@ class ShopifyService {
       return {
         exists: false,
         customer: null,
+        unavailable: true,
         error: 'Error occurred while checking customer existence'
       };
     }
   }
 
   /**
-   * Check customer using Admin API (preferred method)
+   * Check customer by phone number using the Admin GraphQL API
    * @param {string} phoneNumber - Customer's phone number
    * @returns {object} - Customer existence result
    */
   async checkCustomerWithAdminAPI(phoneNumber) {
     try {
-      // Use REST API to search customers by phone
-      // GraphQL Admin API also works but REST is simpler for this use case
-      const searchUrl = `${this.adminRestApiUrl}/customers.json?phone=${encodeURIComponent(phoneNumber)}&limit=1`;
-
-      logger.debug('searchUrl', searchUrl);
-      
-      const response = await axios.get(searchUrl, {
-        headers: {
-          'X-Shopify-Access-Token': this.adminAccessToken,
-          'Content-Type': 'application/json'
-        },
-        timeout: 10000
-      });
-
-      // Log complete Shopify response for debugging
-      logger.info('=== SHOPIFY API RESPONSE ===');
-      logger.info(`URL: ${searchUrl}`);
-      logger.info(`Status: ${response.status}`);
-      logger.info(`Response Data: ${JSON.stringify(response.data, null, 2)}`);
-      logger.info('=== END SHOPIFY RESPONSE ===');
-
-      if (response.data && response.data.customers && response.data.customers.length > 0) {
-        const customer = response.data.customers[0];
-        return {
-          exists: true,
-          customer: {
-            id: `gid://shopify/Customer/${customer.id}`,
-            email: customer.email,
-            phone: customer.phone,
-            firstName: customer.first_name,
-            lastName: customer.last_name,
-            acceptsMarketing: customer.accepts_marketing,
-            createdAt: customer.created_at,
-            updatedAt: customer.updated_at
-          },
-          error: null
-        };
-      }
-
-      return {
-        exists: false,
-        customer: null,
-        error: null
-      };
+      return await customerLookupCache.getOrLookup('phone', phoneNumber,
+        () => this.findCustomerWithAdminAPI('phone', phoneNumber));
 
     } catch (error) {
       logger.error('Admin API customer check failed:', error.message);
-      console.log( error);
-      
-      if (error.response?.status === 401) {
-        return {
-          exists: false,
-          customer: null,
-          error: 'Invalid Admin API access token'
-        };
-      }
-      
-      if (error.response?.status === 402) {
-        return {
-          exists: false,
-          customer: null,
-          error: 'Shopify store payment required'
-        };
-      }
-      
-      return {
-        exists: false,
-        customer: null,
-        error: 'Admin API request failed'
-      };
+      return this.formatLookupError(error);
     }
   }
 
   /**
-   * Check customer by email using Admin API
+   * Check customer by email using the Admin GraphQL API
    * @param {string} email - Customer's email address
    * @returns {object} - Customer existence result
    */
@@ -158,75 +122,153 @@ class ShopifyService {
         };
       }
 
-      // Use REST API to search customers by email
-      const searchUrl = `${this.adminRestApiUrl}/customers.json?email=${encodeURIComponent(email)}&limit=1`;
+      return await customerLookupCache.getOrLookup('email', email,
+        () => this.findCustomerWithAdminAPI('email', email));
 
-      logger.debug('Email search URL:', searchUrl);
-      
-      const response = await axios.get(searchUrl, {
-        headers: {
-          'X-Shopify-Access-Token': this.adminAccessToken,
-          'Content-Type': 'application/json'
-        },
-        timeout: 10000
+    } catch (error) {
+      logger.error('Admin API customer email check failed:', error.message);
+      return this.formatLookupError(error);
+    }
+  }
+
+  /**
+   * Searches customers by phone or email and keeps exact matches
+   * Shopify search is fuzzy (`phone:` also matches partial numbers), so results
+   * are paged through and compared to the identifier. Should several customers
+   * match exactly, the oldest account wins.
+   * @param {string} field - Search field, 'phone' or 'email'
+   * @param {string} value - Phone number or email to look up
+   * @returns {Promise<object>} - Customer existence result with the number of exact matches
+   */
+  async findCustomerWithAdminAPI(field, value) {
+    const matches = [];
+    let after = null;
+
+    for (let page = 0; page < CUSTOMER_SEARCH.MAX_PAGES; page++) {
+      const data = await this.requestAdminGraphQL(`
+        query findCustomers($query: String!, $first: Int!, $after: String) {
+          customers(query: $query, first: $first, after: $after, sortKey: CREATED_AT) {
+            nodes {
+              ${ADMIN_CUSTOMER_FIELDS}
+            }
+            pageInfo {
+              hasNextPage
+              endCursor
+            }
+          }
+        }
+      `, {
+        query: `${field}:${this.quoteSearchValue(value)}`,
+        first: CUSTOMER_SEARCH.PAGE_SIZE,
+        after
       });
 
-      // Log complete Shopify email search response for debugging
-      logger.info('=== SHOPIFY EMAIL SEARCH RESPONSE ===');
-      logger.info(`URL: ${searchUrl}`);
-      logger.info(`Status: ${response.status}`);
-      logger.info(`Response Data: ${JSON.stringify(response.data, null, 2)}`);
-      logger.info('=== END SHOPIFY EMAIL RESPONSE ===');
+      const { nodes, pageInfo } = data.customers;
+      matches.push(...nodes.filter(customer => this.matchesIdentifier(customer, field, value)));
 
-      if (response.data && response.data.customers && response.data.customers.length > 0) {
-        const customer = response.data.customers[0];
-        return {
-          exists: true,
-          customer: {
-            id: `gid://shopify/Customer/${customer.id}`,
-            email: customer.email,
-            phone: customer.phone,
-            firstName: customer.first_name,
-            lastName: customer.last_name,
-            acceptsMarketing: customer.accepts_marketing,
-            createdAt: customer.created_at,
-            updatedAt: customer.updated_at
-          },
-          error: null
-        };
+      if (!pageInfo.hasNextPage) {
+        break;
       }
+      after = pageInfo.endCursor;
+    }
+
+    if (matches.length > 1) {
+      logger.warn(`WARNING: ${matches.length} Shopify customers share this ${field}, using the oldest`, {
+        customerIds: matches.map(customer => customer.id)
+      });
+    }
+
+    return {
+      exists: matches.length > 0,
+      customer: matches.length > 0 ? this.normalizeCustomer(matches[0]) : null,
+      matchCount: matches.length,
+      error: null
+    };
+  }
+
+  /**
+   * Checks a search result against the identifier it was searched by
+   * @param {object} customer - Customer node from the Admin GraphQL API
+   * @param {string} field - 'phone' or 'email'
+   * @param {string} value - Identifier searched for
+   * @returns {boolean} - Whether the customer matches exactly
+   */
+  matchesIdentifier(customer, field, value) {
+    if (field === 'email') {
+      return Boolean(customer.email) && customer.email.toLowerCase() === value.toLowerCase();
+    }
 
+    const digits = (phone) => (phone || '').replace(/\D/g, '');
+    return Boolean(customer.phone) && digits(customer.phone) === digits(value);
+  }
+
+  /**
+   * Quotes a value for Shopify search syntax
+   * @param {string} value - Raw value
+   * @returns {string} - Quoted value
+   */
+  quoteSearchValue(value) {
+    return `"${String(value).replace(/["\\]/g, '\\$&')}"`;
+  }
+
+  /**
+   * Maps an Admin GraphQL customer to the shape returned by every lookup,
+   * creation and update
+   * @param {object} customer - Customer from the Admin GraphQL API
+   * @returns {object} - Normalized customer
+   */
+  normalizeCustomer(customer) {
+    return {
+      id: customer.id,
+      email: customer.email,
+      phone: customer.phone,
+      firstName: customer.firstName,
+      lastName: customer.lastName,
+      displayName: customer.displayName,
+      acceptsMarketing: customer.emailMarketingConsent?.marketingState === 'SUBSCRIBED',
+      createdAt: customer.createdAt,
+      updatedAt: customer.updatedAt
+    };
+  }
+
+  /**
+   * Maps a failed lookup request to a "not found" result with the reason.
+   * Outages are flagged `unavailable` so callers do not mistake them for new customers
+   * @param {Error} error - Request error
+   * @returns {object} - Customer existence result
+   */
+  formatLookupError(error) {
+    if (error.code === 'SHOPIFY_CIRCUIT_OPEN') {
       return {
         exists: false,
         customer: null,
-        error: null
+        unavailable: true,
+        error: 'Shopify API temporarily unavailable'
       };
+    }
 
-    } catch (error) {
-      logger.error('Admin API customer email check failed:', error.message);
-      
-      if (error.response?.status === 401) {
-        return {
-          exists: false,
-          customer: null,
-          error: 'Invalid Admin API access token'
-        };
-      }
-      
-      if (error.response?.status === 402) {
-        return {
-          exists: false,
-          customer: null,
-          error: 'Shopify store payment required'
-        };
-      }
-      
+    if (error.response?.status === 401) {
       return {
         exists: false,
         customer: null,
-        error: 'Admin API request failed'
+        error: 'Invalid Admin API access token'
+      };
+    }
+
+    if (error.response?.status === 402) {
+      return {
+        exists: false,
+        customer: null,
+        error: 'Shopify store payment required'
       };
     }
+
+    return {
+      exists: false,
+      customer: null,
+      unavailable: true,
+      error: 'Admin API request failed'
+    };
   }
 
   /**
@@ -272,11 +314,93 @@ class ShopifyService {
   }
 
   /**
-   * Create customer using Admin API (preferred method)
+   * Create customer using the Admin GraphQL API (preferred method)
+   * CustomerInput has no password field, so customers that sign in to the
+   * storefront with a password are created through REST instead
    * @param {object} customerData - Customer information
    * @returns {object} - Customer creation result
    */
   async createCustomerWithAdminAPI(customerData) {
+    if (customerData.password) {
+      return this.createCustomerWithAdminREST(customerData);
+    }
+
+    try {
+      const { phoneNumber, name, email, gender, birthdate, acceptsMarketing } = customerData;
+
+      const nameParts = name.trim().split(/\s+/);
+      const input = {
+        firstName: nameParts[0] || '',
+        lastName: nameParts.slice(1).join(' '),
+        email,
+        phone: phoneNumber,
+        emailMarketingConsent: {
+          marketingState: acceptsMarketing ? 'SUBSCRIBED' : 'NOT_SUBSCRIBED',
+          marketingOptInLevel: 'SINGLE_OPT_IN'
+        }
+      };
+
+      const metafields = [];
+      if (gender) {
+        metafields.push({ namespace: 'custom', key: 'gender', value: gender, type: 'single_line_text_field' });
+      }
+      if (birthdate) {
+        metafields.push({ namespace: 'custom', key: 'birthdate', value: this.formatDate(birthdate), type: 'date' });
+      }
+      if (metafields.length > 0) {
+        input.metafields = metafields;
+      }
+
+      const data = await this.requestAdminGraphQL(`
+        mutation customerCreate($input: CustomerInput!) {
+          customerCreate(input: $input) {
+            customer {
+              ${ADMIN_CUSTOMER_FIELDS}
+            }
+            userErrors {
+              field
+              message
+            }
+          }
+        }
+      `, { input });
+
+      const result = data.customerCreate;
+      if (result.userErrors.length > 0) {
+        return this.formatUserErrors('customerCreate', result.userErrors);
+      }
+
+      return {
+        success: true,
+        customer: this.normalizeCustomer(result.customer),
+        error: null
+      };
+
+    } catch (error) {
+      logger.error('Admin API customer creation failed:', error.message);
+
+      if (error.response?.status === 401) {
+        return {
+          success: false,
+          customer: null,
+          error: 'Invalid Admin API access token'
+        };
+      }
+
+      return {
+        success: false,
+        customer: null,
+        error: 'Admin API request failed'
+      };
+    }
+  }
+
+  /**
+   * Create customer with a password using the Admin REST API
+   * @param {object} customerData - Customer information
+   * @returns {object} - Customer creation result
+   */
+  async createCustomerWithAdminREST(customerData) {
     try {
       const { phoneNumber, name, email, password, gender, birthdate, acceptsMarketing } = customerData;
 
@@ -323,7 +447,7 @@ class ShopifyService {
         }
       }
 
-      const response = await axios.post(
+      const response = await shopifyHttpClient.post(
         `${this.adminRestApiUrl}/customers.json`,
         customerPayload,
         {
@@ -345,8 +469,10 @@ class ShopifyService {
             phone: customer.phone,
             firstName: customer.first_name,
             lastName: customer.last_name,
+            displayName: `${customer.first_name || ''} ${customer.last_name || ''}`.trim(),
             acceptsMarketing: customer.accepts_marketing,
-            createdAt: customer.created_at
+            createdAt: customer.created_at,
+            updatedAt: customer.updated_at
           },
           error: null
         };
@@ -407,6 +533,236 @@ class ShopifyService {
     };
   }
 
+  /**
+   * Updates a customer's profile using the Admin GraphQL API
+   * Name, email, gender and birthdate go through customerUpdate; marketing
+   * consent can only be changed with customerEmailMarketingConsentUpdate.
+   * Shopify has no transaction across the two, so when consent fails after the
+   * profile was saved the result is still successful and lists `failedUpdates`
+   * @param {string} customerId - Shopify customer GID
+   * @param {object} updates - Fields to change (name, email, phoneNumber, gender, birthdate, acceptsMarketing)
+   * @returns {object} - Customer update result
+   */
+  async updateCustomer(customerId, updates) {
+    try {
+      if (!this.storeDomain || !this.adminAccessToken) {
+        return {
+          success: false,
+          customer: null,
+          error: 'Shopify Admin API not configured'
+        };
+      }
+
+      const { name, email, phoneNumber, gender, birthdate, acceptsMarketing } = updates;
+      let customer = null;
+
+      const input = { id: customerId };
+
+      if (name !== undefined) {
+        const nameParts = name.trim().split(/\s+/);
+        input.firstName = nameParts[0] || '';
+        input.lastName = nameParts.slice(1).join(' ');
+      }
+
+      if (email !== undefined) {
+        input.email = email;
+      }
+
+      if (phoneNumber !== undefined) {
+        input.phone = phoneNumber;
+      }
+
+      const metafields = [];
+      if (gender !== undefined) {
+        metafields.push({ namespace: 'custom', key: 'gender', value: gender, type: 'single_line_text_field' });
+      }
+      if (birthdate !== undefined) {
+        metafields.push({ namespace: 'custom', key: 'birthdate', value: this.formatDate(birthdate), type: 'date' });
+      }
+      if (metafields.length > 0) {
+        input.metafields = metafields;
+      }
+
+      if (Object.keys(input).length > 1) {
+        const data = await this.requestAdminGraphQL(`
+          mutation customerUpdate($input: CustomerInput!) {
+            customerUpdate(input: $input) {
+              customer {
+                ${ADMIN_CUSTOMER_FIELDS}
+              }
+              userErrors {
+                field
+                message
+              }
+            }
+          }
+        `, { input });
+
+        const result = data.customerUpdate;
+        if (result.userErrors.length > 0) {
+          return this.formatUserErrors('customerUpdate', result.userErrors);
+        }
+        customer = result.customer;
+      }
+
+      if (acceptsMarketing !== undefined) {
+        let consentResult;
+        try {
+          consentResult = await this.updateEmailMarketingConsent(customerId, acceptsMarketing);
+        } catch (error) {
+          if (!customer) {
+            throw error;
+          }
+          logger.error('Admin API marketing consent update failed:', error.message);
+          consentResult = { success: false, customer: null, error: 'Admin API request failed' };
+        }
+
+        if (!consentResult.success) {
+          if (!customer) {
+            return consentResult;
+          }
+
+          // The profile change is already saved in Shopify, so report it with the consent failure
+          return {
+            success: true,
+            customer: this.normalizeCustomer(customer),
+            error: consentResult.error,
+            failedUpdates: ['acceptsMarketing']
+          };
+        }
+        customer = consentResult.customer;
+      }
+
+      if (!customer) {
+        return {
+          success: false,
+          customer: null,
+          error: 'Customer not found'
+        };
+      }
+
+      return {
+        success: true,
+        customer: this.normalizeCustomer(customer),
+        error: null
+      };
+
+    } catch (error) {
+      logger.error('Admin API customer update failed:', error.message);
+
+      if (error.response?.status === 401) {
+        return {
+          success: false,
+          customer: null,
+          error: 'Invalid Admin API access token'
+        };
+      }
+
+      return {
+        success: false,
+        customer: null,
+        error: 'Admin API request failed'
+      };
+    }
+  }
+
+  /**
+   * Subscribes or unsubscribes a customer from email marketing
+   * @param {string} customerId - Shopify customer GID
+   * @param {boolean} acceptsMarketing - Whether the customer accepts email marketing
+   * @returns {Promise<object>} `{ success, customer }` with the raw Admin customer, or formatted user errors
+   */
+  async updateEmailMarketingConsent(customerId, acceptsMarketing) {
+    const data = await this.requestAdminGraphQL(`
+      mutation customerEmailMarketingConsentUpdate($input: CustomerEmailMarketingConsentUpdateInput!) {
+        customerEmailMarketingConsentUpdate(input: $input) {
+          customer {
+            ${ADMIN_CUSTOMER_FIELDS}
+          }
+          userErrors {
+            field
+            message
+          }
+        }
+      }
+    `, {
+      input: {
+        customerId,
+        emailMarketingConsent: {
+          marketingState: acceptsMarketing ? 'SUBSCRIBED' : 'UNSUBSCRIBED',
+          marketingOptInLevel: 'SINGLE_OPT_IN'
+        }
+      }
+    });
+
+    const result = data.customerEmailMarketingConsentUpdate;
+    if (result.userErrors.length > 0) {
+      return this.formatUserErrors('customerEmailMarketingConsentUpdate', result.userErrors);
+    }
+
+    return { success: true, customer: result.customer };
+  }
+
+  /**
+   * Sends a query or mutation to the Admin GraphQL API
+   * Pacing by query cost and THROTTLED retries are handled by shopifyHttpClient;
+   * only queries are retried on server and network errors
+   * @param {string} query - GraphQL document
+   * @param {object} variables - GraphQL variables
+   * @returns {Promise<object>} - The `data` of the response
+   * @throws {Error} If the request fails or returns top-level errors
+   */
+  async requestAdminGraphQL(query, variables = {}) {
+    const response = await shopifyHttpClient.post(
+      this.adminApiUrl,
+      { query, variables },
+      {
+        headers: {
+          'X-Shopify-Access-Token': this.adminAccessToken,
+          'Content-Type': 'application/json'
+        },
+        timeout: 15000,
+        graphQL: true,
+        idempotent: !query.trim().startsWith('mutation')
+      }
+    );
+
+    if (response.data.errors) {
+      logger.error('Shopify Admin GraphQL errors:', response.data.errors);
+      throw new Error(`Shopify Admin GraphQL error: ${response.data.errors.map(error => error.message).join('; ')}`);
+    }
+
+    return response.data.data;
+  }
+
+  /**
+   * Turns GraphQL userErrors into a failed result
+   * @param {string} operation - Mutation name, for logging
+   * @param {Array<object>} userErrors - userErrors from the mutation payload
+   * @returns {object} - Failed result with the field errors
+   */
+  formatUserErrors(operation, userErrors) {
+    logger.warn(`Shopify ${operation} user errors:`, userErrors);
+
+    return {
+      success: false,
+      customer: null,
+      error: userErrors
+        .map(userError => (userError.field ? `${userError.field.join('.')}: ${userError.message}` : userError.message))
+        .join('; '),
+      userErrors
+    };
+  }
+
+  /**
+   * Formats a date as YYYY-MM-DD for date metafields
+   * @param {Date|string} date - Date to format
+   * @returns {string} - ISO calendar date
+   */
+  formatDate(date) {
+    return new Date(date).toISOString().substring(0, 10);
+  }
+
   /**
    * Retrieves customer information by ID
    * @param {string} customerId - Shopify customer ID
@@ -441,7 +797,7 @@ class ShopifyService {
         id: customerId
       };
 
-      const response = await axios.post(
+      const response = await shopifyHttpClient.post(
         this.storefrontApiUrl,
         {
           query: query,
@@ -452,7 +808,8 @@ class ShopifyService {
             'Content-Type': 'application/json',
             'X-Shopify-Storefront-Access-Token': this.storefrontAccessToken
           },
-          timeout: 10000
+          timeout: 10000,
+          idempotent: true
         }
       );
 
@@ -483,6 +840,175 @@ class ShopifyService {
     }
   }
 
+  /**
+   * Creates a Storefront customer access token with the customer's credentials
+   * @param {string} email - Customer email
+   * @param {string} password - Customer password
+   * @returns {object} - Access token and expiry, or a mapped error
+   */
+  async createCustomerAccessToken(email, password) {
+    try {
+      if (!this.storeDomain || !this.storefrontAccessToken) {
+        return {
+          success: false,
+          accessToken: null,
+          error: 'STOREFRONT_NOT_CONFIGURED',
+          message: 'Shopify Storefront API not configured'
+        };
+      }
+
+      const mutation = `
+        mutation customerAccessTokenCreate($input: CustomerAccessTokenCreateInput!) {
+          customerAccessTokenCreate(input: $input) {
+            customerAccessToken {
+              accessToken
+              expiresAt
+            }
+            customerUserErrors {
+              code
+              field
+              message
+            }
+          }
+        }
+      `;
+
+      const variables = {
+        input: {
+          email: email,
+          password: password
+        }
+      };
+
+      const response = await shopifyHttpClient.post(
+        this.storefrontApiUrl,
+        {
+          query: mutation,
+          variables: variables
+        },
+        {
+          headers: {
+            'Content-Type': 'application/json',
+            'X-Shopify-Storefront-Access-Token': this.storefrontAccessToken
+          },
+          timeout: 10000
+        }
+      );
+
+      if (response.data.errors) {
+        logger.error('Shopify GraphQL errors:', response.data.errors);
+        return {
+          success: false,
+          accessToken: null,
+          error: 'STOREFRONT_API_ERROR',
+          message: 'Error creating customer access token'
+        };
+      }
+
+      const result = response.data.data.customerAccessTokenCreate;
+
+      if (result.customerUserErrors && result.customerUserErrors.length > 0) {
+        const userError = result.customerUserErrors[0];
+        logger.warn('Shopify customerAccessTokenCreate user errors:', result.customerUserErrors);
+        return {
+          success: false,
+          accessToken: null,
+          error: CUSTOMER_TOKEN_ERRORS[userError.code] || 'CUSTOMER_TOKEN_FAILED',
+          message: userError.message
+        };
+      }
+
+      if (!result.customerAccessToken) {
+        return {
+          success: false,
+          accessToken: null,
+          error: 'CUSTOMER_TOKEN_FAILED',
+          message: 'Shopify did not return a customer access token'
+        };
+      }
+
+      return {
+        success: true,
+        accessToken: result.customerAccessToken.accessToken,
+        expiresAt: result.customerAccessToken.expiresAt,
+        error: null
+      };
+
+    } catch (error) {
+      logger.error('Error creating customer access token:', error.message);
+      return {
+        success: false,
+        accessToken: null,
+        error: 'STOREFRONT_API_ERROR',
+        message: 'Error occurred while creating customer access token'
+      };
+    }
+  }
+
+  /**
+   * Generates a Multipass token for a customer
+   * Customer JSON is AES-128-CBC encrypted and HMAC-SHA256 signed with keys
+   * derived from the store's Multipass secret, as described in Shopify's spec
+   * @param {object} customerData - Customer information
+   * @param {string} customerData.email - Customer email (required by Shopify)
+   * @param {string} [customerData.firstName] - Customer first name
+   * @param {string} [customerData.lastName] - Customer last name
+   * @param {string} [customerData.identifier] - Unique customer identifier
+   * @param {string} [customerData.returnTo] - Storefront path to land on after login
+   * @returns {string} - URL-safe Multipass token
+   */
+  generateMultipassToken(customerData) {
+    if (!this.multipassConfig.secret) {
+      throw new Error('Shopify Multipass secret not configured');
+    }
+
+    if (!customerData || !customerData.email) {
+      throw new Error('Customer email is required for Shopify Multipass login');
+    }
+
+    // Derive encryption and signing keys from the Multipass secret
+    const keyMaterial = crypto.createHash('sha256').update(this.multipassConfig.secret).digest();
+    const encryptionKey = keyMaterial.subarray(0, 16);
+    const signatureKey = keyMaterial.subarray(16, 32);
+
+    const payload = {
+      email: customerData.email,
+      created_at: new Date().toISOString(),
+      ...(customerData.firstName && { first_name: customerData.firstName }),
+      ...(customerData.lastName && { last_name: customerData.lastName }),
+      ...(customerData.identifier && { identifier: customerData.identifier }),
+      return_to: customerData.returnTo || this.multipassConfig.returnTo
+    };
+
+    // Encrypt with a random IV and prepend the IV to the ciphertext
+    const iv = crypto.randomBytes(16);
+    const cipher = crypto.createCipheriv('aes-128-cbc', encryptionKey, iv);
+    const cipherText = Buffer.concat([
+      iv,
+      cipher.update(JSON.stringify(payload), 'utf8'),
+      cipher.final()
+    ]);
+
+    // Sign the IV + ciphertext
+    const signature = crypto.createHmac('sha256', signatureKey).update(cipherText).digest();
+
+    // URL-safe Base64 with padding, matching Ruby's Base64.urlsafe_encode64 used in the spec
+    return Buffer.concat([cipherText, signature])
+      .toString('base64')
+      .replace(/\+/g, '-')
+      .replace(/\//g, '_');
+  }
+
+  /**
+   * Builds a ready-to-redirect Multipass login URL
+   * @param {object} customerData - Customer information (see generateMultipassToken)
+   * @returns {string} - Multipass login URL
+   */
+  buildMultipassUrl(customerData) {
+    const token = this.generateMultipassToken(customerData);
+    return `https://${this.multipassConfig.domain}/account/login/multipass/${token}`;
+  }
+
   /**
    * Validates Shopify configuration
    * @returns {object} - Configuration validation result
@@ -497,6 +1023,14 @@ class ShopifyService {
     if (!this.adminAccessToken && !this.storefrontAccessToken) {
       missingConfigs.push('SHOPIFY_ADMIN_ACCESS_TOKEN or SHOPIFY_STOREFRONT_ACCESS_TOKEN');
     }
+
+    if (this.config.loginMode === 'multipass' && !this.multipassConfig.secret) {
+      missingConfigs.push('SHOPIFY_MULTIPASS_SECRET');
+    }
+
+    if (this.config.loginMode === 'storefront_token' && !this.storefrontAccessToken) {
+      missingConfigs.push('SHOPIFY_STOREFRONT_ACCESS_TOKEN');
+    }
     
     return {
       isValid: missingConfigs.length === 0,
@@ -550,7 +1084,7 @@ class ShopifyService {
    */
   async testAdminAPIConnection() {
     try {
-      const response = await axios.get(
+      const response = await shopifyHttpClient.get(
         `${this.adminRestApiUrl}/shop.json`,
         {
           headers: {
@@ -610,7 +1144,7 @@ class ShopifyService {
         }
       `;
 
-      const response = await axios.post(
+      const response = await shopifyHttpClient.post(
         this.storefrontApiUrl,
         { query: query },
         {
@@ -618,7 +1152,8 @@ class ShopifyService {
             'Content-Type': 'application/json',
             'X-Shopify-Storefront-Access-Token': this.storefrontAccessToken
           },
-          timeout: 5000
+          timeout: 5000,
+          idempotent: true
         }
       );
 
@@ -0,0 +1,142 @@
+/**
+ * Shopify Webhook Service
+ * Keeps the Redis customer data in step with edits and deletions made in
+ * Shopify admin. Deliveries are deduplicated by webhook ID because Shopify
+ * retries until it gets a 2xx and may deliver the same event more than once.
+ */
+
+const redisClient = require('../config/database');
+const config = require('../config/environment');
+const logger = require('../config/logger');
+const customerService = require('./customerService');
+const customerLookupCache = require('./customerLookupCache');
+const deviceService = require('./deviceService');
+const passkeyService = require('./passkeyService');
+const { REDIS_KEYS, SHOPIFY_CUSTOMER_EVENTS } = require('../constants/customerConstants');
+
+class ShopifyWebhookService {
+  /**
+   * Processes a customers/{event} webhook once per webhook ID
+   * @param {string} webhookId - X-Shopify-Webhook-Id header
+   * @param {string} event - create, update or delete
+   * @param {object} payload - Customer payload as sent by Shopify
+   * @returns {Promise<object>} `{ duplicate, applied, reason? }`
+   */
+  async processCustomerWebhook(webhookId, event, payload) {
+    if (!(await this.claimWebhook(webhookId))) {
+      logger.info('Ignoring duplicate Shopify webhook', { webhookId, event });
+      return { duplicate: true, applied: false };
+    }
+
+    try {
+      const customer = this.normalizeCustomer(payload);
+      const identity = { phoneNumber: customer.phone, email: customer.email };
+
+      const isDelete = event === SHOPIFY_CUSTOMER_EVENTS.DELETE;
+      const result = isDelete
+        ? await customerService.removeStoredCustomer(customer.id, identity)
+        : await customerService.syncStoredCustomer(customer);
+
+      if (isDelete) {
+        await this.signOutDeletedCustomer(customer, result.storedCustomer);
+      }
+
+      // Customers created or edited in Shopify admin may have cached lookups without stored data
+      await customerLookupCache.invalidate(identity);
+
+      const applied = Boolean(result.removed || result.synced);
+      logger.info('Shopify customer webhook processed', {
+        webhookId,
+        event,
+        customerId: customer.id,
+        applied,
+        reason: result.reason
+      });
+
+      return { duplicate: false, applied, ...(result.reason && { reason: result.reason }) };
+
+    } catch (error) {
+      // Let Shopify's retry go through
+      await this.releaseWebhook(webhookId);
+      throw error;
+    }
+  }
+
+  /**
+   * Ends every session of a deleted customer and forgets their passkeys and devices
+   * Sessions may be keyed by customer ID, phone number or email (see sessionService.resolveSubject),
+   * and delete payloads often carry only the ID, so the stored record fills in the rest
+   * @param {object} customer - Normalized webhook customer
+   * @param {object|null} storedCustomer - Stored data removed for the customer
+   */
+  async signOutDeletedCustomer(customer, storedCustomer) {
+    const subjects = new Set([
+      customer.id,
+      customer.phone,
+      customer.email,
+      storedCustomer?.customerId,
+      storedCustomer?.phoneNumber,
+      storedCustomer?.email
+    ].filter(Boolean));
+
+    let revokedSessions = 0;
+    for (const subject of subjects) {
+      revokedSessions += await deviceService.forgetSubject(subject);
+    }
+    await passkeyService.removeCredentials(customer.id);
+
+    logger.info('Deleted Shopify customer signed out', { customerId: customer.id, revokedSessions });
+  }
+
+  /**
+   * Maps a REST-style webhook payload to the customer shape used by shopifyService
+   * @param {object} payload - Customer payload as sent by Shopify
+   * @returns {object} Normalized customer
+   */
+  normalizeCustomer(payload) {
+    const marketingState = payload.email_marketing_consent?.state;
+
+    return {
+      id: payload.admin_graphql_api_id || `gid://shopify/Customer/${payload.id}`,
+      email: payload.email ? payload.email.toLowerCase() : null,
+      phone: payload.phone || null,
+      firstName: payload.first_name || '',
+      lastName: payload.last_name || '',
+      acceptsMarketing: marketingState ? marketingState === 'subscribed' : Boolean(payload.accepts_marketing),
+      updatedAt: payload.updated_at || null
+    };
+  }
+
+  /**
+   * Marks a webhook ID as seen
+   * @param {string} webhookId - X-Shopify-Webhook-Id header
+   * @returns {Promise<boolean>} False when the webhook was already claimed
+   */
+  async claimWebhook(webhookId) {
+    const count = await redisClient.increment(this.getWebhookKey(webhookId), config.shopify.webhooks.dedupeTTLSeconds);
+    return count === 1;
+  }
+
+  /**
+   * Forgets a webhook ID so a retried delivery is processed
+   * @param {string} webhookId - X-Shopify-Webhook-Id header
+   */
+  async releaseWebhook(webhookId) {
+    try {
+      await redisClient.delete(this.getWebhookKey(webhookId));
+    } catch (error) {
+      logger.error('ERROR: Failed to release Shopify webhook claim:', error);
+    }
+  }
+
+  /**
+   * Gets the Redis key that marks a webhook as processed
+   * @param {string} webhookId - X-Shopify-Webhook-Id header
+   * @returns {string} Redis key
+   */
+  getWebhookKey(webhookId) {
+    return `${REDIS_KEYS.SHOPIFY_WEBHOOK_PREFIX}${webhookId}`;
+  }
+}
+
+module.exports = new ShopifyWebhookService();
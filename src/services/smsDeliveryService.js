@@ -0,0 +1,201 @@
+/**
+ * SMS Delivery Service
+ * Tracks per-message delivery state (queued/sent/delivered/failed) keyed by csms_id,
+ * fed by the SMS queue worker and gateway delivery report (DLR) callbacks
+ */
+
+const redisClient = require('../config/database');
+const config = require('../config/environment');
+const logger = require('../config/logger');
+const {
+  DELIVERY_STATUS,
+  DELIVERY_STATUS_RANK,
+  DLR_STATUS_MAP,
+  REDIS_KEYS,
+  DELIVERY_CONFIG
+} = require('../constants/smsConstants');
+
+class SMSDeliveryService {
+  constructor() {
+    this.statusTTLSeconds = config.sms.deliveryReports.statusTTLSeconds;
+  }
+
+  /**
+   * Records a delivery state change for a message
+   * States never move backwards, so a late "sent" cannot overwrite "delivered"
+   * @param {string} csmsId - Client message ID
+   * @param {string} status - One of DELIVERY_STATUS
+   * @param {object} [details] - Extra fields (phoneNumber, jobId, provider, operator, referenceId, error)
+   * @param {string} [source] - What reported the change, e.g. 'queue' or 'dlr'
+   * @returns {Promise<object>} { updated, record }
+   */
+  async recordStatus(csmsId, status, details = {}, source = 'queue') {
+    const key = this.getDeliveryKey(csmsId);
+    const existing = await redisClient.get(key);
+    const now = new Date().toISOString();
+    const definedDetails = Object.fromEntries(
+      Object.entries(details).filter(([, value]) => value !== undefined && value !== null)
+    );
+
+    if (existing && !this.canTransition(existing.status, status)) {
+      logger.info('Ignoring out-of-order SMS delivery update', {
+        csmsId,
+        current: existing.status,
+        received: status,
+        source
+      });
+
+      // A DLR can beat the worker's "sent" update; keep the provider details it carries
+      const missingDetails = Object.keys(definedDetails).some(field => existing[field] === undefined);
+      if (missingDetails) {
+        const merged = { ...definedDetails, ...existing, updatedAt: now };
+        await redisClient.set(key, merged, this.statusTTLSeconds);
+        return { updated: false, record: merged };
+      }
+
+      return { updated: false, record: existing };
+    }
+
+    const record = {
+      csmsId,
+      ...existing,
+      ...definedDetails,
+      status,
+      history: [...(existing?.history || []), { status, source, at: now }],
+      createdAt: existing?.createdAt || now,
+      updatedAt: now
+    };
+
+    await redisClient.set(key, record, this.statusTTLSeconds);
+
+    if (!existing && record.phoneNumber) {
+      await this.indexByPhone(record.phoneNumber, csmsId);
+    }
+
+    return { updated: true, record };
+  }
+
+  /**
+   * Applies a gateway delivery report
+   * @param {object} report - Report from parseDeliveryReport
+   * @returns {Promise<object>} Processing result
+   */
+  async handleDeliveryReport(report) {
+    const status = DLR_STATUS_MAP[report.status.toUpperCase()];
+
+    if (!status) {
+      logger.warn('Unrecognised SMS delivery report status', { csmsId: report.csmsId, status: report.status });
+      return { success: true, recorded: false, reason: 'UNKNOWN_STATUS' };
+    }
+
+    const existing = await this.getDelivery(report.csmsId);
+    if (!existing) {
+      // Not one of ours, or the record already expired
+      logger.warn('Delivery report for unknown SMS', { csmsId: report.csmsId, status: report.status });
+      return { success: true, recorded: false, reason: 'UNKNOWN_MESSAGE' };
+    }
+
+    const { updated, record } = await this.recordStatus(report.csmsId, status, {
+      gatewayStatus: report.status,
+      error: status === DELIVERY_STATUS.FAILED ? report.error : undefined
+    }, 'dlr');
+
+    logger.info('SMS delivery report received', {
+      csmsId: report.csmsId,
+      status: record.status,
+      gatewayStatus: report.status,
+      provider: record.provider,
+      updated
+    });
+
+    return { success: true, recorded: updated, data: this.formatDelivery(record) };
+  }
+
+  /**
+   * Normalizes the field names different gateways use in delivery reports
+   * @param {object} payload - Raw callback body or query
+   * @returns {object} { csmsId, status, error }
+   */
+  parseDeliveryReport(payload = {}) {
+    const pick = (...fields) => {
+      const field = fields.find(name => payload[name] !== undefined && payload[name] !== '');
+      return field ? String(payload[field]).trim() : '';
+    };
+
+    return {
+      csmsId: pick('csms_id', 'csmsId', 'reference', 'client_ref'),
+      status: pick('status', 'sms_status', 'dlr_status', 'stat'),
+      error: pick('error', 'error_message', 'err', 'reason') || null
+    };
+  }
+
+  /**
+   * Gets the delivery record of a message
+   * @param {string} csmsId - Client message ID
+   * @returns {Promise<object|null>} Delivery record or null
+   */
+  async getDelivery(csmsId) {
+    return await redisClient.get(this.getDeliveryKey(csmsId));
+  }
+
+  /**
+   * Gets the most recent delivery records for a phone number, newest first
+   * @param {string} phoneNumber - Normalized phone number
+   * @returns {Promise<Array<object>>} Delivery records
+   */
+  async getRecentDeliveries(phoneNumber) {
+    const csmsIds = await redisClient.getClient().lRange(this.getPhoneIndexKey(phoneNumber), 0, -1);
+    const records = await Promise.all(csmsIds.map(csmsId => this.getDelivery(csmsId)));
+
+    return records.filter(Boolean).map(record => this.formatDelivery(record));
+  }
+
+  formatDelivery(record) {
+    return {
+      csmsId: record.csmsId,
+      status: record.status,
+      phoneNumber: record.phoneNumber,
+      jobId: record.jobId,
+      provider: record.provider || null,
+      operator: record.operator || null,
+      referenceId: record.referenceId || null,
+      gatewayStatus: record.gatewayStatus || null,
+      error: record.error || null,
+      history: record.history,
+      createdAt: record.createdAt,
+      updatedAt: record.updatedAt
+    };
+  }
+
+  canTransition(currentStatus, nextStatus) {
+    const currentRank = DELIVERY_STATUS_RANK[currentStatus] ?? -1;
+    const finalRank = DELIVERY_STATUS_RANK[DELIVERY_STATUS.DELIVERED];
+
+    if (currentRank >= finalRank) {
+      return false;
+    }
+
+    return DELIVERY_STATUS_RANK[nextStatus] >= currentRank;
+  }
+
+  async indexByPhone(phoneNumber, csmsId) {
+    const client = redisClient.getClient();
+    const key = this.getPhoneIndexKey(phoneNumber);
+
+    await client.multi()
+      .lPush(key, csmsId)
+      .lTrim(key, 0, DELIVERY_CONFIG.RECENT_PER_PHONE - 1)
+      .expire(key, this.statusTTLSeconds)
+      .exec();
+  }
+
+  getDeliveryKey(csmsId) {
+    return `${REDIS_KEYS.DELIVERY_PREFIX}${csmsId}`;
+  }
+
+  getPhoneIndexKey(phoneNumber) {
+    return `${REDIS_KEYS.PHONE_DELIVERIES_PREFIX}${phoneNumber}`;
+  }
+}
+
+module.exports = new SMSDeliveryService();
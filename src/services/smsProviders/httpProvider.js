@@ -0,0 +1,147 @@
+const axios = require('axios');
+const logger = require('../../config/logger');
+const SMSProvider = require('./smsProvider');
+
+/**
+ * Generic HTTP SMS provider
+ * Posts { to, message, from, reference } as JSON to a configurable gateway URL
+ * and treats any 2xx response without `success: false` as accepted
+ */
+class HTTPProvider extends SMSProvider {
+  constructor(providerConfig) {
+    super('http', providerConfig);
+    this.url = this.config.url;
+    this.apiKey = this.config.apiKey;
+  }
+
+  getRequiredConfig() {
+    return [
+      { key: 'SMS_HTTP_URL', value: this.url },
+      { key: 'SMS_HTTP_API_KEY', value: this.apiKey }
+    ];
+  }
+
+  getHeaders() {
+    const authValue = this.config.authScheme
+      ? `${this.config.authScheme} ${this.apiKey}`
+      : this.apiKey;
+
+    return {
+      'Content-Type': 'application/json',
+      'Accept': 'application/json',
+      [this.config.authHeader]: authValue
+    };
+  }
+
+  /**
+   * Send single SMS through the HTTP gateway
+   * @param {object} smsData - Validated SMS data
+   * @returns {Promise<object>} SMS sending result
+   */
+  async send(smsData) {
+    try {
+      const senderId = smsData.senderId || this.config.senderId;
+
+      logger.info(`Sending SMS via HTTP gateway...`);
+      logger.info(`   To: ${smsData.msisdn}`);
+      logger.info(`   CSMS ID: ${smsData.csms_id}`);
+
+      const response = await axios.post(this.url, {
+        to: smsData.msisdn,
+        message: smsData.sms,
+        ...(senderId && { from: senderId }),
+        reference: smsData.csms_id
+      }, {
+        headers: this.getHeaders(),
+        timeout: this.config.timeout
+      });
+
+      const responseData = response.data || {};
+
+      if (responseData.success === false) {
+        throw new Error(`SMS sending failed: ${responseData.message || responseData.error || 'Unknown error'}`);
+      }
+
+      const referenceId = responseData.id || responseData.messageId || responseData.message_id;
+      logger.info(`   Reference ID: ${referenceId || 'N/A'}`);
+
+      return {
+        success: true,
+        provider: this.name,
+        message: 'SMS sent successfully',
+        data: {
+          msisdn: smsData.msisdn,
+          sms: smsData.sms,
+          csms_id: smsData.csms_id,
+          reference_id: referenceId,
+          sms_status: responseData.status,
+          api_response: responseData
+        }
+      };
+
+    } catch (error) {
+      return this.handleRequestError(error, 'sending');
+    }
+  }
+
+  /**
+   * Get the delivery status of a message
+   * SMS_HTTP_STATUS_URL may contain `{id}`, replaced with the CSMS ID
+   * @param {string} csmsId - Client message ID
+   * @returns {Promise<object>} Status result
+   */
+  async getStatus(csmsId) {
+    if (!this.config.statusURL) {
+      return this.notSupported('Delivery status lookup');
+    }
+
+    try {
+      const response = await axios.get(
+        this.config.statusURL.replace('{id}', encodeURIComponent(csmsId)),
+        { headers: this.getHeaders(), timeout: this.config.timeout }
+      );
+
+      return {
+        success: true,
+        provider: this.name,
+        data: {
+          csms_id: csmsId,
+          sms_status: response.data?.status,
+          api_response: response.data
+        }
+      };
+    } catch (error) {
+      return this.handleRequestError(error, 'status lookup');
+    }
+  }
+
+  /**
+   * Get the remaining gateway balance
+   * @returns {Promise<object>} Balance result
+   */
+  async getBalance() {
+    if (!this.config.balanceURL) {
+      return this.notSupported('Balance lookup');
+    }
+
+    try {
+      const response = await axios.get(this.config.balanceURL, {
+        headers: this.getHeaders(),
+        timeout: this.config.timeout
+      });
+
+      return {
+        success: true,
+        provider: this.name,
+        data: {
+          balance: response.data?.balance,
+          api_response: response.data
+        }
+      };
+    } catch (error) {
+      return this.handleRequestError(error, 'balance lookup');
+    }
+  }
+}
+
+module.exports = HTTPProvider;
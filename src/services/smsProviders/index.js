@@ -0,0 +1,34 @@
+const SSLWirelessProvider = require('./sslWirelessProvider');
+const HTTPProvider = require('./httpProvider');
+
+/**
+ * Registered SMS provider adapters by name
+ */
+const PROVIDERS = {
+  ssl_wireless: SSLWirelessProvider,
+  http: HTTPProvider
+};
+
+/**
+ * Create a provider adapter from the SMS configuration
+ * @param {string} name - Provider name from SMS_PROVIDERS
+ * @param {object} smsConfig - SMS configuration (config.sms)
+ * @returns {SMSProvider} Provider instance
+ */
+const createProvider = (name, smsConfig) => {
+  const Provider = PROVIDERS[name];
+
+  if (!Provider) {
+    throw new Error(`Unknown SMS provider: ${name}. Supported providers: ${Object.keys(PROVIDERS).join(', ')}`);
+  }
+
+  return new Provider({
+    timeout: smsConfig.timeout,
+    ...smsConfig.providerSettings[name]
+  });
+};
+
+module.exports = {
+  PROVIDERS,
+  createProvider
+};
@@ -0,0 +1,121 @@
+const logger = require('../../config/logger');
+
+/**
+ * Base class for SMS provider adapters
+ * Adapters implement send, getStatus and getBalance and always resolve with a
+ * result object instead of throwing, so the SMS service can fail over
+ */
+class SMSProvider {
+  /**
+   * @param {string} name - Provider name used in the failover chain
+   * @param {object} providerConfig - Provider specific configuration
+   */
+  constructor(name, providerConfig) {
+    this.name = name;
+    this.config = providerConfig || {};
+  }
+
+  /**
+   * Environment variables this provider needs
+   * @returns {Array<{key: string, value: string}>} Required settings
+   */
+  getRequiredConfig() {
+    return [];
+  }
+
+  /**
+   * Validate provider configuration
+   * @throws {Error} If required environment variables are missing
+   */
+  validateConfig() {
+    const missingVars = this.getRequiredConfig().filter(env => !env.value);
+
+    if (missingVars.length > 0) {
+      const missingKeys = missingVars.map(env => env.key).join(', ');
+      throw new Error(`Missing required SMS environment variables for ${this.name}: ${missingKeys}`);
+    }
+  }
+
+  /**
+   * Send a single SMS
+   * @param {object} smsData - Validated SMS data
+   * @param {string} smsData.msisdn - Normalized recipient number (8801XXXXXXXXX)
+   * @param {string} smsData.sms - Message content
+   * @param {string} smsData.csms_id - Unique client message ID
+   * @param {string} [smsData.senderId] - Sender ID override from operator routing
+   * @returns {Promise<object>} Sending result
+   */
+  async send(smsData) {
+    throw new Error(`send() is not implemented for SMS provider ${this.name}`);
+  }
+
+  /**
+   * Get the delivery status of a message
+   * @param {string} csmsId - Client message ID used when sending
+   * @returns {Promise<object>} Status result
+   */
+  async getStatus(csmsId) {
+    return this.notSupported('Delivery status lookup');
+  }
+
+  /**
+   * Get the remaining account balance
+   * @returns {Promise<object>} Balance result
+   */
+  async getBalance() {
+    return this.notSupported('Balance lookup');
+  }
+
+  /**
+   * Convert an axios/request error to a failed result
+   * @param {Error} error - Error thrown while calling the provider
+   * @param {string} operation - Operation name for logging
+   * @returns {object} Failed result
+   */
+  handleRequestError(error, operation) {
+    logger.error(`ERROR: ${this.name} ${operation} failed:`, error.message);
+
+    if (error.response) {
+      // API responded with error status
+      logger.error('   API Response:', error.response.data);
+      return {
+        success: false,
+        provider: this.name,
+        message: 'SMS API error',
+        error: error.response.data?.error_message || error.response.data?.message || error.message,
+        statusCode: error.response.status,
+        apiResponse: error.response.data
+      };
+    }
+
+    if (error.request) {
+      // Request was made but no response received (includes timeouts)
+      logger.error('   Network error - no response received');
+      return {
+        success: false,
+        provider: this.name,
+        message: 'Network error - unable to reach SMS service',
+        error: error.code === 'ECONNABORTED' ? 'SMS API request timed out' : 'No response from SMS API',
+        networkError: true
+      };
+    }
+
+    return {
+      success: false,
+      provider: this.name,
+      message: `SMS ${operation} failed`,
+      error: error.message
+    };
+  }
+
+  notSupported(operation) {
+    return {
+      success: false,
+      provider: this.name,
+      message: `${operation} is not supported by ${this.name}`,
+      error: 'NOT_SUPPORTED'
+    };
+  }
+}
+
+module.exports = SMSProvider;
@@ -0,0 +1,154 @@
+const axios = require('axios');
+const logger = require('../../config/logger');
+const SMSProvider = require('./smsProvider');
+
+/**
+ * SSL Wireless SMS provider
+ */
+class SSLWirelessProvider extends SMSProvider {
+  constructor(providerConfig) {
+    super('ssl_wireless', providerConfig);
+    this.baseURL = this.config.baseURL;
+    this.apiToken = this.config.apiToken;
+    this.sid = this.config.sid;
+  }
+
+  getRequiredConfig() {
+    return [
+      { key: 'SMS_API_BASE_URL', value: this.baseURL },
+      { key: 'SMS_API_TOKEN', value: this.apiToken },
+      { key: 'SMS_SID', value: this.sid }
+    ];
+  }
+
+  /**
+   * Send single SMS using SSL Wireless API
+   * @param {object} smsData - Validated SMS data
+   * @returns {Promise<object>} SMS sending result
+   */
+  async send(smsData) {
+    try {
+      const payload = {
+        api_token: this.apiToken,
+        // Operator routes may send through a different SID (sender/masking)
+        sid: smsData.senderId || this.sid,
+        msisdn: smsData.msisdn,
+        sms: smsData.sms,
+        csms_id: smsData.csms_id
+      };
+
+      logger.info(`Sending SMS via SSL Wireless API...`);
+      logger.info(`   To: ${payload.msisdn}`);
+      logger.info(`   Message: ${payload.sms.substring(0, 50)}${payload.sms.length > 50 ? '...' : ''}`);
+      logger.info(`   CSMS ID: ${payload.csms_id}`);
+
+      const response = await axios.post(`${this.baseURL}`, payload, {
+        headers: {
+          'Content-Type': 'application/json',
+          'Accept': 'application/json'
+        },
+        timeout: this.config.timeout
+      });
+
+      // Check response status
+      if (response.status !== 200) {
+        throw new Error(`SMS API returned status ${response.status}`);
+      }
+
+      const responseData = response.data;
+
+      // Check if the API response indicates success
+      if (responseData.status !== 'SUCCESS') {
+        throw new Error(`SMS sending failed: ${responseData.error_message || 'Unknown error'}`);
+      }
+
+      logger.info(`   Reference ID: ${responseData.smsinfo?.[0]?.reference_id || 'N/A'}`);
+
+      return {
+        success: true,
+        provider: this.name,
+        message: 'SMS sent successfully',
+        data: {
+          msisdn: payload.msisdn,
+          sms: payload.sms,
+          csms_id: payload.csms_id,
+          reference_id: responseData.smsinfo?.[0]?.reference_id,
+          sms_status: responseData.smsinfo?.[0]?.sms_status,
+          sms_type: responseData.smsinfo?.[0]?.sms_type,
+          status_message: responseData.smsinfo?.[0]?.status_message,
+          api_response: responseData
+        }
+      };
+
+    } catch (error) {
+      return this.handleRequestError(error, 'sending');
+    }
+  }
+
+  /**
+   * Get the delivery status of a message by CSMS ID
+   * @param {string} csmsId - Client message ID
+   * @returns {Promise<object>} Status result
+   */
+  async getStatus(csmsId) {
+    if (!this.config.statusURL) {
+      return this.notSupported('Delivery status lookup');
+    }
+
+    try {
+      const response = await axios.post(this.config.statusURL, {
+        api_token: this.apiToken,
+        sid: this.sid,
+        csms_id: csmsId
+      }, {
+        headers: { 'Content-Type': 'application/json', 'Accept': 'application/json' },
+        timeout: this.config.timeout
+      });
+
+      return {
+        success: response.data?.status === 'SUCCESS',
+        provider: this.name,
+        data: {
+          csms_id: csmsId,
+          sms_status: response.data?.smsinfo?.sms_status || response.data?.smsinfo?.[0]?.sms_status,
+          api_response: response.data
+        }
+      };
+    } catch (error) {
+      return this.handleRequestError(error, 'status lookup');
+    }
+  }
+
+  /**
+   * Get the remaining SSL Wireless balance
+   * @returns {Promise<object>} Balance result
+   */
+  async getBalance() {
+    if (!this.config.balanceURL) {
+      return this.notSupported('Balance lookup');
+    }
+
+    try {
+      const response = await axios.post(this.config.balanceURL, {
+        api_token: this.apiToken,
+        sid: this.sid
+      }, {
+        headers: { 'Content-Type': 'application/json', 'Accept': 'application/json' },
+        timeout: this.config.timeout
+      });
+
+      return {
+        success: response.data?.status === 'SUCCESS',
+        provider: this.name,
+        data: {
+          balance: response.data?.balance,
+          api_response: response.data
+        }
+      };
+    } catch (error) {
+      return this.handleRequestError(error, 'balance lookup');
+    }
+  }
+}
+
+module.exports = SSLWirelessProvider;
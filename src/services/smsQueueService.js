@@ -0,0 +1,338 @@
+/**
+ * SMS Queue Service
+ * Durable Redis-list queue for outbound SMS with exponential backoff retries
+ * and a dead-letter list
+ *
+ * Jobs move between lists: pending -> processing -> (sent | delayed | dead).
+ * Delayed jobs are retries waiting for their backoff to elapse, kept in a
+ * sorted set scored by the time they become due.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const redisClient = require('../config/database');
+const config = require('../config/environment');
+const logger = require('../config/logger');
+const smsService = require('./smsService');
+const smsDeliveryService = require('./smsDeliveryService');
+const { JOB_STATUS, DELIVERY_STATUS, REDIS_KEYS } = require('../constants/smsConstants');
+
+class SMSQueueService {
+  constructor() {
+    this.config = config.smsQueue;
+    this.isRunning = false;
+    this.loopPromise = null;
+    this.lastStalledCheckAt = 0;
+  }
+
+  /**
+   * Adds an SMS to the queue
+   * @param {object} smsData - SMS data
+   * @param {string} smsData.msisdn - Recipient phone number
+   * @param {string} smsData.sms - Message content
+   * @param {string} smsData.csms_id - Unique client message ID
+   * @param {object} [options] - Job options
+   * @param {number} [options.expiresAt] - Timestamp after which sending is pointless (e.g. OTP expiry)
+   * @param {string} [options.deviceId] - Device allowed to read the job status
+   * @param {string} [options.jobId] - Pre-generated job ID
+   * @returns {Promise<object>} Queued job
+   */
+  async enqueue(smsData, options = {}) {
+    const now = Date.now();
+    const job = {
+      jobId: options.jobId || uuidv4(),
+      status: JOB_STATUS.QUEUED,
+      msisdn: smsData.msisdn,
+      sms: smsData.sms,
+      csmsId: smsData.csms_id,
+      deviceId: options.deviceId || null,
+      expiresAt: options.expiresAt || null,
+      attempts: 0,
+      maxAttempts: this.config.maxAttempts,
+      nextAttemptAt: null,
+      provider: null,
+      operator: null,
+      lastError: null,
+      createdAt: now,
+      updatedAt: now
+    };
+
+    await this.saveJob(job);
+    await smsDeliveryService.recordStatus(job.csmsId, DELIVERY_STATUS.QUEUED, {
+      phoneNumber: job.msisdn,
+      jobId: job.jobId
+    });
+    await redisClient.getClient().lPush(REDIS_KEYS.PENDING_QUEUE, job.jobId);
+
+    logger.info('SMS job queued', { jobId: job.jobId, csmsId: job.csmsId });
+    return job;
+  }
+
+  /**
+   * Gets a job by ID
+   * @param {string} jobId - Job ID
+   * @returns {Promise<object|null>} Job or null
+   */
+  async getJob(jobId) {
+    return await redisClient.get(this.getJobKey(jobId));
+  }
+
+  /**
+   * Gets the client-facing status of a job
+   * @param {string} jobId - Job ID
+   * @param {string} deviceId - Device requesting the status
+   * @returns {Promise<object|null>} Job status or null if not found for this device
+   */
+  async getJobStatus(jobId, deviceId) {
+    const job = await this.getJob(jobId);
+
+    if (!job || (job.deviceId && job.deviceId !== deviceId)) {
+      return null;
+    }
+
+    const delivery = job.csmsId ? await smsDeliveryService.getDelivery(job.csmsId) : null;
+
+    return {
+      jobId: job.jobId,
+      status: job.status,
+      deliveryStatus: delivery?.status || null,
+      attempts: job.attempts,
+      maxAttempts: job.maxAttempts,
+      nextAttemptAt: job.nextAttemptAt ? new Date(job.nextAttemptAt).toISOString() : null,
+      createdAt: new Date(job.createdAt).toISOString(),
+      updatedAt: new Date(job.updatedAt).toISOString()
+    };
+  }
+
+  /**
+   * Starts the worker loop
+   */
+  async startWorker() {
+    if (this.isRunning) {
+      return;
+    }
+
+    this.isRunning = true;
+    await this.recoverStalledJobs();
+    this.loopPromise = this.runLoop();
+
+    logger.info('SMS queue worker started', { pollIntervalMs: this.config.pollIntervalMs });
+  }
+
+  /**
+   * Stops the worker loop after the job in progress finishes
+   */
+  async stopWorker() {
+    if (!this.isRunning) {
+      return;
+    }
+
+    this.isRunning = false;
+    await this.loopPromise;
+    logger.info('SMS queue worker stopped');
+  }
+
+  /**
+   * Worker loop: promotes due retries, re-queues stalled jobs and processes
+   * pending jobs one at a time
+   * @private
+   */
+  async runLoop() {
+    while (this.isRunning) {
+      try {
+        await this.promoteDelayedJobs();
+
+        // A job whose processing threw mid-way stays in the processing list until recovered
+        if (Date.now() - this.lastStalledCheckAt >= this.config.stalledJobMs) {
+          await this.recoverStalledJobs();
+        }
+
+        const processed = await this.processNextJob();
+        if (!processed) {
+          await this.sleep(this.config.pollIntervalMs);
+        }
+      } catch (error) {
+        logger.error('ERROR: SMS queue worker error:', error);
+        await this.sleep(this.config.pollIntervalMs);
+      }
+    }
+  }
+
+  /**
+   * Moves the oldest pending job to the processing list and sends it
+   * @returns {Promise<boolean>} Whether a job was processed
+   */
+  async processNextJob() {
+    const client = redisClient.getClient();
+    const jobId = await client.lMove(REDIS_KEYS.PENDING_QUEUE, REDIS_KEYS.PROCESSING_QUEUE, 'RIGHT', 'LEFT');
+
+    if (!jobId) {
+      return false;
+    }
+
+    const job = await this.getJob(jobId);
+
+    if (!job) {
+      // Job record expired while waiting
+      await client.lRem(REDIS_KEYS.PROCESSING_QUEUE, 1, jobId);
+      return true;
+    }
+
+    if (job.expiresAt && Date.now() > job.expiresAt) {
+      logger.warn('SMS job expired before it could be sent', { jobId });
+      await this.finishJob(job, { status: JOB_STATUS.EXPIRED });
+      await smsDeliveryService.recordStatus(job.csmsId, DELIVERY_STATUS.FAILED, {
+        error: 'Expired before it could be sent'
+      });
+      return true;
+    }
+
+    job.attempts += 1;
+    await this.saveJob({ ...job, status: JOB_STATUS.PROCESSING, nextAttemptAt: null });
+
+    const result = await smsService.sendSingleSMS({
+      msisdn: job.msisdn,
+      sms: job.sms,
+      csms_id: job.csmsId
+    });
+
+    if (result.success) {
+      logger.info('SMS job sent', { jobId, provider: result.provider, operator: result.operator, attempts: job.attempts });
+      await this.finishJob(job, {
+        status: JOB_STATUS.SENT,
+        provider: result.provider,
+        operator: result.operator,
+        referenceId: result.data?.reference_id || null,
+        lastError: null
+      });
+      await smsDeliveryService.recordStatus(job.csmsId, DELIVERY_STATUS.SENT, {
+        provider: result.provider,
+        operator: result.operator,
+        referenceId: result.data?.reference_id
+      });
+      return true;
+    }
+
+    await this.handleFailure(job, result);
+    return true;
+  }
+
+  /**
+   * Schedules a retry with exponential backoff or dead-letters the job
+   * @param {object} job - Job that failed
+   * @param {object} result - Failed SMS result
+   * @private
+   */
+  async handleFailure(job, result) {
+    const client = redisClient.getClient();
+    const lastError = result.error || result.message;
+
+    // Validation errors will fail the same way on every attempt
+    const retryable = !result.validationError && job.attempts < job.maxAttempts;
+
+    if (!retryable) {
+      logger.error('ERROR: SMS job failed permanently, moving to dead-letter list', {
+        jobId: job.jobId,
+        attempts: job.attempts,
+        error: lastError
+      });
+      await this.finishJob(job, { status: JOB_STATUS.FAILED, operator: result.operator, lastError });
+      await client.lPush(REDIS_KEYS.DEAD_LETTER_QUEUE, job.jobId);
+      await smsDeliveryService.recordStatus(job.csmsId, DELIVERY_STATUS.FAILED, {
+        operator: result.operator,
+        error: lastError
+      });
+      return;
+    }
+
+    const nextAttemptAt = Date.now() + this.getRetryDelay(job.attempts);
+
+    await this.saveJob({ ...job, status: JOB_STATUS.RETRYING, operator: result.operator, nextAttemptAt, lastError });
+    await client.zAdd(REDIS_KEYS.DELAYED_QUEUE, { score: nextAttemptAt, value: job.jobId });
+    await client.lRem(REDIS_KEYS.PROCESSING_QUEUE, 1, job.jobId);
+
+    logger.warn('SMS job failed, retry scheduled', {
+      jobId: job.jobId,
+      attempts: job.attempts,
+      nextAttemptAt: new Date(nextAttemptAt).toISOString(),
+      error: lastError
+    });
+  }
+
+  /**
+   * Moves retries whose backoff has elapsed back to the pending list
+   * @private
+   */
+  async promoteDelayedJobs() {
+    const client = redisClient.getClient();
+    const dueJobIds = await client.zRangeByScore(REDIS_KEYS.DELAYED_QUEUE, 0, Date.now());
+
+    for (const jobId of dueJobIds) {
+      // Only the worker that removes the entry re-queues it
+      const removed = await client.zRem(REDIS_KEYS.DELAYED_QUEUE, jobId);
+      if (removed) {
+        await client.lPush(REDIS_KEYS.PENDING_QUEUE, jobId);
+      }
+    }
+  }
+
+  /**
+   * Re-queues jobs a crashed or failed worker left in the processing list
+   * @private
+   */
+  async recoverStalledJobs() {
+    this.lastStalledCheckAt = Date.now();
+    const client = redisClient.getClient();
+    const jobIds = await client.lRange(REDIS_KEYS.PROCESSING_QUEUE, 0, -1);
+
+    for (const jobId of jobIds) {
+      const job = await this.getJob(jobId);
+      const isStalled = !job || Date.now() - job.updatedAt > this.config.stalledJobMs;
+
+      if (isStalled && await client.lRem(REDIS_KEYS.PROCESSING_QUEUE, 1, jobId)) {
+        if (job) {
+          await client.lPush(REDIS_KEYS.PENDING_QUEUE, jobId);
+          logger.warn('Re-queued stalled SMS job', { jobId });
+        }
+      }
+    }
+  }
+
+  /**
+   * Stores the final state of a job and removes it from the processing list
+   * The message body is dropped since it may contain an OTP; until then it is
+   * stored encrypted (see redisEncryption)
+   * @private
+   */
+  async finishJob(job, updates) {
+    await this.saveJob({ ...job, ...updates, sms: null, nextAttemptAt: null });
+    await redisClient.getClient().lRem(REDIS_KEYS.PROCESSING_QUEUE, 1, job.jobId);
+  }
+
+  async saveJob(job) {
+    job.updatedAt = Date.now();
+    await redisClient.set(this.getJobKey(job.jobId), job, this.config.jobTTLSeconds);
+  }
+
+  /**
+   * Exponential backoff with up to 20% jitter so retries from many jobs spread out
+   * @param {number} attempts - Attempts made so far
+   * @returns {number} Delay in milliseconds
+   */
+  getRetryDelay(attempts) {
+    const delay = Math.min(
+      this.config.retryBaseDelayMs * Math.pow(2, attempts - 1),
+      this.config.retryMaxDelayMs
+    );
+    return Math.round(delay * (1 + Math.random() * 0.2));
+  }
+
+  getJobKey(jobId) {
+    return `${REDIS_KEYS.JOB_PREFIX}${jobId}`;
+  }
+
+  sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+}
+
+module.exports = new SMSQueueService();
@@ -1,17 +1,29 @@
-const axios = require('axios');
 const config = require('../config/environment');
 const logger = require('../config/logger');
+const phoneValidator = require('../utils/phoneValidator');
+const { createProvider } = require('./smsProviders');
 
 /**
- * SMS Service for SSL Wireless API Integration
- * Handles single SMS sending functionality
+ * SMS Service
+ * Validates and sends SMS through the configured provider chain, failing over
+ * to the next provider when one errors or times out
  */
 class SMSService {
   constructor() {
     this.config = config.sms;
-    this.baseURL = this.config.baseURL;
-    this.apiToken = this.config.apiToken;
-    this.sid = this.config.sid;
+    this.operatorRoutes = this.config.operatorRoutes || {};
+
+    // Providers referenced by operator routes are created even when they are
+    // not part of the default failover chain
+    const providerNames = new Set(this.config.providers);
+    Object.values(this.operatorRoutes).forEach(route => {
+      (route.providers || []).forEach(name => providerNames.add(name));
+    });
+
+    this.providerRegistry = new Map(
+      [...providerNames].map(name => [name, createProvider(name, this.config)])
+    );
+    this.providers = this.config.providers.map(name => this.providerRegistry.get(name));
     
     // Validate required environment variables
     this.validateConfig();
@@ -19,21 +31,42 @@ class SMSService {
 
   /**
    * Validate SMS service configuration
-   * @throws {Error} If required environment variables are missing
+   * @throws {Error} If no provider is configured or a provider is missing settings
    */
   validateConfig() {
-    const requiredEnvVars = [
-      { key: 'SMS_API_BASE_URL', value: this.baseURL },
-      { key: 'SMS_API_TOKEN', value: this.apiToken },
-      { key: 'SMS_SID', value: this.sid }
-    ];
+    if (this.providers.length === 0) {
+      throw new Error('At least one SMS provider must be configured in SMS_PROVIDERS');
+    }
 
-    const missingVars = requiredEnvVars.filter(env => !env.value);
-    
-    if (missingVars.length > 0) {
-      const missingKeys = missingVars.map(env => env.key).join(', ');
-      throw new Error(`Missing required SMS environment variables: ${missingKeys}`);
+    this.providerRegistry.forEach(provider => provider.validateConfig());
+  }
+
+  /**
+   * Resolve the provider chain and sender ID for a recipient's operator
+   * A route's providers are tried first, followed by the default chain unless
+   * the route sets `fallbackToDefault: false`
+   * @param {string} msisdn - Normalized recipient number
+   * @returns {object} Operator, matched route name, providers and sender ID
+   */
+  resolveRoute(msisdn) {
+    const operator = phoneValidator.detectOperator(msisdn);
+    const route = this.operatorRoutes[operator];
+
+    if (!route) {
+      return { operator, route: 'default', providers: this.providers, senderId: null };
     }
+
+    const routeProviders = (route.providers || []).map(name => this.providerRegistry.get(name));
+    const fallbackProviders = route.fallbackToDefault === false
+      ? []
+      : this.providers.filter(provider => !routeProviders.includes(provider));
+
+    return {
+      operator,
+      route: operator,
+      providers: [...routeProviders, ...fallbackProviders],
+      senderId: route.senderId || null
+    };
   }
 
   /**
@@ -124,117 +157,115 @@ class SMSService {
   }
 
   /**
-   * Send single SMS using SSL Wireless API
+   * Send single SMS, trying each provider in the failover chain
    * @param {object} smsData - SMS data object
    * @param {string} smsData.msisdn - Recipient phone number
    * @param {string} smsData.sms - SMS message content
    * @param {string} [smsData.csms_id] - Optional custom CSMS ID
-   * @returns {Promise<object>} SMS sending result
+   * @returns {Promise<object>} SMS sending result, including the delivering provider
    */
   async sendSingleSMS(smsData) {
-    try {
-      const { msisdn, sms, csms_id } = smsData;
+    const { msisdn, sms, csms_id } = smsData;
 
-      logger.info(`Preparing to send SMS to: ${msisdn}`);
+    logger.info(`Preparing to send SMS to: ${msisdn}`);
 
-      // Validate phone number
-      const phoneValidation = this.validateMSISDN(msisdn);
-      if (!phoneValidation.isValid) {
-        throw new Error(`Phone validation failed: ${phoneValidation.message}`);
-      }
+    // Validate phone number
+    const phoneValidation = this.validateMSISDN(msisdn);
+    if (!phoneValidation.isValid) {
+      return this.validationFailure(`Phone validation failed: ${phoneValidation.message}`);
+    }
 
-      // Validate SMS content
-      const smsValidation = this.validateSMSContent(sms);
-      if (!smsValidation.isValid) {
-        throw new Error(`SMS content validation failed: ${smsValidation.message}`);
-      }
+    // Validate SMS content
+    const smsValidation = this.validateSMSContent(sms);
+    if (!smsValidation.isValid) {
+      return this.validationFailure(`SMS content validation failed: ${smsValidation.message}`);
+    }
 
-      // Prepare request payload
-      const payload = {
-        api_token: this.apiToken,
-        sid: this.sid,
-        msisdn: phoneValidation.normalizedNumber,
-        sms: sms.trim(),
-        csms_id: csms_id || this.generateCSMSId()
-      };
+    const routing = this.resolveRoute(phoneValidation.normalizedNumber);
 
-      logger.info(`Sending SMS via SSL Wireless API...`);
-      logger.info(`   To: ${payload.msisdn}`);
-      logger.info(`   Message: ${payload.sms.substring(0, 50)}${payload.sms.length > 50 ? '...' : ''}`);
-      logger.info(`   CSMS ID: ${payload.csms_id}`);
-
-      // Make API request
-      const response = await axios.post(`${this.baseURL}`, payload, {
-        headers: {
-          'Content-Type': 'application/json',
-          'Accept': 'application/json'
-        },
-        timeout: this.config.timeout
-      });
-      // Check response status
-      if (response.status !== 200) {
-        throw new Error(`SMS API returned status ${response.status}`);
-      }
-
-      const responseData = response.data;
+    const message = {
+      msisdn: phoneValidation.normalizedNumber,
+      sms: sms.trim(),
+      csms_id: csms_id || this.generateCSMSId(),
+      ...(routing.senderId && { senderId: routing.senderId })
+    };
 
-      // Check if the API response indicates success
-      if (responseData.status !== 'SUCCESS') {
-        throw new Error(`SMS sending failed: ${responseData.error_message || 'Unknown error'}`);
-      }
+    logger.info(`SMS routing: operator=${routing.operator}, route=${routing.route}, providers=${routing.providers.map(provider => provider.name).join(' > ')}`);
 
-      logger.info(`SMS sent successfully!`);
-      logger.info(`   Recipient: ${payload.msisdn}`);
-      logger.info(`   Reference ID: ${responseData.smsinfo?.[0]?.reference_id || 'N/A'}`);
+    const failedAttempts = [];
 
-      return {
-        success: true,
-        message: 'SMS sent successfully',
-        data: {
-          msisdn: payload.msisdn,
-          sms: payload.sms,
-          csms_id: payload.csms_id,
-          reference_id: responseData.smsinfo?.[0]?.reference_id,
-          sms_status: responseData.smsinfo?.[0]?.sms_status,
-          sms_type: responseData.smsinfo?.[0]?.sms_type,
-          status_message: responseData.smsinfo?.[0]?.status_message,
-          api_response: responseData
-        }
-      };
+    for (const provider of routing.providers) {
+      const result = await provider.send(message);
 
-    } catch (error) {
-      logger.error('ERROR: SMS sending failed:', error.message);
-      
-      // Handle different types of errors
-      if (error.response) {
-        // API responded with error status
-        logger.error('   API Response:', error.response.data);
+      if (result.success) {
+        logger.info(`SMS sent successfully via ${provider.name}`, { operator: routing.operator });
         return {
-          success: false,
-          message: 'SMS API error',
-          error: error.response.data?.error_message || error.message,
-          statusCode: error.response.status,
-          apiResponse: error.response.data
-        };
-      } else if (error.request) {
-        // Request was made but no response received
-        logger.error('   Network error - no response received');
-        return {
-          success: false,
-          message: 'Network error - unable to reach SMS service',
-          error: 'No response from SMS API',
-          networkError: true
-        };
-      } else {
-        // Something else happened
-        return {
-          success: false,
-          message: 'SMS sending failed',
-          error: error.message,
-          validationError: error.message.includes('validation')
+          ...result,
+          operator: routing.operator,
+          route: routing.route,
+          ...(failedAttempts.length > 0 && { failedAttempts })
         };
       }
+
+      logger.warn(`SMS provider ${provider.name} failed, trying next provider`, {
+        csmsId: message.csms_id,
+        operator: routing.operator,
+        error: result.error
+      });
+      failedAttempts.push({ provider: provider.name, error: result.error });
     }
+
+    logger.error('ERROR: All SMS providers failed', {
+      csmsId: message.csms_id,
+      operator: routing.operator,
+      failedAttempts
+    });
+
+    return {
+      success: false,
+      message: 'All SMS providers failed',
+      error: failedAttempts[failedAttempts.length - 1]?.error,
+      operator: routing.operator,
+      route: routing.route,
+      failedAttempts
+    };
+  }
+
+  /**
+   * Get the delivery status of a message from the provider that sent it
+   * @param {string} csmsId - Client message ID
+   * @param {string} providerName - Provider that delivered the message
+   * @returns {Promise<object>} Status result
+   */
+  async getDeliveryStatus(csmsId, providerName) {
+    const provider = this.getProvider(providerName);
+    if (!provider) {
+      return { success: false, message: `SMS provider ${providerName} is not configured`, error: 'UNKNOWN_PROVIDER' };
+    }
+
+    return provider.getStatus(csmsId);
+  }
+
+  /**
+   * Get the balance of every configured provider, including routed ones
+   * @returns {Promise<Array<object>>} Balance results per provider
+   */
+  async getBalances() {
+    return Promise.all([...this.providerRegistry.values()].map(provider => provider.getBalance()));
+  }
+
+  getProvider(name) {
+    return this.providerRegistry.get(name) || null;
+  }
+
+  validationFailure(message) {
+    logger.error('ERROR: SMS sending failed:', message);
+    return {
+      success: false,
+      message: 'SMS sending failed',
+      error: message,
+      validationError: true
+    };
   }
 
   /**
@@ -277,10 +308,10 @@ class SMSService {
    */
   getServiceStatus() {
     return {
-      isConfigured: !!(this.baseURL && this.apiToken && this.sid),
-      baseURL: this.baseURL ? this.baseURL.replace(/\/+$/, '') : 'Not configured',
-      sid: this.sid || 'Not configured',
-      hasApiToken: !!this.apiToken
+      isConfigured: this.providers.length > 0,
+      providers: this.providers.map(provider => provider.name),
+      primaryProvider: this.providers[0]?.name || 'Not configured',
+      operatorRoutes: Object.keys(this.operatorRoutes)
     };
   }
 }
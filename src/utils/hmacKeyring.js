@@ -0,0 +1,71 @@
+/**
+ * HMAC Keyring
+ * Signs with the current HMAC key and verifies against every key still in
+ * the keyring, so HMAC_SECRET can be rotated without invalidating the OTPs and
+ * login links issued just before. Signatures are stored with the ID of the
+ * key that made them.
+ */
+
+const crypto = require('crypto');
+const config = require('../config/environment');
+const { SECURITY } = require('../constants/otpConstants');
+
+class HmacKeyring {
+  constructor() {
+    const { currentKeyId, keys } = config.otp.hmacKeyring;
+    this.currentKeyId = currentKeyId;
+    this.keys = new Map(Object.entries(keys).filter(([, secret]) => secret && typeof secret === 'string'));
+  }
+
+  /**
+   * The key new signatures are made with
+   * @returns {object} `{ keyId, secret }`
+   */
+  getCurrentKey() {
+    return { keyId: this.currentKeyId, secret: this.keys.get(this.currentKeyId) };
+  }
+
+  /**
+   * Signs data with the current key
+   * @param {string} data - Data to sign
+   * @returns {object} `{ keyId, signature }` with a hex signature
+   */
+  sign(data) {
+    const { keyId, secret } = this.getCurrentKey();
+    return { keyId, signature: this.computeSignature(secret, data) };
+  }
+
+  /**
+   * Checks a signature against the key it was made with
+   * Signatures made before key IDs existed carry none and are checked against
+   * every key in the keyring
+   * @param {string} data - Signed data
+   * @param {string} signature - Hex signature
+   * @param {string} [keyId] - ID of the key the signature was made with
+   * @returns {boolean} True when a non-retired key produced the signature
+   */
+  verify(data, signature, keyId) {
+    if (typeof signature !== 'string' || !/^[0-9a-f]+$/i.test(signature)) {
+      return false;
+    }
+
+    const keyIds = keyId ? [keyId] : [...this.keys.keys()];
+    const given = Buffer.from(signature, 'hex');
+
+    return keyIds.some((id) => {
+      const secret = this.keys.get(id);
+      if (!secret) {
+        return false;
+      }
+
+      const expected = Buffer.from(this.computeSignature(secret, data), 'hex');
+      return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+    });
+  }
+
+  computeSignature(secret, data) {
+    return crypto.createHmac(SECURITY.HMAC_ALGORITHM, secret).update(data, 'utf8').digest('hex');
+  }
+}
+
+module.exports = new HmacKeyring();
@@ -0,0 +1,115 @@
+/**
+ * Localization helpers
+ * Picks the response language and looks up localized SMS, email and API text
+ */
+
+const config = require('../config/environment');
+const { LOCALES } = require('../constants/localeConstants');
+
+const CATALOGS = {
+  [LOCALES.EN]: require('../locales/en'),
+  [LOCALES.BN]: require('../locales/bn')
+};
+
+const SUPPORTED_LOCALES = Object.values(LOCALES);
+
+/**
+ * Maps a language tag to a supported locale
+ * @param {string} tag - Language tag, e.g. "bn-BD" or "en"
+ * @returns {string|null} Supported locale or null
+ */
+const normalizeLocale = (tag) => {
+  if (!tag || typeof tag !== 'string') {
+    return null;
+  }
+
+  const language = tag.trim().toLowerCase().split(/[-_]/)[0];
+  return SUPPORTED_LOCALES.includes(language) ? language : null;
+};
+
+/**
+ * Picks the first supported language from an Accept-Language header,
+ * honouring q-values
+ * @param {string} header - Accept-Language header value
+ * @returns {string|null} Supported locale or null
+ */
+const parseAcceptLanguage = (header) => {
+  if (!header || typeof header !== 'string') {
+    return null;
+  }
+
+  const ranked = header
+    .split(',')
+    .map((part, index) => {
+      const [tag, ...params] = part.trim().split(';');
+      const qParam = params.find(param => param.trim().startsWith('q='));
+      const quality = qParam ? parseFloat(qParam.trim().substring(2)) : 1;
+      return { tag, quality: Number.isNaN(quality) ? 0 : quality, index };
+    })
+    .filter(entry => entry.quality > 0)
+    .sort((a, b) => b.quality - a.quality || a.index - b.index);
+
+  for (const entry of ranked) {
+    const locale = normalizeLocale(entry.tag);
+    if (locale) {
+      return locale;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Resolves the locale for a request
+ * An explicit `locale` field (body or query) wins over Accept-Language
+ * @param {object} req - Express request object
+ * @returns {string} Supported locale
+ */
+const resolveLocale = (req) => {
+  return normalizeLocale(req.body?.locale)
+    || normalizeLocale(req.query?.locale)
+    || parseAcceptLanguage(req.get('Accept-Language'))
+    || config.i18n.defaultLocale;
+};
+
+/**
+ * Gets the string catalog of a locale, falling back to English
+ * @param {string} locale - Locale
+ * @returns {object} Catalog
+ */
+const getCatalog = (locale) => CATALOGS[locale] || CATALOGS[LOCALES.EN];
+
+/**
+ * Translates an English API message
+ * @param {string} message - English message from the constants files
+ * @param {string} locale - Target locale
+ * @returns {string} Translated message, or the original when there is no translation
+ */
+const translate = (message, locale) => {
+  if (typeof message !== 'string') {
+    return message;
+  }
+  return getCatalog(locale).messages[message] || message;
+};
+
+/**
+ * Replaces {placeholders} in a template
+ * @param {string} template - Template text
+ * @param {object} params - Placeholder values
+ * @returns {string} Rendered text
+ */
+const format = (template, params = {}) => {
+  return template.replace(/\{(\w+)\}/g, (match, name) => (
+    params[name] !== undefined && params[name] !== null ? String(params[name]) : match
+  ));
+};
+
+module.exports = {
+  SUPPORTED_LOCALES,
+  normalizeLocale,
+  parseAcceptLanguage,
+  resolveLocale,
+  getCatalog,
+  translate,
+  format
+};
@@ -1,6 +1,8 @@
 const crypto = require('crypto');
 const logger = require('../config/logger');
 const config = require('../config/environment');
+const hmacKeyring = require('./hmacKeyring');
+const { OTP_PURPOSES, DEFAULT_OTP_PURPOSE, ERROR_MESSAGES } = require('../constants/otpConstants');
 
 // Cache bcrypt require to avoid repeated loading
 let bcrypt = null;
@@ -16,18 +18,18 @@ const DEFAULTS = {
   PASSWORD_LENGTH: 12,
   SALT_ROUNDS: 12,
   TIME_WINDOW_MS: 1 * 60 * 1000, // 1 minutes
-  MAX_PHONE_LENGTH: 20,
+  MAX_IDENTIFIER_LENGTH: 254, // Email max length; phone numbers are far shorter
   MAX_PASSWORD_LENGTH: 128
 };
 
 class OTPGenerator {
   constructor() {
     this.config = config.otp;
-    this.secretKey = this.config.secretKey;
     this.expiryMinutes = this.config.expiryMinutes;
     
     // Validate configuration
-    if (!this.secretKey || typeof this.secretKey !== 'string') {
+    const { secret } = hmacKeyring.getCurrentKey();
+    if (!secret || typeof secret !== 'string') {
       throw new Error('OTP secret key is required and must be a string');
     }
     
@@ -38,28 +40,42 @@ class OTPGenerator {
 
   /**
    * Validates input parameters for OTP generation
-   * @param {string} phoneNumber - The phone number to validate
+   * @param {string} identifier - The phone number or email address to validate
    * @param {number} timestamp - The timestamp to validate
+   * @param {string} purpose - The OTP purpose to validate
    * @returns {object} - Validated and normalized inputs
    * @private
    */
-  _validateOTPInputs(phoneNumber, timestamp) {
-    if (!phoneNumber || typeof phoneNumber !== 'string') {
-      throw new Error('Phone number is required and must be a string');
+  _validateOTPInputs(identifier, timestamp, purpose) {
+    if (!identifier || typeof identifier !== 'string') {
+      throw new Error('Identifier is required and must be a string');
     }
     
-    if (phoneNumber.length > DEFAULTS.MAX_PHONE_LENGTH) {
-      throw new Error('Phone number is too long');
+    if (identifier.length > DEFAULTS.MAX_IDENTIFIER_LENGTH) {
+      throw new Error('Identifier is too long');
     }
     
     if (timestamp !== null && (!Number.isInteger(timestamp) || timestamp < 0)) {
       throw new Error('Timestamp must be a positive integer');
     }
+
+    this._validatePurpose(purpose);
     
     const currentTime = timestamp || Date.now();
-    const normalizedPhone = phoneNumber.trim();
+    const normalizedIdentifier = identifier.trim();
     
-    return { normalizedPhone, currentTime };
+    return { normalizedIdentifier, currentTime };
+  }
+
+  /**
+   * Ensures the OTP purpose is one of the supported purposes
+   * @param {string} purpose - OTP purpose
+   * @private
+   */
+  _validatePurpose(purpose) {
+    if (!Object.values(OTP_PURPOSES).includes(purpose)) {
+      throw new Error('Invalid OTP purpose');
+    }
   }
 
   /**
@@ -73,15 +89,18 @@ class OTPGenerator {
   }
 
   /**
-   * Generates HMAC for OTP creation
-   * @param {string} normalizedPhone - Normalized phone number
+   * Generates HMAC for OTP creation with the current keyring key
+   * Stored OTPs are compared as issued, so rotating the key does not affect codes already sent
+   * @param {string} normalizedIdentifier - Normalized phone number or email
    * @param {number} timeWindow - Time window value
+   * @param {string} purpose - OTP purpose
    * @returns {string} - HMAC result in hex format
    * @private
    */
-  _generateHMAC(normalizedPhone, timeWindow) {
-    const dataString = `${normalizedPhone}:${timeWindow}:${this.secretKey}`;
-    const hmac = crypto.createHmac('sha256', this.secretKey);
+  _generateHMAC(normalizedIdentifier, timeWindow, purpose) {
+    const { secret } = hmacKeyring.getCurrentKey();
+    const dataString = `${purpose}:${normalizedIdentifier}:${timeWindow}:${secret}`;
+    const hmac = crypto.createHmac('sha256', secret);
     hmac.update(dataString, 'utf8');
     return hmac.digest('hex');
   }
@@ -107,36 +126,36 @@ class OTPGenerator {
 
   /**
    * Creates verification hash for OTP data integrity
-   * @param {string} normalizedPhone - Normalized phone number
+   * @param {string} normalizedIdentifier - Normalized phone number or email
    * @param {string} otp - Generated OTP
    * @param {number} currentTime - Current timestamp
    * @param {number} expiryTime - Expiry timestamp
-   * @returns {string} - Verification hash
+   * @param {string} purpose - OTP purpose
+   * @returns {object} - Verification hash and the ID of the HMAC key that made it
    * @private
    */
-  _createVerificationHash(normalizedPhone, otp, currentTime, expiryTime) {
-    const verificationData = `${normalizedPhone}:${otp}:${currentTime}:${expiryTime}`;
-    const verificationHmac = crypto.createHmac('sha256', this.secretKey);
-    verificationHmac.update(verificationData, 'utf8');
-    return verificationHmac.digest('hex');
+  _createVerificationHash(normalizedIdentifier, otp, currentTime, expiryTime, purpose) {
+    const verificationData = `${purpose}:${normalizedIdentifier}:${otp}:${currentTime}:${expiryTime}`;
+    return hmacKeyring.sign(verificationData);
   }
 
   /**
    * Generates a 6-digit OTP using HMAC algorithm
-   * @param {string} phoneNumber - The phone number for which OTP is generated
+   * @param {string} identifier - The phone number or email address the OTP is generated for
+   * @param {string} purpose - What the OTP may be used for (login, signup, ...)
    * @param {number} timestamp - Optional timestamp, defaults to current time
    * @returns {object} - OTP data with code, hash, and expiry
    */
-  generateOTP(phoneNumber, timestamp = null) {
+  generateOTP(identifier, purpose = DEFAULT_OTP_PURPOSE, timestamp = null) {
     try {
       // Validate inputs
-      const { normalizedPhone, currentTime } = this._validateOTPInputs(phoneNumber, timestamp);
+      const { normalizedIdentifier, currentTime } = this._validateOTPInputs(identifier, timestamp, purpose);
       
       // Calculate time window
       const timeWindow = this._calculateTimeWindow(currentTime);
       
       // Generate HMAC
-      const hmacResult = this._generateHMAC(normalizedPhone, timeWindow);
+      const hmacResult = this._generateHMAC(normalizedIdentifier, timeWindow, purpose);
       
       // Extract OTP from HMAC
       const otp = this._extractOTPFromHMAC(hmacResult);
@@ -145,21 +164,23 @@ class OTPGenerator {
       const expiryTime = currentTime + (this.expiryMinutes * 60 * 1000);
       
       // Create verification hash
-      const verificationHash = this._createVerificationHash(normalizedPhone, otp, currentTime, expiryTime);
+      const { keyId, signature } = this._createVerificationHash(normalizedIdentifier, otp, currentTime, expiryTime, purpose);
       
       return {
         otp,
-        phoneNumber: normalizedPhone,
+        identifier: normalizedIdentifier,
+        purpose,
         timestamp: currentTime,
         expiryTime,
         expiryMinutes: this.expiryMinutes,
-        verificationHash,
+        verificationHash: signature,
+        hmacKeyId: keyId,
         isValid: true
       };
     } catch (error) {
       logger.error('Error generating OTP:', {
         message: error.message,
-        phoneNumber: phoneNumber ? '[HIDDEN]' : 'null',
+        identifier: identifier ? '[HIDDEN]' : 'null',
         timestamp: new Date().toISOString()
       });
       throw new Error('Failed to generate OTP');
@@ -167,18 +188,19 @@ class OTPGenerator {
   }
 
   /**
-   * Verifies if the provided OTP is valid for the given phone number
-   * @param {string} phoneNumber - The phone number
+   * Verifies if the provided OTP is valid for the given phone number or email
+   * @param {string} identifier - The phone number or email address
    * @param {string} inputOTP - The OTP provided by user
    * @param {object} storedOTPData - The stored OTP data from Redis
+   * @param {string} purpose - The purpose the OTP is being verified for
    * @returns {object} - Verification result
    */
-  verifyOTP(phoneNumber, inputOTP, storedOTPData) {
+  verifyOTP(identifier, inputOTP, storedOTPData, purpose = DEFAULT_OTP_PURPOSE) {
     try {
       if (!storedOTPData) {
         return {
           isValid: false,
-          message: 'OTP not found or expired',
+          message: ERROR_MESSAGES.OTP_NOT_FOUND,
           expired: true
         };
       }
@@ -188,16 +210,28 @@ class OTPGenerator {
       if (currentTime > storedOTPData.expiryTime) {
         return {
           isValid: false,
-          message: 'OTP has expired',
+          message: ERROR_MESSAGES.OTP_EXPIRED,
           expired: true
         };
       }
 
-      // Verify phone number matches
-      if (storedOTPData.phoneNumber !== phoneNumber) {
+      // OTPs stored before email OTPs existed keep the identifier in `phoneNumber`
+      const storedIdentifier = storedOTPData.identifier ?? storedOTPData.phoneNumber;
+
+      // Verify the identifier matches
+      if (storedIdentifier !== identifier) {
+        return {
+          isValid: false,
+          message: 'Identifier mismatch',
+          expired: false
+        };
+      }
+
+      // An OTP sent for one purpose must not be usable for another
+      if (storedOTPData.purpose !== purpose) {
         return {
           isValid: false,
-          message: 'Phone number mismatch',
+          message: ERROR_MESSAGES.OTP_PURPOSE_MISMATCH,
           expired: false
         };
       }
@@ -206,21 +240,18 @@ class OTPGenerator {
       if (storedOTPData.otp !== inputOTP) {
         return {
           isValid: false,
-          message: 'Invalid OTP code',
+          message: ERROR_MESSAGES.OTP_INVALID,
           expired: false
         };
       }
 
-      // Verify the HMAC hash to ensure data integrity
-      const verificationData = `${storedOTPData.phoneNumber}:${storedOTPData.otp}:${storedOTPData.timestamp}:${storedOTPData.expiryTime}`;
-      const verificationHmac = crypto.createHmac('sha256', this.secretKey);
-      verificationHmac.update(verificationData);
-      const calculatedHash = verificationHmac.digest('hex');
+      // Verify the HMAC hash to ensure data integrity; any non-retired key is accepted
+      const verificationData = `${storedOTPData.purpose}:${storedIdentifier}:${storedOTPData.otp}:${storedOTPData.timestamp}:${storedOTPData.expiryTime}`;
 
-      if (calculatedHash !== storedOTPData.verificationHash) {
+      if (!hmacKeyring.verify(verificationData, storedOTPData.verificationHash, storedOTPData.hmacKeyId)) {
         return {
           isValid: false,
-          message: 'OTP data integrity check failed',
+          message: ERROR_MESSAGES.OTP_INTEGRITY_FAILED,
           expired: false
         };
       }
@@ -229,7 +260,7 @@ class OTPGenerator {
         isValid: true,
         message: 'OTP verified successfully',
         expired: false,
-        phoneNumber: phoneNumber
+        identifier
       };
     } catch (error) {
       logger.error('Error verifying OTP:', error);
@@ -243,20 +274,23 @@ class OTPGenerator {
 
   /**
    * Generates a Redis key for storing OTP
-   * @param {string} phoneNumber - The phone number
+   * @param {string} identifier - The phone number or email address
+   * @param {string} purpose - The OTP purpose
    * @returns {string} - Redis key
    */
-  generateRedisKey(phoneNumber) {
-    if (!phoneNumber || typeof phoneNumber !== 'string') {
-      throw new Error('Phone number is required and must be a string');
+  generateRedisKey(identifier, purpose = DEFAULT_OTP_PURPOSE) {
+    if (!identifier || typeof identifier !== 'string') {
+      throw new Error('Identifier is required and must be a string');
     }
     
-    const normalizedPhone = phoneNumber.trim();
-    if (normalizedPhone.length === 0 || normalizedPhone.length > DEFAULTS.MAX_PHONE_LENGTH) {
-      throw new Error('Invalid phone number for Redis key generation');
+    const normalizedIdentifier = identifier.trim();
+    if (normalizedIdentifier.length === 0 || normalizedIdentifier.length > DEFAULTS.MAX_IDENTIFIER_LENGTH) {
+      throw new Error('Invalid identifier for Redis key generation');
     }
     
-    return `otp:${normalizedPhone}`;
+    this._validatePurpose(purpose);
+    
+    return `otp:${purpose}:${normalizedIdentifier}`;
   }
 
   /**
@@ -354,7 +388,7 @@ class OTPGenerator {
     }
     
     const normalizedIdentifier = identifier.trim();
-    if (normalizedIdentifier.length === 0 || normalizedIdentifier.length > 254) { // Email max length
+    if (normalizedIdentifier.length === 0 || normalizedIdentifier.length > DEFAULTS.MAX_IDENTIFIER_LENGTH) {
       throw new Error('Invalid identifier for Redis key generation');
     }
     
@@ -25,11 +25,12 @@ const PHONE_PATTERNS = {
   CLEANUP: /[^\d+]/g,
   MOBILE_START: /^1/,
   DIGITS_ONLY: /^\d{10}$/,
-  GRAMEENPHONE: /^(\+880|880|0)?(17[0-9]|13[0-9]|15[0-9]|16[0-9]|18[0-9]|19[0-9])/,
-  ROBI: /^(\+880|880|0)?(18[0-8])/,
-  BANGLALINK: /^(\+880|880|0)?(19[0-9]|14[0-9])/,
-  AIRTEL: /^(\+880|880|0)?(16[0-9]|13[0-9])/,
-  TELETALK: /^(\+880|880|0)?(15[0-9])/
+  // Operator prefixes as allocated by BTRC (01X); ported numbers keep their original prefix
+  GRAMEENPHONE: /^(\+880|880|0)?1[37]/,
+  ROBI: /^(\+880|880|0)?18/,
+  BANGLALINK: /^(\+880|880|0)?1[49]/,
+  AIRTEL: /^(\+880|880|0)?16/,
+  TELETALK: /^(\+880|880|0)?15/
 };
 
 class PhoneValidator {
@@ -0,0 +1,187 @@
+/**
+ * Redis Encryption
+ * Envelope encryption of sensitive fields in values stored in Redis.
+ * Each value gets a fresh data key; the fields are encrypted with it using
+ * AES-256-GCM, and the data key is itself encrypted (wrapped) with the active
+ * master key. The master key ID is stored alongside, so keys can be rotated
+ * while values encrypted with older keys remain readable.
+ */
+
+const crypto = require('crypto');
+const config = require('../config/environment');
+const logger = require('../config/logger');
+
+const ALGORITHM = 'aes-256-gcm';
+const KEY_LENGTH = 32;
+const IV_LENGTH = 12;
+const ENVELOPE_VERSION = 1;
+
+// Top-level fields never written to Redis in plain text (`sms` is a queued SMS
+// job's message body, which holds the OTP until the job finishes)
+const ENCRYPTED_FIELDS = ['plainPassword', 'hashedPassword', 'birthdate', 'shopifyData', 'accessToken', 'sms'];
+
+// Field holding the envelope in place of the encrypted fields
+const ENVELOPE_FIELD = '_encrypted';
+
+class RedisEncryption {
+  constructor() {
+    this.config = config.redis.encryption;
+    this.keys = this.loadKeys(this.config.keys);
+    this.activeKeyId = this.keys.has(this.config.activeKeyId) ? this.config.activeKeyId : null;
+
+    if (this.keys.size > 0 && !this.activeKeyId) {
+      logger.error(`ERROR: REDIS_ENCRYPTION_KEY_ID "${this.config.activeKeyId}" is not one of the configured keys`);
+    }
+  }
+
+  /**
+   * Whether new values are encrypted
+   * @returns {boolean} True when an active key is configured
+   */
+  isEnabled() {
+    return Boolean(this.activeKeyId);
+  }
+
+  /**
+   * Replaces the sensitive fields of a value with an envelope
+   * Values without sensitive fields, values that are already encrypted and
+   * all values while encryption is disabled are returned unchanged
+   * @param {*} value - Value about to be stored
+   * @returns {*} Value safe to store
+   */
+  encrypt(value) {
+    if (!this.isEnabled() || !this.isPlainObject(value) || this.isEncrypted(value)) {
+      return value;
+    }
+
+    const sensitive = {};
+    const rest = {};
+    for (const [field, fieldValue] of Object.entries(value)) {
+      if (ENCRYPTED_FIELDS.includes(field) && fieldValue !== undefined) {
+        sensitive[field] = fieldValue;
+      } else {
+        rest[field] = fieldValue;
+      }
+    }
+
+    if (Object.keys(sensitive).length === 0) {
+      return value;
+    }
+
+    const dataKey = crypto.randomBytes(KEY_LENGTH);
+    const sealed = this.seal(dataKey, Buffer.from(JSON.stringify(sensitive)));
+    const wrappedKey = this.seal(this.keys.get(this.activeKeyId), dataKey);
+
+    return {
+      ...rest,
+      [ENVELOPE_FIELD]: {
+        v: ENVELOPE_VERSION,
+        kid: this.activeKeyId,
+        key: wrappedKey,
+        data: sealed
+      }
+    };
+  }
+
+  /**
+   * Restores the fields of a value read from Redis
+   * @param {*} value - Stored value
+   * @returns {*} Value with its sensitive fields decrypted
+   * @throws {Error} When the key is not configured or the envelope was tampered with
+   */
+  decrypt(value) {
+    if (!this.isEncrypted(value)) {
+      return value;
+    }
+
+    const { [ENVELOPE_FIELD]: envelope, ...rest } = value;
+    const masterKey = this.keys.get(envelope.kid);
+    if (!masterKey) {
+      throw new Error(`Redis encryption key "${envelope.kid}" is not configured`);
+    }
+
+    try {
+      const dataKey = this.open(masterKey, envelope.key);
+      const sensitive = JSON.parse(this.open(dataKey, envelope.data).toString('utf8'));
+      return { ...rest, ...sensitive };
+    } catch (error) {
+      throw new Error(`Redis value could not be decrypted with key "${envelope.kid}"`);
+    }
+  }
+
+  /**
+   * Whether a stored value should be written again: it holds sensitive fields
+   * in plain text, or was encrypted with a key other than the active one
+   * @param {*} value - Stored value, as read from Redis
+   * @returns {boolean} True when re-encrypting would change it
+   */
+  needsReencryption(value) {
+    if (!this.isEnabled() || !this.isPlainObject(value)) {
+      return false;
+    }
+
+    if (this.isEncrypted(value) && value[ENVELOPE_FIELD].kid !== this.activeKeyId) {
+      return true;
+    }
+
+    return ENCRYPTED_FIELDS.some(field => value[field] !== undefined);
+  }
+
+  isEncrypted(value) {
+    return this.isPlainObject(value) && this.isPlainObject(value[ENVELOPE_FIELD]);
+  }
+
+  isPlainObject(value) {
+    return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+  }
+
+  /**
+   * Encrypts with AES-256-GCM
+   * @param {Buffer} key - 32-byte key
+   * @param {Buffer} plaintext - Data to encrypt
+   * @returns {string} base64 of IV, auth tag and ciphertext
+   */
+  seal(key, plaintext) {
+    const iv = crypto.randomBytes(IV_LENGTH);
+    const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+    const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+    return Buffer.concat([iv, cipher.getAuthTag(), ciphertext]).toString('base64');
+  }
+
+  /**
+   * Decrypts data produced by seal
+   * @param {Buffer} key - 32-byte key
+   * @param {string} sealed - base64 of IV, auth tag and ciphertext
+   * @returns {Buffer} Plaintext
+   */
+  open(key, sealed) {
+    const buffer = Buffer.from(sealed, 'base64');
+    const iv = buffer.subarray(0, IV_LENGTH);
+    const authTag = buffer.subarray(IV_LENGTH, IV_LENGTH + 16);
+    const decipher = crypto.createDecipheriv(ALGORITHM, key, iv);
+    decipher.setAuthTag(authTag);
+    return Buffer.concat([decipher.update(buffer.subarray(IV_LENGTH + 16)), decipher.final()]);
+  }
+
+  /**
+   * Decodes the configured master keys, skipping any that are not 32 bytes
+   * @param {object} keys - Key ID -> base64 key
+   * @returns {Map<string, Buffer>} Usable keys
+   */
+  loadKeys(keys) {
+    const loaded = new Map();
+
+    for (const [keyId, encodedKey] of Object.entries(keys || {})) {
+      const key = Buffer.from(String(encodedKey), 'base64');
+      if (key.length !== KEY_LENGTH) {
+        logger.error(`ERROR: Redis encryption key "${keyId}" must be ${KEY_LENGTH} bytes, base64-encoded`);
+        continue;
+      }
+      loaded.set(keyId, key);
+    }
+
+    return loaded;
+  }
+}
+
+module.exports = new RedisEncryption();
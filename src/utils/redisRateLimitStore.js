@@ -0,0 +1,91 @@
+/**
+ * Redis Rate Limit Store
+ * Sliding-window store for express-rate-limit backed by the shared Redis client
+ */
+
+const crypto = require('crypto');
+const redisClient = require('../config/database');
+const config = require('../config/environment');
+
+class RedisRateLimitStore {
+  /**
+   * @param {string} prefix - Unique name of the limiter using this store
+   */
+  constructor(prefix) {
+    if (!prefix) {
+      throw new Error('A unique prefix is required for each rate limit store');
+    }
+
+    // Keys are shared between app instances through Redis
+    this.localKeys = false;
+    this.prefix = `${config.database.keyPrefixes.rateLimit}${prefix}:`;
+    this.windowMs = 60 * 1000;
+    this.limit = null;
+  }
+
+  /**
+   * Called by express-rate-limit with the limiter options
+   * @param {object} options - Rate limiter options
+   */
+  init(options) {
+    this.windowMs = options.windowMs;
+    this.limit = typeof options.limit === 'number' ? options.limit : null;
+  }
+
+  /**
+   * Records a hit and counts the hits inside the sliding window
+   * @param {string} key - Client key from the limiter's keyGenerator
+   * @returns {Promise<object>} Total hits and reset time
+   */
+  async increment(key) {
+    const redisKey = this.getKey(key);
+    const now = Date.now();
+    const member = `${now}:${crypto.randomBytes(4).toString('hex')}`;
+
+    const multi = redisClient.getClient().multi()
+      .zRemRangeByScore(redisKey, 0, now - this.windowMs)
+      .zAdd(redisKey, { score: now, value: member });
+
+    // Hits beyond the limit only need to keep the client blocked, so older
+    // entries are trimmed to keep each window bounded
+    if (this.limit) {
+      multi.zRemRangeByRank(redisKey, 0, -(this.limit + 2));
+    }
+
+    const results = await multi
+      .zCard(redisKey)
+      .zRangeWithScores(redisKey, 0, 0)
+      .pExpire(redisKey, this.windowMs)
+      .exec();
+
+    const totalHits = Number(results[results.length - 3]);
+    const [oldestHit] = results[results.length - 2];
+
+    return {
+      totalHits,
+      resetTime: new Date((oldestHit ? Number(oldestHit.score) : now) + this.windowMs)
+    };
+  }
+
+  /**
+   * Removes the most recent hit, used when a request should not be counted
+   * @param {string} key - Client key
+   */
+  async decrement(key) {
+    await redisClient.getClient().zPopMax(this.getKey(key));
+  }
+
+  /**
+   * Clears all hits for a client
+   * @param {string} key - Client key
+   */
+  async resetKey(key) {
+    await redisClient.delete(this.getKey(key));
+  }
+
+  getKey(key) {
+    return `${this.prefix}${key}`;
+  }
+}
+
+module.exports = RedisRateLimitStore;
@@ -11,15 +11,26 @@ const REGEX_PATTERNS = {
   NATIONAL_FORMAT: /^01[3-9]\d{8}$/,
   HTML_TAGS: /<[^>]*>/g,
   WHITESPACE: /\s+/g,
-  LINE_BREAKS: /[\r\n]+/g,
-  NON_ASCII: /[^\x00-\x7F]/
+  LINE_BREAKS: /[\r\n]+/g
 };
 
+// GSM 03.38 default alphabet; anything outside it (e.g. Bangla) forces UCS-2
+const GSM_BASIC_CHARS = new Set(
+  '@£$¥èéùìòÇ\nØø\rÅåΔ_ΦΓΛΩΠΨΣΘΞÆæßÉ !"#¤%&\'()*+,-./0123456789:;<=>?' +
+  '¡ABCDEFGHIJKLMNOPQRSTUVWXYZÄÖÑÜ§¿abcdefghijklmnopqrstuvwxyzäöñüà'
+);
+
+// Extension table characters take two septets (escape + character)
+const GSM_EXTENDED_CHARS = new Set('^{}\\[~]|€\f');
+
 // Constants for limits and defaults
 const LIMITS = {
   MAX_SMS_LENGTH: 1000,
-  MAX_SINGLE_SMS_ASCII: 160,
-  MAX_SINGLE_SMS_UNICODE: 70,
+  MAX_SINGLE_SMS_GSM: 160,
+  MAX_SINGLE_SMS_UCS2: 70,
+  // Multipart messages lose room to the concatenation header
+  MAX_MULTIPART_SEGMENT_GSM: 153,
+  MAX_MULTIPART_SEGMENT_UCS2: 67,
   MAX_BRAND_NAME_LENGTH: 50,
   MAX_CUSTOMER_NAME_LENGTH: 100,
   MAX_ORDER_NUMBER_LENGTH: 50,
@@ -149,50 +160,74 @@ const truncateSMSMessage = (message, maxLength = 1000) => {
 };
 
 /**
- * Check if message contains Unicode characters
+ * Work out how a message is encoded and how many segments it is sent as
+ * GSM-7 messages count septets (extension characters take two); anything
+ * outside the GSM alphabet, such as Bangla, is sent as UCS-2 and counts
+ * UTF-16 code units
  * @param {string} message - Message to check
- * @returns {object} Unicode analysis
+ * @returns {object} Encoding analysis
  */
 const analyzeMessageEncoding = (message) => {
   if (!message || typeof message !== 'string') {
     return {
       hasUnicode: false,
-      encoding: 'ASCII',
+      encoding: 'GSM-7',
       estimatedSMSCount: 0,
       messageLength: 0,
-      maxSingleSMSLength: LIMITS.MAX_SINGLE_SMS_ASCII
+      maxSingleSMSLength: LIMITS.MAX_SINGLE_SMS_GSM
     };
   }
-  
-  const messageLength = message.length;
-  
-  // Early return for empty messages
-  if (messageLength === 0) {
-    return {
-      hasUnicode: false,
-      encoding: 'ASCII',
-      estimatedSMSCount: 0,
-      messageLength: 0,
-      maxSingleSMSLength: LIMITS.MAX_SINGLE_SMS_ASCII
-    };
+
+  let septets = 0;
+  let hasUnicode = false;
+
+  for (const char of message) {
+    if (GSM_BASIC_CHARS.has(char)) {
+      septets += 1;
+    } else if (GSM_EXTENDED_CHARS.has(char)) {
+      septets += 2;
+    } else {
+      hasUnicode = true;
+      break;
+    }
   }
-  
-  // Check for Unicode characters using cached regex
-  const hasUnicode = REGEX_PATTERNS.NON_ASCII.test(message);
-  
-  // Estimate SMS count based on encoding
-  const maxLength = hasUnicode ? LIMITS.MAX_SINGLE_SMS_UNICODE : LIMITS.MAX_SINGLE_SMS_ASCII;
-  const smsCount = Math.ceil(messageLength / maxLength);
-  
+
+  const messageLength = hasUnicode ? message.length : septets;
+  const maxLength = hasUnicode ? LIMITS.MAX_SINGLE_SMS_UCS2 : LIMITS.MAX_SINGLE_SMS_GSM;
+  const segmentLength = hasUnicode ? LIMITS.MAX_MULTIPART_SEGMENT_UCS2 : LIMITS.MAX_MULTIPART_SEGMENT_GSM;
+  const smsCount = messageLength <= maxLength ? 1 : Math.ceil(messageLength / segmentLength);
+
   return {
     hasUnicode,
-    encoding: hasUnicode ? 'Unicode' : 'ASCII',
+    encoding: hasUnicode ? 'UCS-2' : 'GSM-7',
     messageLength,
     estimatedSMSCount: smsCount,
     maxSingleSMSLength: maxLength
   };
 };
 
+/**
+ * Check that a message is sent as a single SMS segment
+ * Needed for auto-fill formats: the Android SMS Retriever API only reads
+ * single-part messages
+ * @param {string} message - Message to check
+ * @returns {object} Validation result
+ */
+const validateSingleSegment = (message) => {
+  const analysis = analyzeMessageEncoding(message);
+  const isValid = analysis.messageLength > 0 && analysis.estimatedSMSCount === 1;
+
+  return {
+    isValid,
+    encoding: analysis.encoding,
+    messageLength: analysis.messageLength,
+    maxLength: analysis.maxSingleSMSLength,
+    message: isValid
+      ? 'Message fits in one SMS segment'
+      : `Message is ${analysis.messageLength} characters; one ${analysis.encoding} segment holds ${analysis.maxSingleSMSLength}`
+  };
+};
+
 /**
  * Sanitize text content (internal helper function)
  * @param {string} text - Text to sanitize
@@ -258,6 +293,7 @@ module.exports = {
   generateOTPMessage,
   truncateSMSMessage,
   analyzeMessageEncoding,
+  validateSingleSegment,
   sanitizeSMSMessage,
   generateCSMSId
 };